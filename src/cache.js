@@ -0,0 +1,168 @@
+import {
+  listCacheEntries,
+  removeCacheEntry,
+  pruneCache,
+  clearCache,
+  loadCacheConfig,
+  getCacheDir,
+} from "./utils/generation-cache.js";
+import { withoutGlobalFlags } from "./utils/cli-args.js";
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+function parseFlag(args, name) {
+  const arg = args.find(a => a.startsWith(`${name}=`));
+  return arg ? arg.split("=")[1] : null;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function showUsage() {
+  console.log(`
+Usage: npm run cache -- <command> [options]
+
+Commands:
+  stats                 Entry count, size and hit totals
+  list [--model=NAME]   List entries, most recently used first
+  show <key>            Print the stored request for an entry (key prefix ok)
+  remove <key>          Delete one entry (key prefix ok)
+  prune                 Drop stale entries and trim to the size limit
+  clear                 Delete the whole cache
+
+Prune options (defaults from config/providers.json "cache"):
+  --older-than=DAYS     Drop entries unused for longer than DAYS
+  --max-size=MB         Evict least recently used entries beyond MB
+  --dry-run             Show what would be removed
+
+Bypass the cache for a run with --no-cache (phase5, phase6, generate-video)
+or GENERATION_CACHE=off|refresh in .env.
+
+Examples:
+  npm run cache -- stats
+  npm run cache -- prune --older-than=7 --dry-run
+`);
+}
+
+async function findEntry(prefix) {
+  if (!prefix) {
+    console.error("❌ Cache key required");
+    process.exit(1);
+  }
+  const matches = (await listCacheEntries()).filter(entry => entry.key.startsWith(prefix));
+  if (matches.length !== 1) {
+    console.error(matches.length === 0
+      ? `❌ No cache entry matches ${prefix}`
+      : `❌ ${matches.length} entries match ${prefix}, use a longer prefix`);
+    process.exit(1);
+  }
+  return matches[0];
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+async function showStats() {
+  const entries = await listCacheEntries();
+  const bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  const hits = entries.reduce((sum, entry) => sum + (entry.hits || 0), 0);
+
+  const byModel = new Map();
+  for (const entry of entries) {
+    byModel.set(entry.model, (byModel.get(entry.model) || 0) + 1);
+  }
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════╗
+║  GENERATION CACHE                                             ║
+╠═══════════════════════════════════════════════════════════════╣
+║  Entries: ${String(entries.length).padEnd(52)}║
+║  Size:    ${formatBytes(bytes).padEnd(52)}║
+║  Hits:    ${String(hits).padEnd(52)}║
+╚═══════════════════════════════════════════════════════════════╝`);
+
+  if (byModel.size > 0) {
+    console.log(`\n┌─ By model`);
+    for (const [model, count] of byModel) {
+      console.log(`│  ${model.padEnd(40)} ${String(count).padStart(6)}`);
+    }
+    console.log(`└─`);
+  }
+  console.log(`\n📁 ${getCacheDir()}`);
+}
+
+async function listEntries(args) {
+  const model = parseFlag(args, "--model");
+  const entries = (await listCacheEntries()).filter(entry => !model || entry.model === model);
+
+  for (const entry of entries) {
+    const variant = entry.variant !== null ? ` #${entry.variant}` : "";
+    console.log(`${entry.key.substring(0, 12)}  ${entry.last_used_at.substring(0, 10)}  ${String(entry.hits || 0).padStart(3)} hits  ${formatBytes(entry.bytes).padStart(9)}  ${entry.model}${variant}`);
+    console.log(`              "${entry.prompt.substring(0, 70)}${entry.prompt.length > 70 ? "..." : ""}"`);
+  }
+  console.log(`\n${entries.length} entries`);
+}
+
+async function prune(args) {
+  const config = await loadCacheConfig();
+  const maxAgeDays = parseFloat(parseFlag(args, "--older-than") ?? config.max_age_days);
+  const maxSizeMb = parseFloat(parseFlag(args, "--max-size") ?? config.max_size_mb);
+  const dryRun = args.includes("--dry-run");
+
+  if (!Number.isFinite(maxAgeDays) || !Number.isFinite(maxSizeMb)) {
+    console.error("❌ --older-than and --max-size must be numbers");
+    process.exit(1);
+  }
+
+  const { removed, kept } = await pruneCache({ maxAgeDays, maxSizeMb, dryRun });
+  const freed = removed.reduce((sum, entry) => sum + entry.bytes, 0);
+
+  console.log(`┌─ Prune (unused > ${maxAgeDays} days, limit ${maxSizeMb} MB)${dryRun ? " [dry run]" : ""}`);
+  for (const entry of removed) {
+    console.log(`│  🗑️  ${entry.key.substring(0, 12)}  ${entry.last_used_at.substring(0, 10)}  ${entry.model}`);
+  }
+  console.log(`└─ ${dryRun ? "Would remove" : "Removed"} ${removed.length} entries (${formatBytes(freed)}), kept ${kept.length}`);
+}
+
+// ============================================
+// MAIN
+// ============================================
+async function main() {
+  const args = withoutGlobalFlags(process.argv.slice(2));
+  const [command, target] = args;
+
+  switch (command) {
+    case "stats":
+      await showStats();
+      break;
+    case "list":
+      await listEntries(args);
+      break;
+    case "show": {
+      const entry = await findEntry(target);
+      console.log(JSON.stringify(entry, null, 2));
+      break;
+    }
+    case "remove": {
+      const entry = await findEntry(target);
+      await removeCacheEntry(entry.key);
+      console.log(`🗑️  Removed ${entry.key}`);
+      break;
+    }
+    case "prune":
+      await prune(args);
+      break;
+    case "clear":
+      await clearCache();
+      console.log(`🗑️  Cleared ${getCacheDir()}`);
+      break;
+    default:
+      showUsage();
+      process.exit(command && command !== "--help" && command !== "-h" ? 1 : 0);
+  }
+}
+
+main().catch(console.error);
@@ -0,0 +1,131 @@
+import { readLedger, LEDGER_PATH } from "./utils/cost-ledger.js";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const GROUPINGS = {
+  phase: (entry) => entry.phase || "unknown",
+  exercise: (entry) => entry.exercise || "(none)",
+  day: (entry) => entry.timestamp.substring(0, 10),
+  model: (entry) => entry.model || "unknown",
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+function parseArgs(args) {
+  const options = {
+    groupings: ["phase", "exercise", "day"],
+    since: null,
+    help: false,
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith("--by=")) {
+      options.groupings = arg.split("=")[1].split(",").filter(Boolean);
+    } else if (arg.startsWith("--since=")) {
+      options.since = arg.split("=")[1];
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    }
+  }
+
+  return options;
+}
+
+function showUsage() {
+  console.log(`
+Usage: npm run cost -- [options]
+
+Options:
+  --by=phase,exercise,day   Groupings to show (also: model)
+  --since=YYYY-MM-DD        Only include entries from this date on
+  --help, -h                Show this help message
+
+Examples:
+  npm run cost
+  npm run cost -- --by=exercise --since=2025-01-01
+`);
+}
+
+function formatUsd(usd) {
+  return "$" + usd.toFixed(2);
+}
+
+/**
+ * Sum ledger entries by a grouping key
+ * @param {Array} entries - Ledger entries
+ * @param {Function} keyFn - (entry) => group name
+ * @returns {Array} [{ key, usd, calls, unpriced }] sorted by spend
+ */
+function summarize(entries, keyFn) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyFn(entry);
+    const group = groups.get(key) || { key, usd: 0, calls: 0, unpriced: 0 };
+    group.usd += entry.usd;
+    group.calls++;
+    if (!entry.priced) group.unpriced++;
+    groups.set(key, group);
+  }
+  return [...groups.values()].sort((a, b) => b.usd - a.usd || a.key.localeCompare(b.key));
+}
+
+function printGroup(title, rows) {
+  console.log(`\n┌─ By ${title}`);
+  for (const row of rows) {
+    const unpriced = row.unpriced > 0 ? ` (${row.unpriced} unpriced)` : "";
+    console.log(`│  ${row.key.padEnd(32)} ${formatUsd(row.usd).padStart(10)}  ${String(row.calls).padStart(5)} calls${unpriced}`);
+  }
+  console.log(`└─`);
+}
+
+// ============================================
+// MAIN
+// ============================================
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    showUsage();
+    return;
+  }
+
+  const unknown = options.groupings.filter(g => !GROUPINGS[g]);
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown grouping: ${unknown.join(", ")} (expected ${Object.keys(GROUPINGS).join(", ")})`);
+    process.exit(1);
+  }
+
+  let entries = await readLedger();
+  if (options.since) {
+    entries = entries.filter(entry => entry.timestamp.substring(0, 10) >= options.since);
+  }
+
+  if (entries.length === 0) {
+    console.log(`No spend recorded${options.since ? ` since ${options.since}` : ""} (${LEDGER_PATH})`);
+    return;
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.usd, 0);
+  const unpriced = entries.filter(entry => !entry.priced).length;
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════╗
+║  COST REPORT                                                  ║
+╠═══════════════════════════════════════════════════════════════╣
+║  Total: ${formatUsd(total).padEnd(54)}║
+║  Calls: ${String(entries.length).padEnd(54)}║
+║  Since: ${(options.since || entries[0].timestamp.substring(0, 10)).padEnd(54)}║
+╚═══════════════════════════════════════════════════════════════╝`);
+
+  for (const grouping of options.groupings) {
+    printGroup(grouping, summarize(entries, GROUPINGS[grouping]));
+  }
+
+  if (unpriced > 0) {
+    console.log(`\n⚠️  ${unpriced} call(s) had no entry in config/pricing.json and were counted as $0`);
+  }
+}
+
+main().catch(console.error);
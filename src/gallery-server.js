@@ -1,8 +1,71 @@
 import express from "express";
+import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import open from "open";
+import {
+  loadAnnotations,
+  loadAnnotationsConfig,
+  saveAnnotation,
+  validateAnnotationInput,
+  normalizeTag,
+} from "./utils/annotations.js";
+import { JobQueue } from "./utils/job-queue.js";
+import { readImageMetadata, METADATA_KEYS } from "./utils/image-metadata.js";
+import { getCharacter, getCharacterConfigName } from "./utils/character.js";
+import { OutputWatcher } from "./utils/output-watcher.js";
+import { withCostContext } from "./utils/cost-ledger.js";
+import { getVariation, regenerateVariation } from "./phase2-variations.js";
+import { getAllAnchors } from "./utils/anchor-mapper.js";
+import { loadRankings, confirmAnchorSelection } from "./utils/anchor-rankings.js";
+import { regenerateShot } from "./phase5-batch-image-gen.js";
+import { validateSingleShot } from "./phase6-validation.js";
+import {
+  DATASET_FORMATS,
+  loadDatasetsConfig,
+  defaultDatasetName,
+  getDatasetDir,
+  exportDataset,
+  DATASETS_DIR,
+} from "./utils/dataset-export.js";
+import { analyzeBalance } from "./utils/dataset-balance.js";
+import {
+  loadRejections,
+  rejectVariation,
+  clearRejection,
+  validateRejectionInput,
+} from "./utils/rejections.js";
+import {
+  CollectionError,
+  listCollections,
+  getActiveCollectionName,
+  setActiveCollection,
+  loadCollection,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  toggleCollectionImage,
+  undoCollectionChange,
+  diffCollections,
+  getTrainingImages,
+} from "./utils/collections.js";
+import {
+  EDITABLE_FIELDS,
+  validatePromptEdit,
+  loadShotPrompt,
+  saveShotPromptEdit,
+} from "./utils/shot-prompts.js";
+import { PromptTooLongError } from "./utils/prompt-templates.js";
+import {
+  OUTPUT_DIR,
+  PathError,
+  assertSafeName,
+  assertExisting,
+  resolveOutputPath,
+  resolveImageKey,
+  toImageKey,
+} from "./utils/output-paths.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,15 +73,47 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = 3456;
 
-const OUTPUT_DIR = path.join(__dirname, "../output");
+const VIDEO_SCRIPTS_DIR = path.join(OUTPUT_DIR, "video-scripts");
+const REVIEW_DECISIONS = ["approved", "flagged"];
+const JOB_CONCURRENCY = 2;
+
+// Phase folders the gallery may list, select from and regenerate in
+const GALLERY_PHASES = ["anchors", "variations", "variations-2", "variations-final", "nano-bannana"];
+// Phases with a <phase>-selected.json (one pick per folder)
+const SELECTION_PHASES = ["anchors"];
+// Variation phases a reviewer can reject folders in
+const REJECTION_PHASES = GALLERY_PHASES.filter((phase) => phase !== "anchors");
+// Training picks may also include the copied anchor picks
+const TRAINING_PHASES = [...GALLERY_PHASES, "anchors-selected"];
 
 app.use(express.json());
 app.use("/output", express.static(OUTPUT_DIR));
 
+// Express 4 does not forward rejected promises; send them to the error handler
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+async function readJsonFile(filePath, fallback) {
+  try {
+    const data = await fs.readFile(filePath, "utf-8");
+    return JSON.parse(data);
+  } catch {
+    return fallback;
+  }
+}
+
+function assertPhase(phase, allowed) {
+  if (!allowed.includes(phase)) {
+    throw new PathError(`Unknown phase "${phase}" (expected one of: ${allowed.join(", ")})`);
+  }
+  return phase;
+}
+
 // Get all images for a phase
-app.get("/api/images/:phase", async (req, res) => {
-  const phase = req.params.phase;
-  const phaseDir = path.join(OUTPUT_DIR, phase);
+app.get("/api/images/:phase", asyncRoute(async (req, res) => {
+  const phase = assertPhase(req.params.phase, GALLERY_PHASES);
+  const phaseDir = resolveOutputPath(phase);
 
   try {
     const folders = await fs.readdir(phaseDir);
@@ -41,12 +136,12 @@ app.get("/api/images/:phase", async (req, res) => {
   } catch (error) {
     res.json({});
   }
-});
+}));
 
 // Get selected images
-app.get("/api/selected/:phase", async (req, res) => {
-  const phase = req.params.phase;
-  const selectedFile = path.join(OUTPUT_DIR, `${phase}-selected.json`);
+app.get("/api/selected/:phase", asyncRoute(async (req, res) => {
+  const phase = assertPhase(req.params.phase, SELECTION_PHASES);
+  const selectedFile = resolveOutputPath(`${phase}-selected.json`);
 
   try {
     const data = await fs.readFile(selectedFile, "utf-8");
@@ -54,13 +149,18 @@ app.get("/api/selected/:phase", async (req, res) => {
   } catch {
     res.json({});
   }
-});
+}));
 
 // Save anchor selection
-app.post("/api/select/:phase", async (req, res) => {
-  const phase = req.params.phase;
-  const { folder, image } = req.body;
-  const selectedFile = path.join(OUTPUT_DIR, `${phase}-selected.json`);
+app.post("/api/select/:phase", asyncRoute(async (req, res) => {
+  const phase = assertPhase(req.params.phase, SELECTION_PHASES);
+  const folder = assertSafeName(req.body?.folder, "folder");
+  const { filePath, key: image, segments } = await resolveImageKey(req.body?.image, { phases: [phase] });
+  if (segments.length !== 3 || segments[1] !== folder) {
+    throw new PathError(`image must be inside /output/${phase}/${folder}/`);
+  }
+
+  const selectedFile = resolveOutputPath(`${phase}-selected.json`);
 
   let selections = {};
   try {
@@ -73,92 +173,655 @@ app.post("/api/select/:phase", async (req, res) => {
 
   // For anchors, copy file to anchors-selected folder
   if (phase === "anchors") {
-    const selectedDir = path.join(OUTPUT_DIR, "anchors-selected");
+    const selectedDir = resolveOutputPath("anchors-selected");
     await fs.mkdir(selectedDir, { recursive: true });
-
-    const srcPath = path.join(OUTPUT_DIR, image.replace("/output/", ""));
-    const destPath = path.join(selectedDir, `${folder}.png`);
-    await fs.copyFile(srcPath, destPath);
+    await fs.copyFile(filePath, resolveOutputPath("anchors-selected", `${folder}.png`));
+    await confirmAnchorSelection(folder);
   }
 
   res.json({ success: true });
-});
+}));
 
-// Toggle training selection
-app.post("/api/training/toggle", async (req, res) => {
-  const { image } = req.body;
-  const trainingFile = path.join(OUTPUT_DIR, "training-selected.json");
+// ============================================
+// TRAINING COLLECTIONS
+// ============================================
+// Named, versioned training selections in output/collections/. Clicks in
+// the gallery edit the active collection.
 
-  let selected = [];
+// Optional ?collection= / body.collection, falling back to the active one
+async function getCollectionName(value) {
+  return value == null || value === "" ? getActiveCollectionName() : value;
+}
+
+// List collections and which one is active
+app.get("/api/collections", asyncRoute(async (req, res) => {
+  res.json(await listCollections());
+}));
+
+// Create an empty collection, or clone one with { from }
+app.post("/api/collections", asyncRoute(async (req, res) => {
+  const { name, from, activate = true } = req.body || {};
+  const collection = await createCollection(name, { from: from || null });
+  if (activate) await setActiveCollection(collection.name);
+  res.json(collection);
+}));
+
+// Switch the active collection
+app.put("/api/collections/active", asyncRoute(async (req, res) => {
+  res.json({ active: await setActiveCollection(req.body?.name) });
+}));
+
+// Full collection, including history
+app.get("/api/collections/:name", asyncRoute(async (req, res) => {
+  res.json(await loadCollection(req.params.name));
+}));
+
+// Rename
+app.patch("/api/collections/:name", asyncRoute(async (req, res) => {
+  res.json(await renameCollection(req.params.name, req.body?.name));
+}));
+
+app.delete("/api/collections/:name", asyncRoute(async (req, res) => {
+  res.json({ deleted: req.params.name, active: await deleteCollection(req.params.name) });
+}));
+
+// Revert the last add/remove
+app.post("/api/collections/:name/undo", asyncRoute(async (req, res) => {
+  const collection = await undoCollectionChange(req.params.name);
+  res.json({ selected: collection.images, version: collection.version });
+}));
+
+// Images only in one collection, and in both
+app.get("/api/collections/:name/diff/:other", asyncRoute(async (req, res) => {
+  res.json(await diffCollections(req.params.name, req.params.other));
+}));
+
+// Toggle an image in a collection (the active one unless body.collection is set)
+app.post("/api/training/toggle", asyncRoute(async (req, res) => {
+  const name = await getCollectionName(req.body?.collection);
+  const { images } = await loadCollection(name);
+
+  // Deselecting only needs a well-formed key, so images deleted since still toggle off
+  const { key: image } = await resolveImageKey(req.body?.image, {
+    phases: TRAINING_PHASES,
+    mustExist: !images.includes(req.body?.image),
+  });
+
+  const collection = await toggleCollectionImage(name, image);
+  res.json({ collection: name, selected: collection.images, version: collection.version });
+}));
+
+// Get training selections
+app.get("/api/training", asyncRoute(async (req, res) => {
+  const collection = await loadCollection(await getCollectionName(req.query.collection));
+  res.json(collection.images);
+}));
+
+// Variation folders with images, for balance suggestions
+async function listVariationFolders() {
+  const folders = [];
+  for (const phase of GALLERY_PHASES.filter((p) => p !== "anchors")) {
+    let entries = [];
+    try {
+      entries = await fs.readdir(resolveOutputPath(phase), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const entry of entries.filter((e) => e.isDirectory())) {
+      const files = await fs.readdir(resolveOutputPath(phase, entry.name));
+      folders.push({ phase, folder: entry.name, count: files.filter((f) => f.endsWith(".png")).length });
+    }
+  }
+  return folders;
+}
+
+// Break the training selection down by anchor, pose, camera angle and muscle
+app.get("/api/training/balance", asyncRoute(async (req, res) => {
+  const name = await getCollectionName(req.query.collection);
+  const [{ images: selected }, available, annotations, config] = await Promise.all([
+    getTrainingImages(name),
+    listVariationFolders(),
+    loadAnnotations(),
+    loadDatasetsConfig(),
+  ]);
+  res.json({ collection: name, ...(await analyzeBalance(selected, { available, annotations, rules: config.balance })) });
+}));
+
+// Export a collection as named dataset layouts under output/datasets/<name>/
+app.post("/api/export", asyncRoute(async (req, res) => {
+  const config = await loadDatasetsConfig();
+  const collection = await getCollectionName(req.body?.collection);
+  const name = req.body?.name ?? defaultDatasetName();
+  const formats = req.body?.formats ?? config.default_formats;
+
+  if (!Array.isArray(formats) || formats.length === 0 || !formats.every((f) => DATASET_FORMATS.includes(f))) {
+    return res.status(400).json({ error: `formats must be a non-empty array of: ${DATASET_FORMATS.join(", ")}` });
+  }
+  const datasetDir = getDatasetDir(name);
   try {
-    const data = await fs.readFile(trainingFile, "utf-8");
-    selected = JSON.parse(data);
+    await fs.access(datasetDir);
+    return res.status(409).json({ error: `Dataset "${name}" already exists; choose another name` });
   } catch {}
 
-  const index = selected.indexOf(image);
-  if (index > -1) {
-    selected.splice(index, 1);
-  } else {
-    selected.push(image);
+  const { images: selected, selected_at: selectedAt } = await getTrainingImages(collection);
+  if (selected.length === 0) {
+    return res.status(400).json({ error: `Nothing selected for training in "${collection}"` });
   }
 
-  await fs.writeFile(trainingFile, JSON.stringify(selected, null, 2));
-  res.json({ selected });
-});
+  // Collections are plain JSON on disk, so every entry is re-checked
+  const result = await exportDataset(selected, {
+    name,
+    formats: [...new Set(formats)],
+    phases: TRAINING_PHASES,
+    selectedAt,
+    collection,
+  });
+  for (const entry of result.skipped) {
+    console.error(`Failed to export: ${entry.image} (${entry.error})`);
+  }
 
-// Get training selections
-app.get("/api/training", async (req, res) => {
-  const trainingFile = path.join(OUTPUT_DIR, "training-selected.json");
+  res.json({ ...result, total: selected.length });
+}));
+
+// List exported datasets, newest first
+app.get("/api/datasets", asyncRoute(async (req, res) => {
+  let names = [];
   try {
-    const data = await fs.readFile(trainingFile, "utf-8");
-    res.json(JSON.parse(data));
+    const entries = await fs.readdir(DATASETS_DIR, { withFileTypes: true });
+    names = entries.filter((e) => e.isDirectory()).map((e) => e.name);
+  } catch {}
+
+  const datasets = [];
+  for (const name of names) {
+    const formats = {};
+    let createdAt = null;
+    let collection = null;
+    for (const format of DATASET_FORMATS) {
+      const manifest = await readJsonFile(path.join(DATASETS_DIR, name, format, "manifest.json"), null);
+      if (manifest) {
+        formats[format] = manifest.count;
+        createdAt = manifest.created_at;
+        collection = manifest.collection || null;
+      }
+    }
+    datasets.push({ name, created_at: createdAt, collection, formats });
+  }
+
+  res.json({
+    formats: DATASET_FORMATS,
+    default_formats: (await loadDatasetsConfig()).default_formats,
+    suggested_name: defaultDatasetName(),
+    datasets: datasets.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at))),
+  });
+}));
+
+// ============================================
+// VIDEO SCRIPT SHOTS (phase 5/6 review)
+// ============================================
+// Phase 6 writes status only for flagged/error results; approved results carry overall_pass
+function getShotStatus(validation) {
+  if (!validation) return "pending";
+  if (validation.status) return validation.status;
+  return validation.overall_pass ? "approved" : "flagged";
+}
+
+async function getShotIds(exercise) {
+  const shotsDir = path.join(VIDEO_SCRIPTS_DIR, exercise, "shots");
+  try {
+    const entries = await fs.readdir(shotsDir, { withFileTypes: true });
+    return entries.filter((e) => e.isDirectory()).map((e) => e.name).sort();
   } catch {
-    res.json([]);
+    return [];
   }
-});
+}
 
-// Export training images
-app.post("/api/export", async (req, res) => {
-  const trainingFile = path.join(OUTPUT_DIR, "training-selected.json");
-  const exportDir = path.join(OUTPUT_DIR, "training");
+async function loadShot(exercise, shotId, script) {
+  const shotDir = path.join(VIDEO_SCRIPTS_DIR, exercise, "shots", shotId);
+  const prompt = await readJsonFile(path.join(shotDir, "prompt.json"), null);
+  const validation = await readJsonFile(path.join(shotDir, "validation.json"), null);
 
-  await fs.mkdir(exportDir, { recursive: true });
+  let image = null;
+  try {
+    const stat = await fs.stat(path.join(shotDir, "image.png"));
+    image = `/output/video-scripts/${exercise}/shots/${shotId}/image.png?v=${stat.mtimeMs}`;
+  } catch {}
 
-  let selected = [];
+  const segmentIndex = prompt?.tts_segment_index;
+  const segment = Number.isInteger(segmentIndex) ? script?.segments?.[segmentIndex] : null;
+
+  return {
+    id: shotId,
+    name: prompt?.shot_name || shotId,
+    image,
+    anchor: prompt?.anchor_image ? `/${prompt.anchor_image}` : null,
+    prompt: prompt?.engineered_prompt || null,
+    muscles: prompt?.highlighted_muscles || [],
+    is_sequence_frame: prompt?.is_sequence_frame || false,
+    sequence_name: prompt?.sequence_name || null,
+    sequence_order: prompt?.sequence_order || null,
+    sequence_total: prompt?.sequence_total || null,
+    tts_segment: segment?.tts_segment || null,
+    status: getShotStatus(validation),
+    validation,
+  };
+}
+
+// List exercises with shot review progress
+app.get("/api/exercises", asyncRoute(async (req, res) => {
+  let folders = [];
   try {
-    const data = await fs.readFile(trainingFile, "utf-8");
-    selected = JSON.parse(data);
+    const entries = await fs.readdir(VIDEO_SCRIPTS_DIR, { withFileTypes: true });
+    folders = entries.filter((e) => e.isDirectory()).map((e) => e.name).sort();
   } catch {}
 
-  // Include selected anchors
-  const anchorsDir = path.join(OUTPUT_DIR, "anchors-selected");
+  const exercises = [];
+  for (const exercise of folders) {
+    const script = await readJsonFile(path.join(VIDEO_SCRIPTS_DIR, exercise, "script.json"), null);
+    const counts = {};
+    for (const shotId of await getShotIds(exercise)) {
+      const validation = await readJsonFile(path.join(VIDEO_SCRIPTS_DIR, exercise, "shots", shotId, "validation.json"), null);
+      const status = getShotStatus(validation);
+      counts[status] = (counts[status] || 0) + 1;
+    }
+    exercises.push({
+      exercise,
+      display_name: script?.exercise_display_name || exercise,
+      counts,
+    });
+  }
+
+  res.json(exercises);
+}));
+
+// Get all shots for an exercise, in shot order
+app.get("/api/exercises/:exercise/shots", asyncRoute(async (req, res) => {
+  const exercise = assertSafeName(req.params.exercise, "exercise");
+  const shotIds = await getShotIds(exercise);
+  if (shotIds.length === 0) {
+    return res.status(404).json({ error: `No shots found for ${exercise}` });
+  }
+
+  const script = await readJsonFile(path.join(VIDEO_SCRIPTS_DIR, exercise, "script.json"), null);
+  const shots = [];
+  for (const shotId of shotIds) {
+    shots.push(await loadShot(exercise, shotId, script));
+  }
+
+  res.json({
+    exercise,
+    display_name: script?.exercise_display_name || exercise,
+    shots,
+  });
+}));
+
+// Approve or flag a shot, recording the decision in its validation.json
+app.post("/api/exercises/:exercise/shots/:shot/review", asyncRoute(async (req, res) => {
+  const exercise = assertSafeName(req.params.exercise, "exercise");
+  const shot = assertSafeName(req.params.shot, "shot");
+  const { decision, note } = req.body || {};
+
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    return res.status(400).json({ error: `decision must be one of: ${REVIEW_DECISIONS.join(", ")}` });
+  }
+  if (!(await getShotIds(exercise)).includes(shot)) {
+    return res.status(404).json({ error: `Shot not found: ${exercise}/${shot}` });
+  }
+
+  const shotDir = path.join(VIDEO_SCRIPTS_DIR, exercise, "shots", shot);
+  let imageBuffer;
   try {
-    const anchorFiles = await fs.readdir(anchorsDir);
-    for (const f of anchorFiles) {
-      if (f.endsWith(".png")) {
-        selected.push(`/output/anchors-selected/${f}`);
-      }
+    imageBuffer = await fs.readFile(path.join(shotDir, "image.png"));
+  } catch {
+    return res.status(409).json({ error: "Shot has no image.png to review yet" });
+  }
+
+  const validationPath = path.join(shotDir, "validation.json");
+  const validation = await readJsonFile(validationPath, {});
+
+  validation.status = decision;
+  validation.review = {
+    decision,
+    note: typeof note === "string" && note.trim() ? note.trim() : null,
+    reviewed_at: new Date().toISOString(),
+    // Phase 6 honours the review only while the image is unchanged
+    image_sha256: crypto.createHash("sha256").update(imageBuffer).digest("hex"),
+  };
+
+  await fs.writeFile(validationPath, JSON.stringify(validation, null, 2));
+  res.json({ success: true, status: decision, review: validation.review });
+}));
+
+// ============================================
+// SHOT PROMPT EDITOR (prompt.json + single-shot regenerate)
+// ============================================
+// anchor_image values a shot may point at, as phase 4 writes them
+async function listAnchorImages() {
+  try {
+    return (await fs.readdir(resolveOutputPath("anchors-selected")))
+      .filter((f) => f.endsWith(".png"))
+      .sort()
+      .map((f) => `output/anchors-selected/${f}`);
+  } catch {
+    return [];
+  }
+}
+
+async function resolveShotPrompt(params) {
+  const exercise = assertSafeName(params.exercise, "exercise");
+  const shot = assertSafeName(params.shot, "shot");
+  const promptPath = await assertExisting(resolveOutputPath("video-scripts", exercise, "shots", shot, "prompt.json"));
+  return { exercise, shot, promptPath };
+}
+
+// Get a shot's prompt.json with the values the editor offers
+app.get("/api/exercises/:exercise/shots/:shot/prompt", asyncRoute(async (req, res) => {
+  const { promptPath } = await resolveShotPrompt(req.params);
+  res.json({
+    prompt: await loadShotPrompt(promptPath),
+    editable: EDITABLE_FIELDS,
+    anchors: await listAnchorImages(),
+  });
+}));
+
+// Edit prompt.json fields, keeping the previous values in prompt_history
+app.put("/api/exercises/:exercise/shots/:shot/prompt", asyncRoute(async (req, res) => {
+  const { promptPath } = await resolveShotPrompt(req.params);
+  const { changes, note } = req.body || {};
+
+  const errors = validatePromptEdit(changes, await loadShotPrompt(promptPath), await listAnchorImages());
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join("; ") });
+  }
+
+  try {
+    res.json(await saveShotPromptEdit(promptPath, changes, note));
+  } catch (error) {
+    if (!(error instanceof PromptTooLongError)) throw error;
+    res.status(400).json({ error: error.message });
+  }
+}));
+
+// Regenerate one shot with phase 5, then revalidate it with phase 6
+app.post("/api/exercises/:exercise/shots/:shot/regenerate", asyncRoute(async (req, res) => {
+  const { exercise, shot } = await resolveShotPrompt(req.params);
+  const refine = req.body?.refine === true;
+
+  const active = jobs.list().find((job) => job.type === "shot" && job.params.exercise === exercise &&
+    job.params.shot === shot && ["queued", "running"].includes(job.status));
+  if (active) {
+    return res.status(409).json({ error: `${shot} is already being regenerated` });
+  }
+
+  const job = jobs.add("shot", { exercise, shot, folder: shot, refine }, async ({ log, progress }) => {
+    progress(0.1);
+    // Phase 5 logs in its console box format; the jobs panel only wants the text
+    const imagePath = await regenerateShot(exercise, shot, { onLog: (line) => log(line.replace(/^[│└─\s]+/, "")) });
+    progress(0.5);
+    log(refine ? "Validating (phase 6 may refine the prompt)..." : "Validating...");
+    const result = await validateSingleShot(exercise, shot, !refine);
+    log(`Validation: ${result.status}${result.message ? ` (${result.message})` : ""}`);
+    return { image: toImageKey(imagePath), exercise, shot, status: result.status };
+  });
+
+  res.status(202).json({ job });
+}));
+
+// ============================================
+// ANNOTATIONS (ratings, tags, notes)
+// ============================================
+// Get annotations, optionally filtered by ?tag= and ?min_rating=
+app.get("/api/annotations", asyncRoute(async (req, res) => {
+  const annotations = await loadAnnotations();
+  const tag = req.query.tag ? normalizeTag(req.query.tag) : null;
+  const minRating = req.query.min_rating ? parseInt(req.query.min_rating, 10) : null;
+
+  const result = {};
+  for (const [image, annotation] of Object.entries(annotations)) {
+    if (tag && !annotation.tags.includes(tag)) continue;
+    if (minRating && !(annotation.rating >= minRating)) continue;
+    result[image] = annotation;
+  }
+
+  res.json(result);
+}));
+
+// Get preset and in-use tags with usage counts
+app.get("/api/annotations/tags", asyncRoute(async (req, res) => {
+  const [annotations, config] = await Promise.all([loadAnnotations(), loadAnnotationsConfig()]);
+  const counts = {};
+  for (const tag of config.preset_tags.map(normalizeTag)) {
+    counts[tag] = 0;
+  }
+  for (const annotation of Object.values(annotations)) {
+    for (const tag of annotation.tags) {
+      counts[tag] = (counts[tag] || 0) + 1;
     }
+  }
+
+  res.json({
+    tags: Object.entries(counts).map(([tag, count]) => ({ tag, count })),
+    defect_tags: config.defect_tags.map(normalizeTag),
+  });
+}));
+
+// Create or update an image's rating, tags and notes
+app.put("/api/annotations", asyncRoute(async (req, res) => {
+  const errors = validateAnnotationInput(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join("; ") });
+  }
+  await resolveImageKey(req.body.image);
+
+  const { image, rating, tags, notes } = req.body;
+  const annotation = await saveAnnotation(image, { rating, tags, notes });
+  res.json({ image, annotation });
+}));
+
+// Remove an image's annotation
+app.delete("/api/annotations", asyncRoute(async (req, res) => {
+  // The image may already be gone; the key only has to be well formed
+  await resolveImageKey(req.body?.image, { mustExist: false });
+
+  await saveAnnotation(req.body.image, { rating: null, tags: [], notes: "" });
+  res.json({ image: req.body.image, annotation: null });
+}));
+
+// ============================================
+// IMAGE METADATA (embedded in the PNG by downloadImage)
+// ============================================
+app.get("/api/image-metadata", asyncRoute(async (req, res) => {
+  const { filePath, key } = await resolveImageKey(req.query.image);
+  const metadata = await readImageMetadata(filePath);
+  const known = METADATA_KEYS.filter(k => k in metadata);
+  const other = Object.keys(metadata).filter(k => !METADATA_KEYS.includes(k)).sort();
+  res.json({
+    image: key,
+    metadata: Object.fromEntries([...known, ...other].map(k => [k, metadata[k]])),
+  });
+}));
+
+// ============================================
+// ANCHOR RANKINGS (written by score-anchors)
+// ============================================
+app.get("/api/anchor-rankings", asyncRoute(async (req, res) => {
+  res.json(await loadRankings());
+}));
+
+// ============================================
+// REJECTIONS (read by phase2-rejected-regen)
+// ============================================
+app.get("/api/rejections", asyncRoute(async (req, res) => {
+  res.json(await loadRejections());
+}));
+
+// Reject a variation folder with a reason
+app.put("/api/rejections", asyncRoute(async (req, res) => {
+  const errors = validateRejectionInput(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join("; ") });
+  }
+  const { phase, variation, reason } = req.body;
+  assertPhase(phase, REJECTION_PHASES);
+  await assertExisting(resolveOutputPath(phase, variation), "directory");
+  if (!(await getVariation(variation))) {
+    return res.status(400).json({ error: `${variation} is not in ${getCharacterConfigName("variations")}, so it can't be re-engineered` });
+  }
+
+  res.json(await rejectVariation(variation, { phase, reason }));
+}));
+
+// Withdraw a rejection
+app.delete("/api/rejections/:variation", asyncRoute(async (req, res) => {
+  const variation = assertSafeName(req.params.variation, "variation");
+  if (!(await clearRejection(variation))) {
+    return res.status(404).json({ error: `No rejection for ${variation}` });
+  }
+  res.json({ variation, rejection: null });
+}));
+
+// ============================================
+// REGENERATION JOBS (live progress over SSE)
+// ============================================
+const jobs = new JobQueue({ concurrency: JOB_CONCURRENCY });
+
+async function listAnchorIds() {
+  let selected = [];
+  try {
+    selected = (await fs.readdir(path.join(OUTPUT_DIR, "anchors-selected")))
+      .filter((f) => f.endsWith(".png"))
+      .map((f) => f.replace(/\.png$/, ""));
   } catch {}
+  const configured = (await getAllAnchors()).map((a) => a.id);
+  return [...new Set([...selected, ...configured])].sort();
+}
 
-  // Remove duplicates
-  selected = [...new Set(selected)];
+// Image key → { phase, folder, folderDir }; only <phase>/<folder>/<file>.png in a gallery phase
+async function getRegenTarget(imageKey) {
+  const { filePath, segments } = await resolveImageKey(imageKey, { phases: GALLERY_PHASES });
+  if (segments.length !== 3) {
+    throw new PathError(`Not a regenerable image: ${imageKey}`);
+  }
+  return { phase: segments[0], folder: segments[1], folderDir: path.dirname(filePath) };
+}
 
-  let exported = 0;
-  for (const imagePath of selected) {
-    const srcPath = path.join(OUTPUT_DIR, imagePath.replace("/output/", ""));
-    const filename = path.basename(imagePath);
-    const destPath = path.join(exportDir, filename);
+// Default prompt and anchor for regenerating an image
+app.get("/api/regenerate/defaults", asyncRoute(async (req, res) => {
+  const image = String(req.query.image || "");
+  const target = await getRegenTarget(image);
 
-    try {
-      await fs.copyFile(srcPath, destPath);
-      exported++;
-    } catch (e) {
-      console.error(`Failed to copy: ${imagePath}`);
+  const variation = await getVariation(target.folder);
+  res.json({
+    image,
+    folder: target.folder,
+    prompt: variation?.edit_prompt || "",
+    anchor: variation?.anchor || "front",
+    anchors: await listAnchorIds(),
+  });
+}));
+
+// Queue one regeneration job per selected image
+app.post("/api/jobs/regenerate", asyncRoute(async (req, res) => {
+  const { images, prompt, anchor } = req.body || {};
+
+  if (!Array.isArray(images) || images.length === 0 || !images.every((i) => typeof i === "string")) {
+    return res.status(400).json({ error: "images must be a non-empty array of /output/... paths" });
+  }
+  if (prompt !== undefined && prompt !== null && (typeof prompt !== "string" || !prompt.trim() || prompt.length > 2000)) {
+    return res.status(400).json({ error: "prompt must be a non-empty string (max 2000 characters)" });
+  }
+  const anchorIds = await listAnchorIds();
+  if (anchor !== undefined && anchor !== null && !anchorIds.includes(anchor)) {
+    return res.status(400).json({ error: `anchor must be one of: ${anchorIds.join(", ")}` });
+  }
+
+  const targets = [];
+  for (const image of images) {
+    const target = await getRegenTarget(image);
+    const variation = await getVariation(target.folder);
+    const jobPrompt = prompt?.trim() || variation?.edit_prompt;
+    if (!jobPrompt) {
+      return res.status(400).json({ error: `No stored prompt for ${target.folder}; provide one` });
     }
+    targets.push({ image, ...target, prompt: jobPrompt, anchor: anchor || variation?.anchor || "front" });
+  }
+
+  const queued = targets.map((target) => jobs.add(
+    "regenerate",
+    { image: target.image, phase: target.phase, folder: target.folder, prompt: target.prompt, anchor: target.anchor },
+    ({ log, progress }) => withCostContext({ phase: "gallery-regen", exercise: target.folder }, async () => {
+      progress(0.1);
+      const filePath = await regenerateVariation(target.folderDir, {
+        prompt: target.prompt,
+        anchor: target.anchor,
+        onLog: log,
+      });
+      return { image: toImageKey(filePath) };
+    })
+  ));
+
+  res.status(202).json({ jobs: queued });
+}));
+
+// List recent jobs, newest first
+app.get("/api/jobs", (req, res) => {
+  res.json(jobs.list());
+});
+
+// Cancel a queued job
+app.post("/api/jobs/:id/cancel", (req, res) => {
+  if (!jobs.get(req.params.id)) {
+    return res.status(404).json({ error: "Job not found" });
   }
+  if (!jobs.cancel(req.params.id)) {
+    return res.status(409).json({ error: "Only queued jobs can be cancelled" });
+  }
+  res.json(jobs.get(req.params.id));
+});
+
+// Stream job updates as Server-Sent Events
+app.get("/api/jobs/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (job) => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
+  jobs.list().reverse().forEach(send);
+  jobs.on("update", send);
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    jobs.off("update", send);
+  });
+});
+
+// ============================================
+// LIVE OUTPUT UPDATES (filesystem watch over SSE)
+// ============================================
+const outputWatcher = new OutputWatcher();
+
+// Stream create/modify/delete events under output/ as Server-Sent Events
+app.get("/api/output/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (change) => res.write(`event: output\ndata: ${JSON.stringify(change)}\n\n`);
+  outputWatcher.on("change", send);
 
-  res.json({ exported, total: selected.length });
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    outputWatcher.off("change", send);
+  });
 });
 
 // HTML UI
@@ -166,7 +829,7 @@ app.get("/", (req, res) => {
   res.send(`<!DOCTYPE html>
 <html>
 <head>
-  <title>LoRA Image Gallery</title>
+  <title>LoRA Image Gallery · ${getCharacter().name}</title>
   <style>
     * { box-sizing: border-box; margin: 0; padding: 0; }
     body { font-family: system-ui, sans-serif; background: #1a1a2e; color: #eee; padding: 20px; }
@@ -191,6 +854,63 @@ app.get("/", (req, res) => {
       align-items: center; justify-content: center; font-weight: bold; font-size: 16px;
     }
     .img-wrap.selected .check { display: flex; }
+    .img-wrap.pending img { border-color: #ffd166; border-style: dashed; box-shadow: none; }
+    .img-wrap.pending .check { background: #ffd166; }
+    .score-badge {
+      position: absolute; bottom: 10px; left: 50%; transform: translateX(-50%); background: #000000aa; color: #eee;
+      border-radius: 4px; padding: 1px 6px; font-size: 12px; white-space: nowrap;
+    }
+    .score-badge.top { color: #00ff88; font-weight: bold; }
+    .auto-pick { font-size: 13px; font-weight: normal; text-transform: none; color: #ffd166; margin-left: 10px; }
+    .annotate-btn {
+      position: absolute; bottom: 10px; left: 8px; background: #16213ecc; color: #eee; border: none;
+      border-radius: 4px; padding: 2px 7px; cursor: pointer; font-size: 13px;
+    }
+    .annotation-badge {
+      position: absolute; top: 8px; left: 8px; background: #000000aa; color: #ffd166;
+      border-radius: 4px; padding: 1px 6px; font-size: 12px; max-width: 160px;
+      white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+    }
+    .annotation-badge.defect { color: #ffaa00; }
+    .rejection { font-size: 13px; font-weight: normal; text-transform: none; color: #aaa; margin-left: 10px; }
+    .rejection.pending { color: #ffaa00; }
+    .rejection.regenerated { color: #4fc3f7; }
+    .rejection.applied { color: #00ff88; }
+    .rejection button { margin-left: 6px; padding: 2px 8px; font-size: 12px; }
+    .filters { display: flex; gap: 10px; align-items: center; margin-bottom: 20px; font-size: 13px; }
+    .filters select { padding: 5px 8px; background: #16213e; color: #eee; border: 1px solid #2a3a5e; border-radius: 4px; }
+    .annotator { width: 520px; max-width: 95%; background: #16213e; border-radius: 8px; padding: 20px; cursor: default; }
+    .annotator img { width: 100%; max-height: 320px; object-fit: contain; margin-bottom: 10px; }
+    .annotator h3 { font-size: 14px; margin: 10px 0 6px; color: #aaa; word-break: break-all; }
+    .stars span { font-size: 26px; cursor: pointer; color: #555; }
+    .stars span.on { color: #ffd166; }
+    .tag-chip { display: inline-block; padding: 3px 10px; margin: 3px; border-radius: 12px; border: 1px solid #2a3a5e; cursor: pointer; font-size: 12px; }
+    .tag-chip.on { background: #e94560; border-color: #e94560; }
+    .tag-chip.defect.on { background: #ffaa00; border-color: #ffaa00; color: #000; }
+    .annotator input, .annotator textarea { width: 100%; padding: 6px 8px; background: #1a1a2e; border: 1px solid #2a3a5e; color: #eee; border-radius: 4px; margin-top: 6px; font-family: inherit; }
+    .annotator-actions { display: flex; gap: 8px; justify-content: flex-end; margin-top: 12px; }
+    .annotator-actions button { padding: 7px 16px; border: none; border-radius: 4px; cursor: pointer; font-weight: bold; }
+    .regen-btn {
+      position: absolute; bottom: 10px; right: 8px; background: #16213ecc; color: #eee; border: none;
+      border-radius: 4px; padding: 2px 7px; cursor: pointer; font-size: 13px;
+    }
+    .img-wrap.regen img { border-color: #ff8c42; }
+    .img-wrap.regen .regen-btn { background: #ff8c42; color: #000; }
+    .regen-bar {
+      position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%); background: #16213e; border: 1px solid #ff8c42;
+      padding: 10px 16px; border-radius: 8px; display: none; gap: 10px; align-items: center; z-index: 100;
+    }
+    .regen-bar.active { display: flex; }
+    .regen-bar button { padding: 6px 14px; border: none; border-radius: 4px; cursor: pointer; font-weight: bold; }
+    .btn-regen { background: #ff8c42; color: #000; }
+    .annotator select { width: 100%; padding: 6px 8px; background: #1a1a2e; border: 1px solid #2a3a5e; color: #eee; border-radius: 4px; margin-top: 6px; }
+    .jobs { position: fixed; bottom: 20px; left: 20px; width: 320px; max-height: 45vh; overflow-y: auto; z-index: 100; font-size: 12px; }
+    .job { background: #16213e; border-left: 3px solid #555; border-radius: 4px; padding: 6px 10px; margin-top: 6px; }
+    .job.running { border-left-color: #ff8c42; }
+    .job.done { border-left-color: #00ff88; }
+    .job.failed { border-left-color: #e94560; }
+    .job .job-log { color: #888; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .job button { float: right; background: none; border: none; color: #888; cursor: pointer; }
     .export-btn { 
       position: fixed; bottom: 20px; right: 20px; padding: 15px 30px; 
       background: #00ff88; color: #000; border: none; border-radius: 8px; 
@@ -203,47 +923,257 @@ app.get("/", (req, res) => {
     }
     .modal.active { display: flex; }
     .modal img { max-width: 90%; max-height: 90%; border-radius: 8px; }
+    .modal-meta { position: fixed; bottom: 20px; left: 20px; max-width: 480px; max-height: 40%; overflow-y: auto; background: rgba(22,33,62,0.9); border: 1px solid #2a3a5e; border-radius: 8px; padding: 10px 14px; font-size: 12px; color: #ccc; }
+    .modal-meta:empty { display: none; }
+    .modal-meta div { margin: 2px 0; word-break: break-word; }
+    .modal-meta b { color: #00ff88; font-weight: normal; margin-right: 6px; }
     .help { font-size: 13px; color: #888; margin-top: 5px; }
+    .exercise-list { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 20px; }
+    .exercise-btn { padding: 8px 14px; background: #16213e; border: 1px solid #2a3a5e; color: #eee; cursor: pointer; border-radius: 5px; font-size: 13px; }
+    .exercise-btn.active { border-color: #e94560; background: #2a1f3d; }
+    .shot { display: flex; gap: 15px; background: #16213e; padding: 15px; border-radius: 8px; margin-bottom: 15px; border-left: 4px solid #555; }
+    .shot.approved { border-left-color: #00ff88; }
+    .shot.flagged, .shot.error { border-left-color: #ffaa00; }
+    .shot-img { text-align: center; font-size: 12px; color: #888; }
+    .shot-img img { width: 220px; height: 220px; object-fit: cover; border-radius: 6px; cursor: pointer; display: block; margin-bottom: 4px; }
+    .shot-img .missing { width: 220px; height: 220px; border: 2px dashed #444; border-radius: 6px; display: flex; align-items: center; justify-content: center; }
+    .shot-info { flex: 1; font-size: 13px; line-height: 1.5; }
+    .shot-info h3 { font-size: 16px; margin-bottom: 6px; }
+    .shot-info .label { color: #888; }
+    .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: bold; margin-left: 6px; background: #444; }
+    .badge.approved { background: #00ff88; color: #000; }
+    .badge.flagged, .badge.error { background: #ffaa00; color: #000; }
+    .muscle { display: inline-block; padding: 1px 8px; margin: 2px 4px 2px 0; border-radius: 10px; background: #e9456033; color: #ff8fa3; }
+    .scores { margin: 8px 0; }
+    .score { display: flex; align-items: center; gap: 8px; }
+    .score-name { width: 170px; color: #aaa; }
+    .score-bar { flex: 1; max-width: 200px; height: 8px; background: #2a3a5e; border-radius: 4px; overflow: hidden; }
+    .score-bar div { height: 100%; background: #00ff88; }
+    .score-bar div.low { background: #ffaa00; }
+    .flipbook { width: 560px; max-height: 95vh; overflow-y: auto; }
+    .flipbook-stage { position: relative; width: 512px; height: 512px; margin: 8px auto; border: 3px solid #2a3a5e; border-radius: 6px; background: #1a1a2e; }
+    .flipbook-stage.failed { border-color: #ffaa00; }
+    .flipbook-stage img { position: absolute; top: 0; left: 0; width: 100%; height: 100%; max-width: none; max-height: none; object-fit: contain; border-radius: 0; }
+    .flipbook-stage img.onion { pointer-events: none; }
+    .flipbook-stage .missing { position: absolute; inset: 0; display: flex; align-items: center; justify-content: center; color: #888; }
+    .flipbook-controls { display: flex; gap: 10px; align-items: center; flex-wrap: wrap; font-size: 13px; }
+    .flipbook-controls button { padding: 5px 12px; background: #16213e; border: 1px solid #2a3a5e; color: #eee; border-radius: 4px; cursor: pointer; }
+    .flipbook-strip { display: flex; gap: 6px; overflow-x: auto; margin-top: 10px; padding-bottom: 4px; }
+    .flipbook-strip .frame { flex: 0 0 auto; width: 64px; text-align: center; font-size: 11px; color: #888; cursor: pointer; }
+    .flipbook-strip .frame img, .flipbook-strip .frame .missing { width: 64px; height: 64px; object-fit: cover; border: 2px solid #2a3a5e; border-radius: 4px; max-width: none; display: block; }
+    .flipbook-strip .frame .missing { border-style: dashed; }
+    .flipbook-strip .frame.approved img { border-color: #00ff88; }
+    .flipbook-strip .frame.failed img, .flipbook-strip .frame.failed .missing { border-color: #ffaa00; }
+    .flipbook-strip .frame.current { color: #eee; font-weight: bold; }
+    .flipbook-strip .frame.current img, .flipbook-strip .frame.current .missing { outline: 2px solid #e94560; }
+    .issues { color: #ffaa00; }
+    .review-actions { display: flex; gap: 8px; margin-top: 10px; align-items: center; }
+    .review-actions input { flex: 1; max-width: 360px; padding: 6px 8px; background: #1a1a2e; border: 1px solid #2a3a5e; color: #eee; border-radius: 4px; }
+    .review-actions button { padding: 6px 14px; border: none; border-radius: 4px; cursor: pointer; font-weight: bold; }
+    .btn-approve { background: #00ff88; color: #000; }
+    .btn-flag { background: #ffaa00; color: #000; }
   </style>
 </head>
 <body>
-  <h1>🎨 LoRA Training Image Gallery</h1>
+  <h1>🎨 LoRA Training Image Gallery · ${getCharacter().name}</h1>
   
   <div class="tabs">
-    <button class="tab active" onclick="showPhase('anchors')">Phase 1: Anchors</button>
-    <button class="tab" onclick="showPhase('variations')">Phase 2: Variations</button>
+    <button class="tab active" data-phase="anchors" onclick="showPhase('anchors')">Phase 1: Anchors</button>
+    <button class="tab" data-phase="variations" onclick="showPhase('variations')">Phase 2: Variations</button>
+    <button class="tab" data-phase="shots" onclick="showPhase('shots')">Phase 5/6: Shots</button>
   </div>
   
   <div class="stats" id="stats"></div>
+  <div class="filters" id="filters"></div>
   <div id="gallery"></div>
-  <button class="export-btn" onclick="exportTraining()">📦 Export Training Set</button>
+  <button class="export-btn" id="export-btn" onclick="exportTraining()">📦 Export Dataset…</button>
   
   <div class="modal" id="modal" onclick="closeModal()">
     <img id="modal-img" src="">
+    <div class="modal-meta" id="modal-meta" onclick="event.stopPropagation()"></div>
+  </div>
+
+  <div class="regen-bar" id="regen-bar">
+    <span id="regen-count"></span>
+    <button class="btn-regen" onclick="openRegenerate()">⟳ Regenerate…</button>
+    <button onclick="clearRegenSelection()">Clear</button>
+  </div>
+  <div class="jobs" id="jobs"></div>
+
+  <div class="modal" id="regen-modal" onclick="if (event.target === this) closeRegenerate()">
+    <div class="annotator">
+      <h3 id="regen-title"></h3>
+      <h3>Prompt (pose description; the character base prompt is added automatically)</h3>
+      <textarea id="regen-prompt" rows="5"></textarea>
+      <h3>Anchor</h3>
+      <select id="regen-anchor"></select>
+      <div class="annotator-actions">
+        <button onclick="closeRegenerate()">Cancel</button>
+        <button class="btn-regen" onclick="queueRegeneration()">Queue</button>
+      </div>
+    </div>
+  </div>
+
+  <div class="modal" id="balance-modal" onclick="if (event.target === this) closeBalance()">
+    <div class="annotator" style="width:640px; max-height:90vh; overflow-y:auto;">
+      <div id="balance-body"></div>
+      <div class="annotator-actions">
+        <button onclick="closeBalance()">Close</button>
+      </div>
+    </div>
+  </div>
+
+  <div class="modal" id="collection-modal" onclick="if (event.target === this) closeCollection()">
+    <div class="annotator" style="width:640px; max-height:90vh; overflow-y:auto;">
+      <h3 id="collection-title"></h3>
+      <h3>Compare with</h3>
+      <select id="collection-diff" onchange="renderCollectionDiff()"></select>
+      <div id="collection-diff-body" class="help"></div>
+      <h3>History</h3>
+      <div id="collection-history" class="help"></div>
+      <div class="annotator-actions">
+        <button onclick="closeCollection()">Close</button>
+      </div>
+    </div>
+  </div>
+
+  <div class="modal" id="export-modal" onclick="if (event.target === this) closeExport()">
+    <div class="annotator">
+      <h3 id="export-collection"></h3>
+      <h3>Dataset name (saved under output/datasets/)</h3>
+      <input id="export-name">
+      <h3>Layouts</h3>
+      <div id="export-formats"></div>
+      <div class="help">Captions and annotation exclusions match phase 3. Every layout gets a manifest.json with source paths and selection times.</div>
+      <h3>Previous exports</h3>
+      <div id="export-previous" class="help"></div>
+      <div class="annotator-actions">
+        <button onclick="closeExport()">Cancel</button>
+        <button class="btn-approve" onclick="runExport()">Export</button>
+      </div>
+    </div>
+  </div>
+
+  <div class="modal" id="prompt-modal" onclick="if (event.target === this) closePromptEditor()">
+    <div class="annotator">
+      <h3 id="prompt-title"></h3>
+      <h3>Engineered prompt</h3>
+      <textarea id="prompt-text" rows="6"></textarea>
+      <h3>Anchor</h3>
+      <select id="prompt-anchor"></select>
+      <h3>Highlighted muscles (comma separated)</h3>
+      <input id="prompt-muscles">
+      <h3><label><input type="checkbox" id="prompt-sequence" style="width:auto" onchange="toggleSequenceFields()"> Animation sequence frame</label></h3>
+      <div id="prompt-sequence-fields">
+        <input id="prompt-sequence-name" placeholder="Sequence name">
+        <input id="prompt-sequence-order" type="number" min="1" placeholder="Frame number">
+        <input id="prompt-sequence-total" type="number" min="1" placeholder="Total frames">
+      </div>
+      <h3>Note</h3>
+      <input id="prompt-note" placeholder="Why this change? (saved in prompt_history)">
+      <h3><label><input type="checkbox" id="prompt-refine" style="width:auto"> Let phase 6 refine the prompt if validation fails</label></h3>
+      <h3 id="prompt-history-title"></h3>
+      <div id="prompt-history" class="help"></div>
+      <div class="annotator-actions">
+        <button onclick="closePromptEditor()">Cancel</button>
+        <button class="btn-approve" onclick="savePrompt(false)">Save</button>
+        <button class="btn-regen" onclick="savePrompt(true)">Save &amp; Regenerate</button>
+      </div>
+    </div>
+  </div>
+
+  <div class="modal" id="sequence-modal" onclick="if (event.target === this) closeSequences()">
+    <div class="annotator flipbook">
+      <select id="sequence-name" onchange="showSequence(this.value)"></select>
+      <h3 id="sequence-caption"></h3>
+      <div class="flipbook-stage" id="sequence-stage">
+        <img id="sequence-frame" alt="">
+        <img id="sequence-onion" class="onion" alt="">
+        <div class="missing" id="sequence-missing">Frame not generated yet</div>
+      </div>
+      <div id="sequence-issues" class="issues"></div>
+      <div class="flipbook-controls">
+        <button onclick="stepSequence(-1)" title="Previous frame">⏮</button>
+        <button id="sequence-play" onclick="toggleSequencePlayback()">⏸ Pause</button>
+        <button onclick="stepSequence(1)" title="Next frame">⏭</button>
+        <label>FPS <input type="range" id="sequence-fps" min="1" max="24" value="6" style="width:110px" oninput="setSequenceFps()"> <span id="sequence-fps-value">6</span></label>
+        <label><input type="checkbox" id="sequence-onion-toggle" style="width:auto" onchange="renderSequenceFrame()"> Onion skin</label>
+        <input type="range" id="sequence-onion-opacity" min="10" max="80" value="35" style="width:90px" title="Onion skin opacity" oninput="renderSequenceFrame()">
+      </div>
+      <div class="flipbook-strip" id="sequence-strip"></div>
+      <div class="annotator-actions">
+        <button onclick="closeSequences()">Close</button>
+      </div>
+    </div>
+  </div>
+
+  <div class="modal" id="annotator-modal" onclick="if (event.target === this) closeAnnotator()">
+    <div class="annotator">
+      <img id="annotator-img" src="">
+      <h3 id="annotator-title"></h3>
+      <div class="stars" id="annotator-stars"></div>
+      <h3>Tags</h3>
+      <div id="annotator-tags"></div>
+      <input id="annotator-new-tag" placeholder="Add a tag and press Enter" onkeydown="if (event.key === 'Enter') addCustomTag()">
+      <h3>Notes</h3>
+      <textarea id="annotator-notes" rows="3" placeholder="What's wrong or worth keeping?"></textarea>
+      <div class="annotator-actions">
+        <button onclick="clearAnnotation()">Clear</button>
+        <button onclick="closeAnnotator()">Cancel</button>
+        <button class="btn-approve" onclick="saveCurrentAnnotation()">Save</button>
+      </div>
+    </div>
   </div>
 
   <script>
     let currentPhase = 'anchors';
     let images = {};
     let anchorSelections = {};
+    let anchorRankings = {};
     let trainingSelections = [];
+    let collections = { active: null, collections: [] };
+    let rejections = {};
+    let exercises = [];
+    let currentExercise = null;
+    let shots = [];
+    let annotations = {};
+    let tagList = [];
+    let defectTags = [];
+    let filters = { tag: '', minRating: 0, state: 'all' };
+    let annotating = null;
+    let regenSelection = new Set();
+    let jobList = [];
 
     async function loadData() {
-      const [imgRes, anchorRes, trainingRes] = await Promise.all([
+      document.getElementById('export-btn').style.display = currentPhase === 'shots' ? 'none' : '';
+      if (currentPhase === 'shots') {
+        document.getElementById('filters').innerHTML = '';
+        return Promise.all([loadShots(), loadAnnotations()]);
+      }
+      const [imgRes, anchorRes, rankingRes, trainingRes, collectionRes, rejectionRes] = await Promise.all([
         fetch('/api/images/' + currentPhase).then(r => r.json()),
         fetch('/api/selected/anchors').then(r => r.json()),
-        fetch('/api/training').then(r => r.json())
+        currentPhase === 'anchors' ? fetch('/api/anchor-rankings').then(r => r.json()) : {},
+        fetch('/api/training').then(r => r.json()),
+        fetch('/api/collections').then(r => r.json()),
+        fetch('/api/rejections').then(r => r.json()),
+        loadAnnotations()
       ]);
       images = imgRes;
       anchorSelections = anchorRes;
+      anchorRankings = rankingRes;
       trainingSelections = trainingRes;
+      collections = collectionRes;
+      rejections = rejectionRes;
       render();
     }
 
     function showPhase(phase) {
       currentPhase = phase;
-      document.querySelectorAll('.tab').forEach((t, i) => {
-        t.classList.toggle('active', (phase === 'anchors' && i === 0) || (phase === 'variations' && i === 1));
+      regenSelection.clear();
+      renderRegenBar();
+      document.querySelectorAll('.tab').forEach(t => {
+        t.classList.toggle('active', t.dataset.phase === phase);
       });
       loadData();
     }
@@ -260,19 +1190,26 @@ app.get("/", (req, res) => {
         const imgs = images[folder];
         totalImages += imgs.length;
         html += '<div class="folder">';
-        html += '<div class="folder-name">' + folder.replace(/_/g, ' ') + '</div>';
+        const ranking = currentPhase === 'anchors' ? anchorRankings[folder] : null;
+        const autoPicked = ranking && ranking.auto_selected && anchorSelections[folder] === ranking.auto_selected;
+        html += '<div class="folder-name">' + folder.replace(/_/g, ' ') + rejectionControls(folder) +
+          (autoPicked ? '<span class="auto-pick">🤖 auto-picked by score, click it (or another) to confirm</span>' : '') + '</div>';
         html += '<div class="images">';
         
-        for (const img of imgs) {
+        for (const img of rankedImages(imgs, ranking).filter(matchesFilters)) {
           const isAnchorSelected = currentPhase === 'anchors' && anchorSelections[folder] === img;
           const isTrainingSelected = trainingSelections.includes(img);
           const isSelected = isAnchorSelected || isTrainingSelected;
           
-          html += '<div class="img-wrap ' + (isSelected ? 'selected' : '') + '" ';
+          html += '<div class="img-wrap ' + (isSelected ? 'selected ' : '') + (isAnchorSelected && autoPicked ? 'pending ' : '') + (regenSelection.has(img) ? 'regen' : '') + '" ';
           html += 'onclick="selectImage(\\'' + folder + '\\', \\'' + img + '\\')" ';
           html += 'oncontextmenu="showLarge(\\'' + img + '\\'); return false;">';
-          html += '<img src="' + img + '" loading="lazy">';
+          html += '<img src="' + imageSrc(img) + '" loading="lazy">';
           html += '<div class="check">✓</div>';
+          html += annotationBadge(img);
+          html += scoreBadge(img, ranking);
+          html += '<button class="annotate-btn" title="Rate, tag and note" onclick="event.stopPropagation(); openAnnotator(\\'' + img + '\\')">✎</button>';
+          html += '<button class="regen-btn" title="Select for regeneration" onclick="event.stopPropagation(); toggleRegen(\\'' + img + '\\')">⟳</button>';
           html += '</div>';
         }
         
@@ -280,19 +1217,51 @@ app.get("/", (req, res) => {
       }
 
       gallery.innerHTML = html || '<p style="padding:20px;">No images found. Run <code>npm run phase1</code> first.</p>';
+      renderFilters();
       
       if (currentPhase === 'anchors') {
         const selected = Object.keys(anchorSelections).length;
+        const pending = folders.filter(f => anchorRankings[f] && anchorRankings[f].auto_selected && anchorSelections[f] === anchorRankings[f].auto_selected).length;
         stats.innerHTML = '<strong>Anchors:</strong> ' + totalImages + ' images across ' + folders.length + ' poses<br>';
-        stats.innerHTML += '<strong>Selected:</strong> ' + selected + ' / 8 anchors';
-        stats.innerHTML += '<div class="help">Click to select the best image for each anchor pose. Right-click to view large.</div>';
+        stats.innerHTML += '<strong>Selected:</strong> ' + selected + ' / ' + folders.length + ' anchors' + (pending > 0 ? ' (' + pending + ' auto-picked, awaiting confirmation)' : '');
+        stats.innerHTML += '<div class="help">Click to select the best image for each anchor pose. Right-click to view large. Run <code>npm run score-anchors</code> to rank candidates by how well they match the character; hover a score for its breakdown.</div>';
       } else {
         stats.innerHTML = '<strong>Variations:</strong> ' + totalImages + ' images across ' + folders.length + ' poses<br>';
+        stats.innerHTML += '<strong>Collection:</strong> ' + renderCollectionPicker();
+        stats.innerHTML += ' <button class="exercise-btn" onclick="newCollection(false)">＋ New</button>';
+        stats.innerHTML += ' <button class="exercise-btn" onclick="newCollection(true)">⧉ Clone</button>';
+        stats.innerHTML += ' <button class="exercise-btn" onclick="renameCollection()">Rename</button>';
+        stats.innerHTML += ' <button class="exercise-btn" onclick="deleteCollection()">Delete</button>';
+        stats.innerHTML += ' <button class="exercise-btn" onclick="undoCollection()">↶ Undo</button>';
+        stats.innerHTML += ' <button class="exercise-btn" onclick="openCollection()">🕘 History &amp; Diff</button><br>';
         stats.innerHTML += '<strong>Selected for training:</strong> ' + trainingSelections.length + ' images';
-        stats.innerHTML += '<div class="help">Click to add/remove from training set. Aim for 20-30 total. Right-click to view large.</div>';
+        stats.innerHTML += ' <button class="exercise-btn" onclick="openBalance()">📊 Balance</button>';
+        const pending = Object.values(rejections).filter(r => r.status === 'pending').length;
+        if (pending > 0) {
+          stats.innerHTML += '<br><strong>Rejected:</strong> ' + pending + ' variation(s) waiting for <code>node src/phase2-rejected-regen.js</code>';
+        }
+        stats.innerHTML += '<div class="help">Click to add/remove from the active collection. Aim for 20-30 total. Ctrl+Z undoes the last click. Right-click to view large. Reject a pose whose images all miss to have its prompt re-engineered.</div>';
       }
     }
 
+    // Scored candidates first, best first; unscored ones keep their order after them
+    function rankedImages(imgs, ranking) {
+      if (!ranking) return imgs;
+      const order = ranking.candidates.map(c => c.image);
+      const rank = img => order.includes(img) ? order.indexOf(img) : order.length;
+      return [...imgs].sort((a, b) => rank(a) - rank(b));
+    }
+
+    function scoreBadge(img, ranking) {
+      if (!ranking) return '';
+      const index = ranking.candidates.findIndex(c => c.image === img);
+      if (index === -1) return '';
+      const c = ranking.candidates[index];
+      const details = Object.entries(c.checks).map(([name, score]) => name + ': ' + Math.round(score * 100) + '%')
+        .concat(c.issues).join('\\n');
+      return '<div class="score-badge ' + (index === 0 ? 'top' : '') + '" title="' + esc(details) + '">#' + (index + 1) + ' · ' + Math.round(c.score * 100) + '%</div>';
+    }
+
     async function selectImage(folder, img) {
       if (currentPhase === 'anchors') {
         await fetch('/api/select/anchors', {
@@ -310,46 +1279,949 @@ app.get("/", (req, res) => {
       loadData();
     }
 
+    // ---------- Phase 5/6 shot review ----------
+    function esc(text) {
+      return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    async function loadShots() {
+      exercises = await fetch('/api/exercises').then(r => r.json());
+      if (!currentExercise && exercises.length > 0) {
+        currentExercise = exercises[0].exercise;
+      }
+      shots = [];
+      if (currentExercise) {
+        const res = await fetch('/api/exercises/' + encodeURIComponent(currentExercise) + '/shots');
+        shots = res.ok ? (await res.json()).shots : [];
+      }
+      renderShots();
+    }
+
+    function selectExercise(index) {
+      currentExercise = exercises[index].exercise;
+      loadShots();
+    }
+
+    function renderScores(validation) {
+      if (!validation || !validation.criteria_scores) return '';
+      let html = '<div class="scores">';
+      for (const [name, score] of Object.entries(validation.criteria_scores)) {
+        const pct = Math.round(score * 100);
+        html += '<div class="score"><span class="score-name">' + esc(name.replace(/_/g, ' ')) + '</span>';
+        html += '<div class="score-bar"><div class="' + (score < 0.7 ? 'low' : '') + '" style="width:' + pct + '%"></div></div>';
+        html += '<span>' + score.toFixed(2) + '</span></div>';
+      }
+      return html + '</div>';
+    }
+
+    function renderShot(shot, index) {
+      const v = shot.validation;
+      let html = '<div class="shot ' + esc(shot.status) + '">';
+
+      html += '<div class="shot-img">';
+      html += shot.image
+        ? '<img src="' + esc(shot.image) + '" loading="lazy" onclick="showLarge(shots[' + index + '].image)">'
+        : '<div class="missing">No image yet</div>';
+      html += 'Generated</div>';
+
+      html += '<div class="shot-img">';
+      html += shot.anchor
+        ? '<img src="' + esc(shot.anchor) + '" loading="lazy" onclick="showLarge(shots[' + index + '].anchor)">'
+        : '<div class="missing">No anchor</div>';
+      html += 'Anchor</div>';
+
+      html += '<div class="shot-info">';
+      html += '<h3>' + esc(shot.id) + ' · ' + esc(shot.name) + '<span class="badge ' + esc(shot.status) + '">' + esc(shot.status) + '</span></h3>';
+      if (shot.muscles.length > 0) {
+        html += '<div><span class="label">Muscles:</span> ' + shot.muscles.map(m => '<span class="muscle">' + esc(m) + '</span>').join('') + '</div>';
+      }
+      html += '<div><span class="label">TTS:</span> ' + (shot.tts_segment ? '"' + esc(shot.tts_segment) + '"' : '<em>not linked</em>') + '</div>';
+      html += '<div><span class="label">Prompt:</span> ' + esc(shot.prompt || '(missing prompt.json)') + '</div>';
+      if (v && typeof v.confidence === 'number') {
+        html += '<div><span class="label">Confidence:</span> ' + v.confidence.toFixed(2) + (v.iteration !== undefined ? ' (iteration ' + v.iteration + ')' : '') + '</div>';
+      }
+      html += renderScores(v);
+      if (v && v.issues && v.issues.length > 0) {
+        html += '<div class="issues">⚠️ ' + v.issues.map(esc).join('<br>⚠️ ') + '</div>';
+      }
+      if (shot.image && annotations[shot.image.split('?')[0]]) {
+        const a = annotations[shot.image.split('?')[0]];
+        html += '<div><span class="label">Annotation:</span> ' + (a.rating ? '★'.repeat(a.rating) + ' ' : '') + a.tags.map(esc).join(', ') + (a.notes ? ' — ' + esc(a.notes) : '') + '</div>';
+      }
+      if (v && v.review) {
+        html += '<div class="help">👤 ' + esc(v.review.decision) + ' on ' + esc(v.review.reviewed_at.substring(0, 16).replace('T', ' ')) + (v.review.note ? ': ' + esc(v.review.note) : '') + '</div>';
+      }
+      if (shot.image) {
+        html += '<div class="review-actions">';
+        html += '<input id="note-' + index + '" placeholder="Reviewer note (optional)" value="' + esc(v && v.review && v.review.note || '') + '">';
+        html += '<button class="btn-approve" onclick="reviewShot(' + index + ', \\'approved\\')">✓ Approve</button>';
+        html += '<button class="btn-flag" onclick="reviewShot(' + index + ', \\'flagged\\')">⚑ Flag</button>';
+        html += '<button onclick="openAnnotator(shots[' + index + '].image)">✎ Annotate</button>';
+        html += '<button onclick="openPromptEditor(' + index + ')">✏️ Edit prompt</button>';
+        if (shot.is_sequence_frame && shot.sequence_name) {
+          html += '<button onclick="openSequences(shots[' + index + '].sequence_name)">🎞️ Play sequence</button>';
+        }
+        html += '</div>';
+      } else {
+        html += '<div class="review-actions"><button onclick="openPromptEditor(' + index + ')">✏️ Edit prompt</button></div>';
+      }
+      html += '</div></div>';
+      return html;
+    }
+
+    function renderShots() {
+      const gallery = document.getElementById('gallery');
+      const stats = document.getElementById('stats');
+
+      if (exercises.length === 0) {
+        stats.innerHTML = '<strong>Shots:</strong> none yet';
+        gallery.innerHTML = '<p style="padding:20px;">No video scripts found. Run <code>npm run generate-video &lt;exercise&gt;</code> first.</p>';
+        return;
+      }
+
+      let html = '<div class="exercise-list">';
+      exercises.forEach((ex, i) => {
+        const total = Object.values(ex.counts).reduce((a, b) => a + b, 0);
+        html += '<button class="exercise-btn ' + (ex.exercise === currentExercise ? 'active' : '') + '" onclick="selectExercise(' + i + ')">';
+        html += esc(ex.display_name) + ' <span class="help">' + (ex.counts.approved || 0) + '/' + total + ' ✓</span></button>';
+      });
+      html += '</div>';
+      html += shots.map(renderShot).join('');
+      gallery.innerHTML = html;
+
+      const count = status => shots.filter(s => s.status === status).length;
+      stats.innerHTML = '<strong>' + esc(currentExercise) + ':</strong> ' + shots.length + ' shots<br>';
+      stats.innerHTML += '<strong>Approved:</strong> ' + count('approved') + ' · <strong>Flagged:</strong> ' + count('flagged') +
+        ' · <strong>Errors:</strong> ' + count('error') + ' · <strong>Pending:</strong> ' + count('pending');
+      const sequenceCount = Object.keys(getSequences()).length;
+      if (sequenceCount > 0) {
+        stats.innerHTML += ' <button class="exercise-btn" onclick="openSequences()">🎞️ Sequences (' + sequenceCount + ')</button>';
+      }
+      stats.innerHTML += '<div class="help">Approve or flag each shot; the decision is saved to its validation.json and kept by phase 6 until the image changes.</div>';
+      if (sequenceView) renderSequenceFrame();
+    }
+
+    // ---------- Sequence flipbook ----------
+    let sequenceView = null; // { name, frame, timer }
+
+    // Sequence frames grouped by sequence_name in frame order. Frames missing
+    // from 1..sequence_total get a placeholder so gaps show up in playback.
+    function getSequences() {
+      const groups = {};
+      shots.forEach((shot, index) => {
+        if (!shot.is_sequence_frame || !shot.sequence_name) return;
+        (groups[shot.sequence_name] = groups[shot.sequence_name] || []).push({ ...shot, index });
+      });
+
+      for (const [name, frames] of Object.entries(groups)) {
+        const byOrder = new Map();
+        for (const frame of frames) {
+          if (frame.sequence_order && !byOrder.has(frame.sequence_order)) byOrder.set(frame.sequence_order, frame);
+        }
+        const total = Math.max(...frames.map(f => Math.max(f.sequence_total || 0, f.sequence_order || 0)));
+        const slots = [];
+        for (let order = 1; order <= total; order++) {
+          slots.push(byOrder.get(order) || { missing: true, sequence_order: order, status: 'missing' });
+        }
+        // Unnumbered or duplicate frames play after the numbered ones
+        groups[name] = slots.concat(frames.filter(f => !f.sequence_order || byOrder.get(f.sequence_order) !== f));
+      }
+      return groups;
+    }
+
+    function isFailedFrame(frame) {
+      return frame.missing || !frame.image || frame.status === 'flagged' || frame.status === 'error';
+    }
+
+    function openSequences(name) {
+      const sequences = getSequences();
+      const names = Object.keys(sequences).sort();
+      if (names.length === 0) return;
+      document.getElementById('sequence-name').innerHTML = names.map(n =>
+        '<option value="' + esc(n) + '">' + esc(n.replace(/_/g, ' ')) + ' (' + sequences[n].length + ' frames)</option>'
+      ).join('');
+      document.getElementById('sequence-modal').classList.add('active');
+      showSequence(name && sequences[name] ? name : names[0]);
+    }
+
+    function showSequence(name) {
+      stopSequenceTimer();
+      sequenceView = { name, frame: 0, timer: null };
+      document.getElementById('sequence-name').value = name;
+      renderSequenceFrame();
+      startSequenceTimer();
+    }
+
+    function renderSequenceFrame() {
+      const frames = getSequences()[sequenceView.name] || [];
+      if (frames.length === 0) return closeSequences();
+      sequenceView.frame = ((sequenceView.frame % frames.length) + frames.length) % frames.length;
+      const frame = frames[sequenceView.frame];
+      const previous = frames[(sequenceView.frame - 1 + frames.length) % frames.length];
+
+      const frameImg = document.getElementById('sequence-frame');
+      const onionImg = document.getElementById('sequence-onion');
+      const onion = document.getElementById('sequence-onion-toggle').checked && previous !== frame && previous.image;
+      frameImg.style.display = frame.image ? '' : 'none';
+      if (frame.image && frameImg.getAttribute('src') !== frame.image) frameImg.src = frame.image;
+      onionImg.style.display = onion ? '' : 'none';
+      if (onion && onionImg.getAttribute('src') !== previous.image) onionImg.src = previous.image;
+      onionImg.style.opacity = document.getElementById('sequence-onion-opacity').value / 100;
+      document.getElementById('sequence-missing').style.display = frame.image ? 'none' : '';
+      document.getElementById('sequence-stage').classList.toggle('failed', isFailedFrame(frame));
+
+      const failed = frames.filter(isFailedFrame).length;
+      document.getElementById('sequence-caption').innerHTML = 'Frame ' + (sequenceView.frame + 1) + ' / ' + frames.length +
+        (frame.missing ? ' · not generated' : ' · ' + esc(frame.id) + ' <span class="badge ' + esc(frame.status) + '">' + esc(frame.status) + '</span>') +
+        (failed ? ' <span class="help">' + failed + ' frame(s) need attention</span>' : '');
+      const issues = frame.validation && frame.validation.issues || [];
+      document.getElementById('sequence-issues').innerHTML = issues.length ? '⚠️ ' + issues.map(esc).join('<br>⚠️ ') : '';
+
+      // Rebuild the strip only when the frames change, not on every tick
+      const strip = document.getElementById('sequence-strip');
+      const stripKey = frames.map(f => f.status + (f.image || '')).join('|');
+      if (strip.dataset.key !== stripKey) {
+        strip.dataset.key = stripKey;
+        strip.innerHTML = frames.map((f, i) =>
+          '<div class="frame ' + (isFailedFrame(f) ? 'failed' : f.status === 'approved' ? 'approved' : '') + '" onclick="jumpSequence(' + i + ')">' +
+          (f.image ? '<img src="' + esc(f.image) + '">' : '<div class="missing"></div>') + (f.sequence_order || '?') + '</div>'
+        ).join('');
+      }
+      [...strip.children].forEach((el, i) => el.classList.toggle('current', i === sequenceView.frame));
+    }
+
+    function startSequenceTimer() {
+      const fps = parseInt(document.getElementById('sequence-fps').value, 10);
+      sequenceView.timer = setInterval(() => stepSequence(1), 1000 / fps);
+      document.getElementById('sequence-play').textContent = '⏸ Pause';
+    }
+
+    function stopSequenceTimer() {
+      if (sequenceView && sequenceView.timer) {
+        clearInterval(sequenceView.timer);
+        sequenceView.timer = null;
+      }
+      document.getElementById('sequence-play').textContent = '▶ Play';
+    }
+
+    function toggleSequencePlayback() {
+      if (sequenceView.timer) stopSequenceTimer();
+      else startSequenceTimer();
+    }
+
+    function setSequenceFps() {
+      document.getElementById('sequence-fps-value').textContent = document.getElementById('sequence-fps').value;
+      if (sequenceView && sequenceView.timer) {
+        stopSequenceTimer();
+        startSequenceTimer();
+      }
+    }
+
+    function stepSequence(delta) {
+      sequenceView.frame += delta;
+      renderSequenceFrame();
+    }
+
+    // Clicking a frame in the strip pauses on it
+    function jumpSequence(index) {
+      stopSequenceTimer();
+      sequenceView.frame = index;
+      renderSequenceFrame();
+    }
+
+    function closeSequences() {
+      stopSequenceTimer();
+      sequenceView = null;
+      document.getElementById('sequence-modal').classList.remove('active');
+    }
+
+    async function reviewShot(index, decision) {
+      const shot = shots[index];
+      const note = document.getElementById('note-' + index).value;
+      const res = await fetch('/api/exercises/' + encodeURIComponent(currentExercise) + '/shots/' + encodeURIComponent(shot.id) + '/review', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ decision, note })
+      });
+      if (!res.ok) {
+        alert('❌ ' + (await res.json()).error);
+      }
+      loadShots();
+    }
+
+    // ---------- Shot prompt editor ----------
+    let editingShot = null;
+
+    function shotUrl(shot) {
+      return '/api/exercises/' + encodeURIComponent(currentExercise) + '/shots/' + encodeURIComponent(shot.id);
+    }
+
+    async function openPromptEditor(index) {
+      const shot = shots[index];
+      const res = await fetch(shotUrl(shot) + '/prompt');
+      const data = await res.json();
+      if (!res.ok) {
+        alert('❌ ' + data.error);
+        return;
+      }
+
+      editingShot = shot;
+      const p = data.prompt;
+      document.getElementById('prompt-title').textContent = shot.id + ' · ' + shot.name;
+      document.getElementById('prompt-text').value = p.engineered_prompt || '';
+      document.getElementById('prompt-anchor').innerHTML = data.anchors.map(a =>
+        '<option value="' + esc(a) + '"' + (a === p.anchor_image ? ' selected' : '') + '>' + esc(a.split('/').pop()) + '</option>'
+      ).join('');
+      document.getElementById('prompt-muscles').value = (p.highlighted_muscles || []).join(', ');
+      document.getElementById('prompt-sequence').checked = !!p.is_sequence_frame;
+      document.getElementById('prompt-sequence-name').value = p.sequence_name || '';
+      document.getElementById('prompt-sequence-order').value = p.sequence_order || '';
+      document.getElementById('prompt-sequence-total').value = p.sequence_total || '';
+      document.getElementById('prompt-note').value = '';
+      document.getElementById('prompt-refine').checked = false;
+      toggleSequenceFields();
+
+      const history = (p.prompt_history || []).slice().reverse();
+      document.getElementById('prompt-history-title').textContent = history.length ? 'History (' + history.length + ')' : '';
+      document.getElementById('prompt-history').innerHTML = history.slice(0, 5).map(h =>
+        '<div>' + (h.source === 'gallery' ? '✏️ ' + esc((h.edited_at || '').substring(0, 16).replace('T', ' ')) : '🔄 phase 6 iteration ' + esc(h.iteration)) +
+        (h.note ? ' — ' + esc(h.note) : '') + (h.issues && h.issues.length ? ' — ' + h.issues.map(esc).join('; ') : '') +
+        '<br>"' + esc(h.prompt) + '"</div>'
+      ).join('');
+
+      document.getElementById('prompt-modal').classList.add('active');
+    }
+
+    function closePromptEditor() {
+      editingShot = null;
+      document.getElementById('prompt-modal').classList.remove('active');
+    }
+
+    function toggleSequenceFields() {
+      document.getElementById('prompt-sequence-fields').style.display = document.getElementById('prompt-sequence').checked ? '' : 'none';
+    }
+
+    async function savePrompt(regenerate) {
+      const shot = editingShot;
+      const isSequence = document.getElementById('prompt-sequence').checked;
+      const changes = {
+        engineered_prompt: document.getElementById('prompt-text').value,
+        anchor_image: document.getElementById('prompt-anchor').value,
+        highlighted_muscles: document.getElementById('prompt-muscles').value.split(',').map(m => m.trim()).filter(Boolean),
+        is_sequence_frame: isSequence
+      };
+      if (isSequence) {
+        changes.sequence_name = document.getElementById('prompt-sequence-name').value.trim();
+        changes.sequence_order = parseInt(document.getElementById('prompt-sequence-order').value, 10) || null;
+        changes.sequence_total = parseInt(document.getElementById('prompt-sequence-total').value, 10) || null;
+      }
+
+      const res = await fetch(shotUrl(shot) + '/prompt', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ changes, note: document.getElementById('prompt-note').value })
+      });
+      if (!res.ok) {
+        alert('❌ ' + (await res.json()).error);
+        return;
+      }
+
+      if (regenerate) {
+        const regenRes = await fetch(shotUrl(shot) + '/regenerate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refine: document.getElementById('prompt-refine').checked })
+        });
+        if (!regenRes.ok) {
+          alert('❌ ' + (await regenRes.json()).error);
+          return;
+        }
+      }
+      closePromptEditor();
+      loadShots();
+    }
+
+    // ---------- Regeneration jobs ----------
+    function toggleRegen(img) {
+      regenSelection.has(img) ? regenSelection.delete(img) : regenSelection.add(img);
+      renderRegenBar();
+      render();
+    }
+
+    function clearRegenSelection() {
+      regenSelection.clear();
+      renderRegenBar();
+      render();
+    }
+
+    function renderRegenBar() {
+      document.getElementById('regen-count').textContent = regenSelection.size + ' selected for regeneration';
+      document.getElementById('regen-bar').classList.toggle('active', regenSelection.size > 0 && currentPhase !== 'shots');
+    }
+
+    async function openRegenerate() {
+      const selected = [...regenSelection];
+      const res = await fetch('/api/regenerate/defaults?image=' + encodeURIComponent(selected[0]));
+      const defaults = await res.json();
+      if (!res.ok) {
+        alert('❌ ' + defaults.error);
+        return;
+      }
+
+      const single = selected.length === 1;
+      document.getElementById('regen-title').textContent = single ? defaults.folder : selected.length + ' images';
+      const promptInput = document.getElementById('regen-prompt');
+      promptInput.value = single ? defaults.prompt : '';
+      promptInput.placeholder = single ? '' : 'Leave empty to use each variation\\'s stored prompt';
+
+      let options = single ? '' : '<option value="">(each variation\\'s stored anchor)</option>';
+      for (const anchor of defaults.anchors) {
+        options += '<option value="' + esc(anchor) + '"' + (single && anchor === defaults.anchor ? ' selected' : '') + '>' + esc(anchor) + '</option>';
+      }
+      document.getElementById('regen-anchor').innerHTML = options;
+      document.getElementById('regen-modal').classList.add('active');
+    }
+
+    function closeRegenerate() {
+      document.getElementById('regen-modal').classList.remove('active');
+    }
+
+    async function queueRegeneration() {
+      const prompt = document.getElementById('regen-prompt').value.trim();
+      const anchor = document.getElementById('regen-anchor').value;
+      const res = await fetch('/api/jobs/regenerate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ images: [...regenSelection], prompt: prompt || null, anchor: anchor || null })
+      });
+      if (!res.ok) {
+        alert('❌ ' + (await res.json()).error);
+        return;
+      }
+      closeRegenerate();
+      clearRegenSelection();
+    }
+
+    function renderJobs() {
+      document.getElementById('jobs').innerHTML = jobList.slice(0, 6).map(job => {
+        const last = job.error || job.log[job.log.length - 1] || job.status;
+        return '<div class="job ' + esc(job.status) + '">' +
+          (job.status === 'queued' ? '<button title="Cancel" onclick="cancelJob(\\'' + job.id + '\\')">✕</button>' : '') +
+          '<strong>⟳ ' + esc(job.params.folder) + '</strong> · ' + esc(job.status) +
+          '<div class="job-log">' + esc(last) + '</div></div>';
+      }).join('');
+    }
+
+    async function cancelJob(id) {
+      await fetch('/api/jobs/' + id + '/cancel', { method: 'POST' });
+    }
+
+    function listenForJobs() {
+      const events = new EventSource('/api/jobs/events');
+      events.addEventListener('job', e => {
+        const job = JSON.parse(e.data);
+        const index = jobList.findIndex(j => j.id === job.id);
+        const wasDone = index > -1 && jobList[index].status === 'done';
+        const justFinished = index > -1 && ['queued', 'running'].includes(jobList[index].status) && ['done', 'failed'].includes(job.status);
+        if (index > -1) {
+          jobList[index] = job;
+        } else {
+          jobList.unshift(job);
+        }
+        renderJobs();
+
+        // Show new images as soon as they land in the open phase
+        if (job.status === 'done' && !wasDone && job.type === 'regenerate' && job.result && job.result.image.startsWith('/output/' + currentPhase + '/')) {
+          loadData();
+        }
+        // Regenerated shots land in the Shots tab
+        if (justFinished && job.type === 'shot' && currentPhase === 'shots' && job.params.exercise === currentExercise) {
+          loadShots();
+        }
+      });
+    }
+
+    // ---------- Live updates ----------
+    // Images rewritten in place (e.g. phase 6 regeneration) need a new URL to bypass the browser cache
+    const imageVersions = {};
+    const pendingRefresh = new Set();
+    let refreshTimer = null;
+
+    function imageSrc(img) {
+      return imageVersions[img] ? img + '?v=' + imageVersions[img] : img;
+    }
+
+    // Batch bursts of changes (a phase writing many images) into one reload
+    function scheduleRefresh(what) {
+      pendingRefresh.add(what);
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(async () => {
+        const reloadData = pendingRefresh.has('data');
+        pendingRefresh.clear();
+        if (reloadData) {
+          await loadData();
+        } else {
+          await loadAnnotations();
+          currentPhase === 'shots' ? renderShots() : render();
+        }
+      }, 300);
+    }
+
+    function listenForOutput() {
+      const events = new EventSource('/api/output/events');
+      events.addEventListener('output', e => {
+        const change = JSON.parse(e.data);
+        const p = change.path;
+        if (change.kind === 'image' && change.type === 'modify') {
+          imageVersions[p] = Math.round(change.mtime);
+        }
+
+        if (p === '/output/annotations.json') {
+          scheduleRefresh('annotations');
+        } else if (p === '/output/rejections.json' && currentPhase !== 'shots') {
+          scheduleRefresh('data');
+        } else if (currentPhase === 'shots') {
+          if (p.startsWith('/output/video-scripts/')) scheduleRefresh('data');
+        } else if (p.startsWith('/output/' + currentPhase + '/') || p === '/output/' + currentPhase ||
+                   p.startsWith('/output/collections/') || p === '/output/anchors-selected.json' ||
+                   (p === '/output/anchor-rankings.json' && currentPhase === 'anchors')) {
+          scheduleRefresh('data');
+        }
+      });
+    }
+
+    // ---------- Annotations ----------
+    async function loadAnnotations() {
+      const [annotationRes, tagRes] = await Promise.all([
+        fetch('/api/annotations').then(r => r.json()),
+        fetch('/api/annotations/tags').then(r => r.json())
+      ]);
+      annotations = annotationRes;
+      tagList = tagRes.tags;
+      defectTags = tagRes.defect_tags;
+    }
+
+    function annotationBadge(img) {
+      const a = annotations[img];
+      if (!a) return '';
+      const hasDefect = a.tags.some(t => defectTags.includes(t));
+      const text = (a.rating ? '★' + a.rating + ' ' : '') + a.tags.join(', ') + (a.notes && !a.tags.length ? '📝' : '');
+      return '<div class="annotation-badge ' + (hasDefect ? 'defect' : '') + '" title="' + esc(a.notes || '') + '">' + esc(text) + '</div>';
+    }
+
+    function matchesFilters(img) {
+      const a = annotations[img];
+      if (filters.state === 'annotated' && !a) return false;
+      if (filters.state === 'unannotated' && a) return false;
+      if (filters.state === 'defects' && !(a && a.tags.some(t => defectTags.includes(t)))) return false;
+      if (filters.tag && !(a && a.tags.includes(filters.tag))) return false;
+      if (filters.minRating && !(a && a.rating >= filters.minRating)) return false;
+      return true;
+    }
+
+    function renderFilters() {
+      let html = '<strong>Filter:</strong>';
+      html += '<select onchange="setFilter(\\'state\\', this.value)">';
+      for (const [value, label] of [['all', 'All images'], ['annotated', 'Annotated'], ['unannotated', 'Not annotated'], ['defects', 'Has defect tag']]) {
+        html += '<option value="' + value + '"' + (filters.state === value ? ' selected' : '') + '>' + label + '</option>';
+      }
+      html += '</select><select onchange="setFilter(\\'tag\\', this.value)"><option value="">Any tag</option>';
+      for (const t of tagList) {
+        html += '<option value="' + esc(t.tag) + '"' + (filters.tag === t.tag ? ' selected' : '') + '>' + esc(t.tag) + ' (' + t.count + ')</option>';
+      }
+      html += '</select><select onchange="setFilter(\\'minRating\\', parseInt(this.value, 10))"><option value="0">Any rating</option>';
+      for (let r = 1; r <= 5; r++) {
+        html += '<option value="' + r + '"' + (filters.minRating === r ? ' selected' : '') + '>' + '★'.repeat(r) + ' or more</option>';
+      }
+      html += '</select>';
+      document.getElementById('filters').innerHTML = html;
+    }
+
+    function setFilter(name, value) {
+      filters[name] = value;
+      render();
+    }
+
+    function openAnnotator(img) {
+      const key = img.split('?')[0];
+      const a = annotations[key] || { rating: null, tags: [], notes: '' };
+      annotating = { image: key, rating: a.rating, tags: [...a.tags], notes: a.notes };
+      document.getElementById('annotator-img').src = img;
+      document.getElementById('annotator-title').textContent = key;
+      document.getElementById('annotator-notes').value = a.notes || '';
+      document.getElementById('annotator-new-tag').value = '';
+      renderAnnotator();
+      document.getElementById('annotator-modal').classList.add('active');
+    }
+
+    function renderAnnotator() {
+      let stars = '';
+      for (let r = 1; r <= 5; r++) {
+        stars += '<span class="' + (annotating.rating >= r ? 'on' : '') + '" onclick="setRating(' + r + ')">★</span>';
+      }
+      document.getElementById('annotator-stars').innerHTML = stars;
+
+      const allTags = [...new Set([...tagList.map(t => t.tag), ...annotating.tags])];
+      document.getElementById('annotator-tags').innerHTML = allTags.map((tag, i) =>
+        '<span class="tag-chip ' + (annotating.tags.includes(tag) ? 'on ' : '') + (defectTags.includes(tag) ? 'defect' : '') +
+        '" onclick="toggleTag(' + i + ')">' + esc(tag) + '</span>'
+      ).join('');
+      annotating.allTags = allTags;
+    }
+
+    function setRating(rating) {
+      annotating.rating = annotating.rating === rating ? null : rating;
+      renderAnnotator();
+    }
+
+    function toggleTag(index) {
+      const tag = annotating.allTags[index];
+      annotating.tags = annotating.tags.includes(tag)
+        ? annotating.tags.filter(t => t !== tag)
+        : [...annotating.tags, tag];
+      renderAnnotator();
+    }
+
+    function addCustomTag() {
+      const input = document.getElementById('annotator-new-tag');
+      const tag = input.value.trim().toLowerCase().replace(/\\s+/g, ' ');
+      if (tag && !annotating.tags.includes(tag)) {
+        annotating.tags.push(tag);
+      }
+      input.value = '';
+      renderAnnotator();
+    }
+
+    async function saveCurrentAnnotation() {
+      const res = await fetch('/api/annotations', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          image: annotating.image,
+          rating: annotating.rating,
+          tags: annotating.tags,
+          notes: document.getElementById('annotator-notes').value
+        })
+      });
+      if (!res.ok) {
+        alert('❌ ' + (await res.json()).error);
+        return;
+      }
+      closeAnnotator();
+      loadData();
+    }
+
+    async function clearAnnotation() {
+      await fetch('/api/annotations', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ image: annotating.image })
+      });
+      closeAnnotator();
+      loadData();
+    }
+
+    function closeAnnotator() {
+      document.getElementById('annotator-modal').classList.remove('active');
+      annotating = null;
+    }
+
     function showLarge(img) {
       document.getElementById('modal-img').src = img;
       document.getElementById('modal').classList.add('active');
+      showImageMetadata(img);
+    }
+
+    // Generation metadata embedded in the PNG; stays with the file when it is renamed or moved
+    async function showImageMetadata(img) {
+      const box = document.getElementById('modal-meta');
+      box.innerHTML = '';
+      try {
+        const res = await fetch('/api/image-metadata?image=' + encodeURIComponent(img));
+        if (!res.ok) return;
+        const { metadata } = await res.json();
+        if (document.getElementById('modal-img').getAttribute('src') !== img) return;
+        box.innerHTML = Object.entries(metadata)
+          .map(([key, value]) => '<div><b>' + esc(key) + '</b>' + esc(value) + '</div>')
+          .join('');
+      } catch (e) {}
     }
 
     function closeModal() {
       document.getElementById('modal').classList.remove('active');
     }
 
+    // ---------- Rejections ----------
+    function rejectionControls(folder) {
+      if (currentPhase === 'anchors') return '';
+      const r = rejections[folder];
+      if (!r) {
+        return '<span class="rejection"><button class="exercise-btn" onclick="rejectFolder(\\'' + folder + '\\')">🚫 Reject</button></span>';
+      }
+      const last = r.attempts[r.attempts.length - 1];
+      let text = '🚫 ' + esc(r.reason);
+      if (r.status === 'regenerated') text = '⟳ Regenerated: ' + esc(last.rationale);
+      if (r.status === 'applied') text = '✓ Fix applied to config';
+      let html = '<span class="rejection ' + r.status + '" title="' + esc(last ? 'Before: ' + last.before.prompt + '\\n\\nAfter: ' + last.after.prompt : r.reason) + '">' + text;
+      if (r.status !== 'pending') {
+        html += '<button class="exercise-btn" onclick="rejectFolder(\\'' + folder + '\\')">Reject again</button>';
+      }
+      html += '<button class="exercise-btn" onclick="withdrawRejection(\\'' + folder + '\\')">Clear</button></span>';
+      return html;
+    }
+
+    async function rejectFolder(folder) {
+      const reason = prompt('Why is "' + folder.replace(/_/g, ' ') + '" rejected? (e.g. "holding dumbbells", "standing instead of seated")');
+      if (!reason || !reason.trim()) return;
+      if (await collectionRequest('PUT', '/api/rejections', { phase: currentPhase, variation: folder, reason: reason.trim() })) {
+        loadData();
+      }
+    }
+
+    async function withdrawRejection(folder) {
+      if (await collectionRequest('DELETE', '/api/rejections/' + encodeURIComponent(folder))) {
+        loadData();
+      }
+    }
+
+    // ---------- Training collections ----------
+    function renderCollectionPicker() {
+      return '<select onchange="switchCollection(this.value)">' + collections.collections.map(c =>
+        '<option value="' + esc(c.name) + '"' + (c.active ? ' selected' : '') + '>' + esc(c.name) + ' (' + c.count + ')</option>'
+      ).join('') + '</select>';
+    }
+
+    // POST/PUT/PATCH/DELETE a collection route, alerting on errors
+    async function collectionRequest(method, url, body) {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert('❌ ' + data.error);
+        return null;
+      }
+      return data;
+    }
+
+    async function switchCollection(name) {
+      await collectionRequest('PUT', '/api/collections/active', { name });
+      loadData();
+    }
+
+    async function newCollection(clone) {
+      const name = prompt(clone ? 'Name for a copy of "' + collections.active + '":' : 'New collection name:');
+      if (!name) return;
+      await collectionRequest('POST', '/api/collections', { name: name.trim(), from: clone ? collections.active : null });
+      loadData();
+    }
+
+    async function renameCollection() {
+      const name = prompt('Rename "' + collections.active + '" to:', collections.active);
+      if (!name || name === collections.active) return;
+      await collectionRequest('PATCH', '/api/collections/' + encodeURIComponent(collections.active), { name: name.trim() });
+      loadData();
+    }
+
+    async function deleteCollection() {
+      if (!confirm('Delete collection "' + collections.active + '"? Exported datasets are kept.')) return;
+      await collectionRequest('DELETE', '/api/collections/' + encodeURIComponent(collections.active));
+      loadData();
+    }
+
+    async function undoCollection() {
+      if (await collectionRequest('POST', '/api/collections/' + encodeURIComponent(collections.active) + '/undo')) {
+        loadData();
+      }
+    }
+
+    function describeHistory(h) {
+      const image = h.image ? ' ' + esc(h.image.split('/').slice(-2).join('/')) : '';
+      switch (h.action) {
+        case 'add': return '＋' + image;
+        case 'remove': return '－' + image;
+        case 'undo': return '↶ undid v' + h.reverts + image;
+        case 'clone': return 'cloned from ' + esc(h.from) + ' v' + h.from_version + ' (' + h.count + ' images)';
+        case 'rename': return 'renamed from ' + esc(h.from);
+        case 'import': return 'imported ' + h.count + ' images from training-selected.json';
+        default: return esc(h.action);
+      }
+    }
+
+    async function openCollection() {
+      const collection = await fetch('/api/collections/' + encodeURIComponent(collections.active)).then(r => r.json());
+      document.getElementById('collection-title').textContent = collection.name + ' · ' + collection.images.length + ' images · v' + collection.version;
+      document.getElementById('collection-history').innerHTML = collection.history.slice().reverse().map(h =>
+        '<div>v' + h.version + ' · ' + new Date(h.at).toLocaleString() + ' · ' + describeHistory(h) + '</div>'
+      ).join('');
+      const others = collections.collections.filter(c => c.name !== collection.name);
+      document.getElementById('collection-diff').innerHTML = others.map(c => '<option value="' + esc(c.name) + '">' + esc(c.name) + '</option>').join('');
+      document.getElementById('collection-diff-body').innerHTML = others.length ? '' : 'No other collections';
+      document.getElementById('collection-modal').classList.add('active');
+      if (others.length) renderCollectionDiff();
+    }
+
+    async function renderCollectionDiff() {
+      const other = document.getElementById('collection-diff').value;
+      const d = await fetch('/api/collections/' + encodeURIComponent(collections.active) + '/diff/' + encodeURIComponent(other)).then(r => r.json());
+      const list = images => images.map(i => '<div>' + esc(i.split('/').slice(-2).join('/')) + '</div>').join('') || '<div>—</div>';
+      document.getElementById('collection-diff-body').innerHTML =
+        '<strong>Only in ' + esc(d.a) + ' (' + d.only_a.length + ')</strong>' + list(d.only_a) +
+        '<strong>Only in ' + esc(d.b) + ' (' + d.only_b.length + ')</strong>' + list(d.only_b) +
+        '<strong>In both: ' + d.both.length + '</strong>';
+    }
+
+    function closeCollection() {
+      document.getElementById('collection-modal').classList.remove('active');
+    }
+
+    // ---------- Dataset balance ----------
+    function renderBalanceRows(title, rows) {
+      if (rows.length === 0) return '';
+      let html = '<h3>' + title + '</h3>';
+      for (const row of rows) {
+        html += '<div class="score"><span class="score-name">' + esc(String(row.key).replace(/_/g, ' ')) + '</span>';
+        html += '<div class="score-bar"><div style="width:' + Math.round(row.share * 100) + '%"></div></div>';
+        html += '<span>' + row.count + ' · ' + Math.round(row.share * 100) + '%</span></div>';
+      }
+      return html;
+    }
+
+    async function openBalance() {
+      const b = await fetch('/api/training/balance').then(r => r.json());
+      let html = '<h3>' + esc(b.collection) + ': ' + b.total + ' selected (target ' + b.target.min + '-' + b.target.max + ')</h3>';
+      html += b.warnings.length
+        ? '<div class="issues">⚠️ ' + b.warnings.map(esc).join('<br>⚠️ ') + '</div>'
+        : '<div class="help">✅ No imbalances found</div>';
+      if (b.suggestions.length) {
+        html += '<h3>Pick next from</h3>';
+        html += b.suggestions.map(s => '<div>• <strong>' + esc(s.folder.replace(/_/g, ' ')) + '</strong> <span class="help">(' + esc(s.phase) + ', ' +
+          esc(s.anchor || '?') + ' anchor, ' + esc(s.view || '?') + ' view): ' + s.reasons.map(esc).join('; ') + '</span></div>').join('');
+      }
+      html += renderBalanceRows('Camera angle', b.by_view);
+      html += renderBalanceRows('Source anchor', b.by_anchor);
+      html += renderBalanceRows('Highlighted muscles', b.by_muscle);
+      html += renderBalanceRows('Pose folder', b.by_folder);
+      document.getElementById('balance-body').innerHTML = html;
+      document.getElementById('balance-modal').classList.add('active');
+    }
+
+    function closeBalance() {
+      document.getElementById('balance-modal').classList.remove('active');
+    }
+
     async function exportTraining() {
-      const res = await fetch('/api/export', { method: 'POST' });
+      const data = await fetch('/api/datasets').then(r => r.json());
+      document.getElementById('export-collection').textContent = 'Collection: ' + collections.active;
+      document.getElementById('export-name').value = data.suggested_name;
+      document.getElementById('export-formats').innerHTML = data.formats.map(f =>
+        '<label class="tag-chip"><input type="checkbox" style="width:auto; margin:0" value="' + esc(f) + '"' + (data.default_formats.includes(f) ? ' checked' : '') + '> ' + esc(f) + '</label>'
+      ).join('');
+      document.getElementById('export-previous').innerHTML = data.datasets.slice(0, 5).map(d =>
+        '<div>' + esc(d.name) + (d.collection ? ' (' + esc(d.collection) + ')' : '') + ' · ' + esc(Object.keys(d.formats).join(', ')) + ' · ' + (Object.values(d.formats)[0] || 0) + ' images</div>'
+      ).join('') || 'None yet';
+      document.getElementById('export-modal').classList.add('active');
+    }
+
+    function closeExport() {
+      document.getElementById('export-modal').classList.remove('active');
+    }
+
+    async function runExport() {
+      const formats = [...document.querySelectorAll('#export-formats input:checked')].map(i => i.value);
+      const res = await fetch('/api/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: document.getElementById('export-name').value.trim(), formats, collection: collections.active })
+      });
       const data = await res.json();
-      alert('✅ Exported ' + data.exported + ' images to output/training/');
+      if (!res.ok) {
+        alert('❌ ' + data.error);
+        return;
+      }
+      closeExport();
+      let message = '✅ Exported ' + data.exported + ' images from "' + data.collection + '" to output/datasets/' + data.name + '/ (' + Object.keys(data.formats).join(', ') + ')';
+      if (data.excluded.length) message += '\\n⏭️ Excluded ' + data.excluded.length + ' by annotations';
+      if (data.skipped.length) message += '\\n⚠️ Skipped ' + data.skipped.length + ' invalid or missing entries';
+      alert(message);
     }
 
     document.addEventListener('keydown', e => {
-      if (e.key === 'Escape') closeModal();
+      if (e.key === 'Escape') {
+        closeModal();
+        if (annotating) closeAnnotator();
+        closeRegenerate();
+        closePromptEditor();
+        closeExport();
+        closeBalance();
+        closeCollection();
+        closeSequences();
+      }
+      if (sequenceView && !['INPUT', 'SELECT'].includes(e.target.tagName)) {
+        if (e.key === ' ') {
+          e.preventDefault();
+          toggleSequencePlayback();
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+          stopSequenceTimer();
+          stepSequence(e.key === 'ArrowLeft' ? -1 : 1);
+        }
+      }
+      if ((e.ctrlKey || e.metaKey) && e.key === 'z' && currentPhase !== 'anchors' && currentPhase !== 'shots' &&
+          !['INPUT', 'TEXTAREA'].includes(e.target.tagName)) {
+        e.preventDefault();
+        undoCollection();
+      }
     });
 
     loadData();
+    listenForJobs();
+    listenForOutput();
   </script>
 </body>
 </html>`);
 });
 
-// Start server
-app.listen(PORT, async () => {
-  console.log(`
+// Path and body errors become 4xx JSON; anything else is a 500
+app.use((error, req, res, next) => {
+  if (error instanceof PathError || error instanceof CollectionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON" });
+  }
+  console.error(error);
+  res.status(500).json({ error: "Internal server error" });
+});
+
+// Start server when run directly; the route tests import app instead
+const isMainModule = process.argv[1] && import.meta.url.endsWith(process.argv[1].replace(/^.*[\\/]/, ''));
+if (isMainModule) {
+  app.listen(PORT, async () => {
+    try {
+      await outputWatcher.start();
+    } catch (error) {
+      console.error(`⚠️  Live updates disabled: ${error.message}`);
+    }
+
+    console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║           LoRA IMAGE GALLERY                                  ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  Server: http://localhost:${PORT}                               ║
+║  ${`Character: ${getCharacter().name} (${getCharacter().id})`.padEnd(61)}║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  • Click image     → Select for training                      ║
 ║  • Right-click     → View full size                           ║
-║  • Export button   → Copy selected to training folder         ║
+║  • Export button   → Write selected as training datasets      ║
 ╚═══════════════════════════════════════════════════════════════╝
-  `);
+    `);
 
-  try {
-    await open(`http://localhost:${PORT}`);
-  } catch {}
-});
+    try {
+      await open(`http://localhost:${PORT}`);
+    } catch {}
+  });
+}
+
+export { app };
@@ -1,20 +1,22 @@
 import 'dotenv/config';
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
 import { generateVideoScript } from "./phase4-script-generator.js";
 import { generateImagesForExercise } from "./phase5-batch-image-gen.js";
 import { validateExercise } from "./phase6-validation.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getProviderEnvErrors } from "./utils/image-provider.js";
+import { requiresApiKey } from "./utils/claude-cassette.js";
+import { setBudget, getBudgetStatus, parseBudgetFlag } from "./utils/cost-ledger.js";
+import { withoutGlobalFlags, getPositionalArgs } from "./utils/cli-args.js";
+import { setCacheMode } from "./utils/generation-cache.js";
+import { resolveOutputPath } from "./utils/output-paths.js";
 
 // ============================================
 // CONFIGURATION
 // ============================================
 const CONFIG = {
-  anchorsDir: path.join(__dirname, "../output/anchors-selected"),
-  outputDir: path.join(__dirname, "../output/video-scripts"),
+  anchorsDir: resolveOutputPath("anchors-selected"),
+  outputDir: resolveOutputPath("video-scripts"),
 };
 
 // ============================================
@@ -22,10 +24,12 @@ const CONFIG = {
 // ============================================
 function parseArgs(args) {
   const options = {
-    exerciseName: null,
+    exerciseName: getPositionalArgs(args, ["budget"])[0] ?? null,
     skipRegen: false,
     force: false,
     verbose: false,
+    budget: parseBudgetFlag(args),
+    noCache: false,
     help: false,
   };
 
@@ -36,10 +40,10 @@ function parseArgs(args) {
       options.force = true;
     } else if (arg === "--verbose") {
       options.verbose = true;
+    } else if (arg === "--no-cache") {
+      options.noCache = true;
     } else if (arg === "--help" || arg === "-h") {
       options.help = true;
-    } else if (!arg.startsWith("--")) {
-      options.exerciseName = arg;
     }
   }
 
@@ -53,13 +57,17 @@ Usage: node generate-video.js <exercise-name> [options]
 Options:
   --skip-regen    Skip auto-regeneration during validation (validate only)
   --force         Clear existing outputs and regenerate everything
+                  (identical requests are still served from output/.cache)
+  --no-cache      Ignore cached images and call the provider again
   --verbose       Show detailed progress information
+  --budget=USD    Stop before any call that would push spend past USD
   --help, -h      Show this help message
 
 Examples:
   node generate-video.js bent-over-barbell-row
   node generate-video.js deadlift --skip-regen
   node generate-video.js squat --force
+  node generate-video.js squat --budget=5
   npm run generate-video bent-over-barbell-row
 `);
 }
@@ -84,13 +92,11 @@ async function validateEnvironment() {
   const errors = [];
 
   // Check API keys
-  if (!process.env.ANTHROPIC_API_KEY) {
+  if (requiresApiKey() && !process.env.ANTHROPIC_API_KEY) {
     errors.push("ANTHROPIC_API_KEY not found in .env file");
   }
 
-  if (!process.env.FAL_KEY) {
-    errors.push("FAL_KEY not found in .env file");
-  }
+  errors.push(...await getProviderEnvErrors());
 
   // Check anchors directory
   try {
@@ -260,7 +266,10 @@ async function generateReport(exerciseName, pipelineResult, options) {
       options.skipRegen && "--skip-regen",
       options.force && "--force",
       options.verbose && "--verbose",
+      options.budget && `--budget=${options.budget}`,
+      options.noCache && "--no-cache",
     ].filter(Boolean),
+    cost_usd: Number(getBudgetStatus().spentUsd.toFixed(4)),
     next_steps: readyForAssembly
       ? ["Assemble video from generated assets"]
       : [
@@ -291,6 +300,7 @@ function printSummary(exerciseName, pipelineResult, report) {
 ╠═══════════════════════════════════════════════════════════════╣
 ║  Exercise: ${exerciseSlug.padEnd(45)}║
 ║  Duration: ${formatDuration(duration).padEnd(45)}║
+║  Cost: ${("$" + report.cost_usd.toFixed(2)).padEnd(49)}║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  RESULTS:                                                     ║
 ║  • Script: ${String(results.phase4.totalShots).padEnd(3)} shots planned                                  ║
@@ -310,7 +320,7 @@ function printSummary(exerciseName, pipelineResult, report) {
 // MAIN
 // ============================================
 async function main() {
-  const args = process.argv.slice(2);
+  const args = withoutGlobalFlags(process.argv.slice(2));
   const options = parseArgs(args);
 
   // Show help
@@ -345,6 +355,8 @@ async function main() {
     options.skipRegen && "--skip-regen",
     options.force && "--force",
     options.verbose && "--verbose",
+    options.budget && `--budget=${options.budget}`,
+    options.noCache && "--no-cache",
   ].filter(Boolean).join(" ") || "(none)").padEnd(49)}║
 ╚═══════════════════════════════════════════════════════════════╝
 `);
@@ -361,6 +373,9 @@ async function main() {
 
   console.log("✅ Environment validated\n");
 
+  setBudget(options.budget);
+  setCacheMode(options.noCache ? "refresh" : null);
+
   // Run pipeline
   try {
     const pipelineResult = await runPipeline(options.exerciseName, options);
@@ -1,73 +1,61 @@
-import * as fal from "@fal-ai/serverless-client";
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configure fal.ai
-fal.config({
-  credentials: process.env.FAL_KEY,
-});
+import { generateImage, getEndpoint } from "./utils/image-provider.js";
+import { downloadImage } from "./utils/resilience.js";
+import { withCostContext, setBudget, parseBudgetFlag, BudgetExceededError } from "./utils/cost-ledger.js";
+import { setCacheMode, parseCacheFlag } from "./utils/generation-cache.js";
+import { findMissingAnchors } from "./utils/anchor-mapper.js";
+import { getFlagValue, getListFlag } from "./utils/cli-args.js";
+import { getCharacter, getCharacterConfigPath, getCharacterConfigName } from "./utils/character.js";
+import { renderPrompt } from "./utils/prompt-templates.js";
+import { resolveOutputPath } from "./utils/output-paths.js";
 
 // ============================================
-// CHARACTER DEFINITION - EDIT THIS
+// CONFIGURATION
 // ============================================
-const CHARACTER = {
-  base_prompt: `Orange anatomical mannequin figure with 3D wireframe mesh grid pattern across entire body surface, faceless head with simple black oval eyes, wearing olive army green athletic shorts, grey athletic sneakers with white soles, solid cream beige background, clean vector illustration style, professional fitness character design, full body visible, sharp clean lines`,
-
-  negative_prompt: `realistic human skin, facial features, hair, beard, text, watermark, signature, blurry, low quality, distorted anatomy, extra limbs, missing limbs, deformed, cropped, multiple figures, busy background`,
-};
+// The character comes from its profile in config/characters/, the poses
+// from the anchors file it names and the prompt layout from
+// config/prompt-templates.json; edit those rather than this file
+const OUTPUT_DIR = resolveOutputPath("anchors");
+
+async function loadConfig() {
+  const anchorsData = await fs.readFile(getCharacterConfigPath("anchors"), "utf-8");
+  return { character: getCharacter(), anchorsConfig: JSON.parse(anchorsData) };
+}
 
 // ============================================
-// 8 ANCHOR POSES - These become your reference images
+// CLI OPTIONS
 // ============================================
-const ANCHORS = [
-  {
-    id: "front",
-    name: "Front Standing",
-    prompt: "standing facing camera front view, arms relaxed at sides, feet shoulder width apart, neutral pose, full body head to toe",
-  },
-  {
-    id: "back",
-    name: "Back Standing",
-    prompt: "standing with back to camera rear view, arms relaxed at sides, showing full back, full body head to toe",
-  },
-  {
-    id: "side",
-    name: "Side Profile",
-    prompt: "standing side profile view, facing left, arms at sides, full body silhouette, full body head to toe",
-  },
-  {
-    id: "quarter",
-    name: "Three-Quarter View",
-    prompt: "standing three-quarter angle, body turned 45 degrees to camera, relaxed stance, full body head to toe",
-  },
-  {
-    id: "arms_up",
-    name: "Arms Raised",
-    prompt: "standing front view with both arms raised straight overhead, hands reaching up, full body head to toe",
-  },
-  {
-    id: "bent",
-    name: "Bent Over",
-    prompt: "bent over at waist, torso parallel to ground, knees slightly bent, arms hanging down, side view, full body",
-  },
-  {
-    id: "seated",
-    name: "Seated",
-    prompt: "sitting upright on bench, feet flat on ground, hands resting on thighs, front view, full body",
-  },
-  {
-    id: "hanging",
-    name: "Hanging from Bar",
-    prompt: "hanging from pull-up bar, arms fully extended overhead gripping bar, body straight and relaxed, front view, full body",
-  },
-];
-
-const IMAGES_PER_ANCHOR = 10;
-const OUTPUT_DIR = path.join(__dirname, "../output/anchors");
+/**
+ * Parse --anchor=<id>[,<id>...] and --count=<n>
+ * @returns {{ anchorIds: string[]|null, count: number|null }}
+ */
+function parseOptions(args) {
+  const countValue = getFlagValue(args, "count");
+
+  const count = countValue === null ? null : Number(countValue);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw new Error(`Invalid --count value: ${countValue} (expected a positive whole number)`);
+  }
+
+  return {
+    anchorIds: getListFlag(args, "anchor"),
+    count,
+  };
+}
+
+/**
+ * Check that every anchor the later phases reference is defined, so a
+ * missing pose fails here instead of halfway through phase 2
+ * @throws {Error} Listing each missing id and where it is referenced
+ */
+async function assertAnchorsCovered() {
+  const missing = await findMissingAnchors();
+  if (missing.length > 0) {
+    const lines = missing.map(m => `   • ${m.id} (used by ${m.sources.join(", ")})`);
+    throw new Error(`Anchor ids referenced downstream but missing from ${getCharacterConfigName("anchors")}:\n${lines.join("\n")}`);
+  }
+}
 
 // ============================================
 // HELPER FUNCTIONS
@@ -76,42 +64,29 @@ async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
-async function downloadImage(url, filepath) {
-  const response = await fetch(url);
-  const buffer = await response.arrayBuffer();
-  await fs.writeFile(filepath, Buffer.from(buffer));
-}
-
-async function generateImage(prompt) {
-  const result = await fal.subscribe("fal-ai/flux-pro/v1.1-ultra", {
-    input: {
-      prompt: prompt,
-      negative_prompt: CHARACTER.negative_prompt,
-      image_size: "square_hd",
-      num_images: 1,
-      guidance_scale: 3.5,
-      safety_tolerance: 2,
-      enable_safety_checker: false,
-    },
-    logs: false,
-  });
-
-  if (result.images && result.images.length > 0) {
-    return result.images[0].url;
-  }
-  throw new Error("No image returned");
-}
-
 // ============================================
 // MAIN GENERATION
 // ============================================
-async function generateAnchors() {
+async function generateAnchors({ anchorIds = null, count = null } = {}) {
+  const { character, anchorsConfig } = await loadConfig();
+  await assertAnchorsCovered();
+
+  const unknown = (anchorIds || []).filter(id => !anchorsConfig.anchors.some(a => a.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown anchor id(s): ${unknown.join(", ")} (expected one of: ${anchorsConfig.anchors.map(a => a.id).join(", ")})`);
+  }
+
+  const anchors = anchorIds ? anchorsConfig.anchors.filter(a => anchorIds.includes(a.id)) : anchorsConfig.anchors;
+  const imagesPerAnchor = count || anchorsConfig.generate_count_per_anchor || 10;
+  const settings = character.generation_settings || {};
+
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║           PHASE 1: ANCHOR IMAGE GENERATION                    ║
 ╠═══════════════════════════════════════════════════════════════╣
-║  Generating ${ANCHORS.length} anchor poses × ${IMAGES_PER_ANCHOR} images each = ${ANCHORS.length * IMAGES_PER_ANCHOR} total       ║
+║  Generating ${anchors.length} anchor poses × ${imagesPerAnchor} images each = ${anchors.length * imagesPerAnchor} total       ║
 ║  These will be your character reference images                ║
+║  ${`Character: ${character.name} (${character.id})`.padEnd(61)}║
 ╚═══════════════════════════════════════════════════════════════╝
 `);
 
@@ -120,36 +95,50 @@ async function generateAnchors() {
   let totalGenerated = 0;
   let totalSkipped = 0;
 
-  for (const anchor of ANCHORS) {
+  for (const anchor of anchors) {
     const anchorDir = path.join(OUTPUT_DIR, anchor.id);
     await ensureDir(anchorDir);
 
     console.log(`\n┌─ ${anchor.name} (${anchor.id})`);
-    console.log(`│  "${anchor.prompt.substring(0, 50)}..."`);
+    console.log(`│  "${anchor.pose_prompt.substring(0, 50)}..."`);
 
-    const fullPrompt = `${CHARACTER.base_prompt}, ${anchor.prompt}`;
+    const fullPrompt = await renderPrompt("anchor", { pose: anchor.pose_prompt }, {
+      model: settings.model || await getEndpoint("generate"),
+      onLog: (message) => console.log(`│  ${message}`),
+    });
 
-    for (let i = 1; i <= IMAGES_PER_ANCHOR; i++) {
+    for (let i = 1; i <= imagesPerAnchor; i++) {
       const filename = `${anchor.id}_${String(i).padStart(2, "0")}.png`;
       const filepath = path.join(anchorDir, filename);
 
       // Skip if exists
       try {
         await fs.access(filepath);
-        console.log(`│  ⏭️  [${i}/${IMAGES_PER_ANCHOR}] ${filename} exists, skipping`);
+        console.log(`│  ⏭️  [${i}/${imagesPerAnchor}] ${filename} exists, skipping`);
         totalSkipped++;
         continue;
       } catch {}
 
-      process.stdout.write(`│  🔄 [${i}/${IMAGES_PER_ANCHOR}] Generating ${filename}...`);
+      process.stdout.write(`│  🔄 [${i}/${imagesPerAnchor}] Generating ${filename}...`);
 
       try {
-        const url = await generateImage(fullPrompt);
-        await downloadImage(url, filepath);
+        const { url, generation } = await generateImage(fullPrompt, {
+          negativePrompt: character.negative_prompt,
+          model: settings.model,
+          imageSize: settings.image_size,
+          guidanceScale: settings.guidance_scale,
+          safetyTolerance: settings.safety_tolerance,
+          variant: i,
+        });
+        await downloadImage(url, filepath, {
+          generation,
+          metadata: { anchor: anchor.id, pose: anchor.id, character: character.name },
+        });
         console.log(` ✅`);
         totalGenerated++;
       } catch (error) {
         console.log(` ❌ ${error.message}`);
+        if (error instanceof BudgetExceededError) throw error;
       }
 
       // Rate limit protection
@@ -170,9 +159,20 @@ async function generateAnchors() {
 ║  NEXT STEPS:                                                  ║
 ║  1. Run: npm run gallery                                      ║
 ║  2. Select the best image for each anchor pose                ║
+║     (rank them first with: npm run score-anchors)             ║
 ║  3. Then run: npm run phase2                                  ║
 ╚═══════════════════════════════════════════════════════════════╝
 `);
 }
 
-generateAnchors().catch(console.error);
+async function main() {
+  const args = process.argv.slice(2);
+  setBudget(parseBudgetFlag(args));
+  setCacheMode(parseCacheFlag(args));
+  await generateAnchors(parseOptions(args));
+}
+
+withCostContext({ phase: "phase1" }, main).catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
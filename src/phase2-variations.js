@@ -1,122 +1,137 @@
 import 'dotenv/config';
-import { fal } from "@fal-ai/client";
+import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import { editImage, editUsesStrength, getEndpoint } from "./utils/image-provider.js";
+import { downloadImage } from "./utils/resilience.js";
+import { withCostContext, setBudget, parseBudgetFlag, BudgetExceededError } from "./utils/cost-ledger.js";
+import { setCacheMode, parseCacheFlag } from "./utils/generation-cache.js";
+import { getAllAnchors } from "./utils/anchor-mapper.js";
+import { getListFlag } from "./utils/cli-args.js";
+import { getCharacterConfigPath, getCharacterConfigName } from "./utils/character.js";
+import { renderPrompt } from "./utils/prompt-templates.js";
+import { resolveOutputPath } from "./utils/output-paths.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configure fal.ai
-fal.config({
-  credentials: process.env.FAL_KEY,
-});
-
 // ============================================
-// CHARACTER DEFINITION - Must match Phase 1
+// CONFIGURATION
 // ============================================
-const CHARACTER = {
-  base_prompt: `Orange anatomical mannequin figure with 3D wireframe mesh grid pattern across entire body surface, faceless head with simple black oval eyes, wearing olive army green athletic shorts, grey athletic sneakers with white soles, on seamless solid flat cream beige background color hex F5E6D3, no gym equipment, no machines, no weights, no bench, no cables, no props, no floor, figure floating on solid cream beige background, clean matte backdrop, clean vector illustration style, professional fitness character design, full body visible, sharp clean lines`,
+// Poses, anchors, strengths and counts all come from the character's
+// variations file (config/variations.json by default); the full prompt is
+// the "variation" template in config/prompt-templates.json
+const variationsPath = getCharacterConfigPath("variations");
+const ANCHORS_DIR = resolveOutputPath("anchors-selected");
+const OUTPUT_DIR = resolveOutputPath("variations-2");
 
-  negative_prompt: `realistic human skin, facial features, hair, beard, text, watermark, signature, blurry, low quality, distorted anatomy, extra limbs, missing limbs, deformed, cropped, multiple figures, busy background, gym equipment, weights, machines, bench, cables, floor, environment`,
-};
+// Per-folder record of which config produced each image
+const GENERATION_FILE = "generation.json";
 
-// ============================================
-// AVAILABLE ANCHORS (9 total)
-// ============================================
-const ANCHORS = ["front", "back", "side", "quarter", "arms_up", "bent", "seated", "hanging", "lying"];
+let VARIATIONS_CONFIG = null;
+
+function shortHash(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").substring(0, 12);
+}
+
+/**
+ * Load config/variations.json. `revision` is a short hash of the file, so
+ * every image can be traced back to the exact config that produced it.
+ * The file is re-read whenever it changes, so a running gallery picks up
+ * fixes applied by `npm run regen-rejected -- --apply`.
+ * @returns {Promise<Object>} Parsed config plus { revision }
+ */
+async function loadVariationsConfig() {
+  const { mtimeMs, size } = await fs.stat(variationsPath);
+  const version = `${mtimeMs}:${size}`;
+  if (VARIATIONS_CONFIG?.version !== version) {
+    const data = await fs.readFile(variationsPath, "utf-8");
+    VARIATIONS_CONFIG = { version, config: { ...JSON.parse(data), revision: shortHash(data) } };
+  }
+  return VARIATIONS_CONFIG.config;
+}
+
+/**
+ * Hash of one variation's definition; changes only when that entry does
+ */
+function getVariationRevision(variation) {
+  return shortHash(JSON.stringify(variation));
+}
+
+function getImageCount(variation, config) {
+  return variation.count ?? config.generate_count_per_variation ?? 1;
+}
+
+/**
+ * Variations to generate, optionally narrowed to some ids and/or anchors
+ * @param {Object} filters - variationIds, anchorIds (null = all)
+ * @returns {Promise<Array>} Variation definitions, in config order
+ * @throws {Error} For ids that aren't in config/variations.json or config/anchors.json
+ */
+async function selectVariations({ variationIds = null, anchorIds = null } = {}) {
+  const { variations } = await loadVariationsConfig();
+
+  const unknownVariations = (variationIds || []).filter(id => !variations.some(v => v.id === id));
+  if (unknownVariations.length > 0) {
+    throw new Error(`Unknown variation id(s): ${unknownVariations.join(", ")} (see ${getCharacterConfigName("variations")})`);
+  }
+  const knownAnchors = (await getAllAnchors()).map(a => a.id);
+  const unknownAnchors = (anchorIds || []).filter(id => !knownAnchors.includes(id));
+  if (unknownAnchors.length > 0) {
+    throw new Error(`Unknown anchor id(s): ${unknownAnchors.join(", ")} (expected one of: ${knownAnchors.join(", ")})`);
+  }
+
+  return variations.filter(v =>
+    (!variationIds || variationIds.includes(v.id)) &&
+    (!anchorIds || anchorIds.includes(v.anchor))
+  );
+}
 
 // ============================================
-// ESSENTIAL POSE VARIATIONS (50 total)
-// All prompts describe BODY POSITION only, no equipment
+// GENERATION RECORD
 // ============================================
-const VARIATIONS = [
-  // ==========================================
-  // CHEST (6 variations)
-  // ==========================================
-  { id: "bench_press_bottom", anchor: "lying", prompt: "lying supine, elbows bent 90 degrees out to sides, upper arms parallel to ground, hands at chest level in pressing grip, chest stretched open", strength: 0.55 },
-  { id: "bench_press_top", anchor: "lying", prompt: "lying supine, arms extended straight up toward ceiling, hands shoulder width apart in pressing grip, chest contracted, shoulders stable", strength: 0.55 },
-  { id: "chest_fly_open", anchor: "lying", prompt: "lying supine, arms spread wide to sides with slight elbow bend, palms facing up, chest stretched open wide in hugging position", strength: 0.55 },
-  { id: "chest_fly_closed", anchor: "lying", prompt: "lying supine on back, both arms raised straight up above chest then brought together with hands touching in center above sternum, arms nearly straight with only slight bend at elbows, palms facing each other, chest muscles squeezed tight", strength: 0.55 },
-  { id: "pushup_bottom", anchor: "side", prompt: "prone position, chest lowered near ground, elbows bent back at 45 degrees, body straight from head to heels, about to push up", strength: 0.60 },
-  { id: "pushup_top", anchor: "side", prompt: "prone plank position, arms fully extended, body straight as board from head to heels, hands flat below shoulders, core tight", strength: 0.60 },
-
-  // ==========================================
-  // BACK (8 variations)
-  // ==========================================
-  { id: "pullup_hang", anchor: "hanging", prompt: "figure with BOTH arms stretched straight up overhead reaching to sky, body hanging vertically relaxed, legs straight down, lats stretched long, no bar no equipment just empty hands reaching up, dead hang position", strength: 0.50 },
-  { id: "pullup_top", anchor: "hanging", prompt: "figure pulled up high with BOTH arms overhead bent at elbows, hands above head level, elbows pulled down toward ribs, lats fully contracted and squeezed, back muscles engaged, no bar no equipment, body elevated", strength: 0.55 },
-  { id: "lat_pulldown_start", anchor: "seated", prompt: "seated upright, arms extended up overhead reaching high, lats stretched long, chest up proud", strength: 0.55 },
-  { id: "lat_pulldown_contracted", anchor: "seated", prompt: "seated upright, arms pulled down with elbows driving to sides, hands at upper chest level, lats squeezed tight", strength: 0.55 },
-  { id: "barbell_row_down", anchor: "bent", prompt: "torso bent forward at hips hinged at 45-90 degrees, upper body leaning forward parallel to ground, BOTH arms hanging straight DOWN toward floor with empty hands, back flat, looking down, bent over row starting position, no equipment", strength: 0.50 },
-  { id: "barbell_row_up", anchor: "bent", prompt: "torso bent forward at hips hinged at 45-90 degrees, upper body leaning forward, BOTH arms pulled UP with elbows bent and raised past torso pointing back, hands near ribcage, shoulder blades squeezed together, rowing motion top position, no equipment empty hands", strength: 0.55 },
-  { id: "deadlift_start", anchor: "bent", prompt: "bent at hips in deep hip hinge, arms extended down between knees, back flat, hips loaded back, ready to lift", strength: 0.55 },
-  { id: "deadlift_lockout", anchor: "front", prompt: "STANDING FULLY UPRIGHT on both feet, completely vertical torso, legs straight, hips pushed forward, proud chest, shoulders pulled back, arms hanging relaxed straight down at sides with empty hands, tall proud standing posture from front view", strength: 0.50 },
-
-  // ==========================================
-  // SHOULDERS (6 variations)
-  // ==========================================
-  { id: "shoulder_press_start", anchor: "front", prompt: "standing tall, hands at shoulder level palms facing forward, elbows bent and flared out to sides", strength: 0.50 },
-  { id: "shoulder_press_top", anchor: "hands-up", prompt: "standing tall, arms fully extended overhead, hands above head, shoulders engaged, deltoids contracted", strength: 0.50 },
-  { id: "lateral_raise_down", anchor: "front", prompt: "standing tall, arms hanging straight down at sides, palms facing thighs, shoulders relaxed", strength: 0.45 },
-  { id: "lateral_raise_up", anchor: "front", prompt: "standing tall, both arms raised out to sides at shoulder height, T-pose position, palms facing down, deltoids engaged", strength: 0.55 },
-  { id: "rear_delt_fly_open", anchor: "bent", prompt: "upper body BENT FORWARD at waist with torso hinged parallel to ground, NOT squatting, legs relatively straight with slight knee bend, arms hanging straight DOWN toward floor beneath chest, palms facing each other, flat back, head looking down, bent over position NOT a squat", strength: 0.50 },
-  { id: "rear_delt_fly_contracted", anchor: "bent", prompt: "bent over at waist, arms raised out to sides squeezing shoulder blades together, rear deltoids contracted", strength: 0.55 },
-
-  // ==========================================
-  // BICEPS (4 variations)
-  // ==========================================
-  { id: "bicep_curl_start", anchor: "front", prompt: "standing tall upright, BOTH arms hanging straight down at sides completely relaxed, EMPTY HANDS with palms facing forward, NO weights NO dumbbells NO kettlebells NO equipment, just empty open hands at thigh level, biceps stretched and relaxed", strength: 0.45 },
-  { id: "bicep_curl_top", anchor: "front", prompt: "standing tall, forearms curled up, hands at shoulder level, biceps fully flexed and peaked, elbows at sides", strength: 0.50 },
-  { id: "hammer_curl_start", anchor: "front", prompt: "standing tall upright, BOTH arms hanging straight DOWN at sides completely relaxed, EMPTY HANDS with palms facing inward toward thighs, NO weights NO dumbbells NO kettlebells NO equipment, just empty relaxed hands hanging at thigh level, neutral grip position", strength: 0.45 },
-  { id: "hammer_curl_top", anchor: "front", prompt: "standing tall, forearms curled up with thumbs pointing up, neutral grip maintained, brachialis and biceps engaged", strength: 0.50 },
-
-  // ==========================================
-  // TRICEPS (4 variations)
-  // ==========================================
-  { id: "tricep_pushdown_start", anchor: "front", prompt: "standing upright, BOTH elbows bent at 90 degree angle and pinned tight against sides of torso, forearms pointing FORWARD parallel to ground, empty hands positioned at chest/belly button height in front of body, upper arms vertical against ribs, ready to push down", strength: 0.50 },
-  { id: "tricep_pushdown_contracted", anchor: "front", prompt: "standing upright, arms extended straight down at sides, elbows locked out, triceps squeezed tight", strength: 0.50 },
-  { id: "skull_crusher_start", anchor: "lying", prompt: "lying supine, arms extended straight up perpendicular to body, hands together above chest, triceps engaged", strength: 0.55 },
-  { id: "skull_crusher_extended", anchor: "lying", prompt: "lying supine, upper arms vertical, forearms hinged back toward forehead, elbows fixed in place, triceps stretched", strength: 0.55 },
-
-  // ==========================================
-  // LEGS (10 variations)
-  // ==========================================
-  { id: "squat_top", anchor: "side", prompt: "standing upright, legs straight, torso vertical, hands positioned at upper back level, tall posture", strength: 0.50 },
-  { id: "squat_bottom", anchor: "side", prompt: "deep squat position, thighs below parallel to ground, knees tracking over toes, torso upright, glutes low", strength: 0.60 },
-  { id: "lunge_standing", anchor: "quarter", prompt: "standing upright, feet together, arms at sides, tall posture, ready to step forward into lunge", strength: 0.50 },
-  { id: "lunge_down", anchor: "quarter", prompt: "forward lunge position, front knee bent 90 degrees over ankle, back knee low near ground, torso upright", strength: 0.60 },
-  { id: "rdl_top", anchor: "side", prompt: "standing tall, legs straight, arms hanging straight down in front, shoulders back, proud posture", strength: 0.50 },
-  { id: "rdl_stretched", anchor: "bent", prompt: "hip hinged forward, slight knee bend, torso tilted toward ground, arms hanging down, hamstrings stretched long", strength: 0.55 },
-  { id: "leg_extension_bent", anchor: "seated", prompt: "seated upright, knees bent 90 degrees, feet back under seat, quadriceps relaxed", strength: 0.55 },
-  { id: "leg_extension_extended", anchor: "seated", prompt: "seated upright on seat, BOTH legs kicked out and FULLY EXTENDED STRAIGHT in front of body parallel to ground, knees completely straight and locked, toes pointing up, quadriceps flexed hard, legs making 90 degree angle with torso", strength: 0.55 },
-  { id: "calf_raise_down", anchor: "side", prompt: "standing with heels dropped below toe level, calves stretched deep, ankles in dorsiflexion", strength: 0.50 },
-  { id: "calf_raise_up", anchor: "side", prompt: "standing high on tiptoes, heels raised to maximum height, calves fully contracted, ankles in plantarflexion", strength: 0.50 },
-
-  // ==========================================
-  // CORE (6 variations)
-  // ==========================================
-  { id: "plank_hold", anchor: "side", prompt: "prone plank on forearms, body straight as board from head to heels, core braced tight, holding static position", strength: 0.55 },
-  { id: "crunch_down", anchor: "lying", prompt: "lying supine, knees bent, feet flat, hands behind head, shoulders resting on ground, abs relaxed", strength: 0.50 },
-  { id: "crunch_up", anchor: "lying", prompt: "lying on back with knees bent feet flat, SHOULDERS AND UPPER BACK LIFTED OFF THE GROUND curling up toward knees, hands behind head, chin tucked toward chest, abdominal muscles visibly contracted and crunched, upper body raised in crunch position NOT flat on ground", strength: 0.55 },
-  { id: "hanging_leg_raise_start", anchor: "hanging", prompt: "body vertical with BOTH arms stretched straight up overhead reaching to sky, legs hanging straight down relaxed below body, no bar no equipment, just figure suspended with arms up and legs down, core ready to engage", strength: 0.50 },
-  { id: "hanging_leg_raise_up", anchor: "hanging", prompt: "body with BOTH arms stretched up overhead, BOTH legs raised up FORWARD in front of body to 90 degrees creating L-shape or L-sit position, legs together pointing forward NOT split to sides, abs contracted hard, no bar no equipment", strength: 0.60 },
-  { id: "side_plank", anchor: "side", prompt: "side plank on one forearm, body sideways in straight line, hips raised high, top arm on hip, obliques engaged", strength: 0.60 },
-
-  // ==========================================
-  // POSES (6 variations)
-  // ==========================================
-  { id: "front_double_bicep", anchor: "front", prompt: "front double bicep bodybuilding pose, arms raised to sides with elbows bent, biceps flexed and peaked, fists clenched", strength: 0.55 },
-  { id: "front_lat_spread", anchor: "front", prompt: "front lat spread pose, hands on hips, elbows flared wide, lats spread showing V-taper from front", strength: 0.50 },
-  { id: "rear_lat_spread", anchor: "back", prompt: "rear view, hands on hips, lats flared wide to sides, V-taper visible from behind, back muscles spread", strength: 0.50 },
-  { id: "rear_double_bicep", anchor: "back", prompt: "rear view, arms raised with elbows bent and biceps flexed, back muscles visible, lat width displayed", strength: 0.55 },
-  { id: "side_chest", anchor: "side", prompt: "side chest bodybuilding pose, near arm across body gripping far wrist, chest flexed, pec thickness displayed", strength: 0.55 },
-  { id: "most_muscular", anchor: "front", prompt: "most muscular crab pose, torso hunched forward, arms pulled in tensed, all muscles flexed hard, intense pose", strength: 0.60 },
-];
-
-const IMAGES_PER_VARIATION = 1;
-const ANCHORS_DIR = path.join(__dirname, "../output/anchors-selected");
-const OUTPUT_DIR = path.join(__dirname, "../output/variations-2");
+// <folder>/generation.json: { variation, images: { "<file>.png": { config_revision, variation_revision, ... } } }
+
+// Serialise read-modify-write cycles; gallery jobs can regenerate into one folder concurrently
+let recordQueue = Promise.resolve();
+
+/**
+ * Record how an image was produced, next to it in generation.json
+ * @param {string} filepath - Absolute image path
+ * @param {Object} details - anchor, strength, prompt, source, variation (definition, if from config)
+ */
+function recordGeneration(filepath, { anchor, strength, prompt, source, variation }) {
+  const next = recordQueue.then(async () => {
+    const config = await loadVariationsConfig();
+    const recordPath = path.join(path.dirname(filepath), GENERATION_FILE);
+    let record = { variation: path.basename(path.dirname(filepath)), images: {} };
+    try {
+      record = JSON.parse(await fs.readFile(recordPath, "utf-8"));
+    } catch {}
+
+    record.images[path.basename(filepath)] = {
+      source,
+      config_revision: variation ? config.revision : null,
+      variation_revision: variation ? getVariationRevision(variation) : null,
+      anchor,
+      strength: strength ?? null,
+      prompt,
+      generated_at: new Date().toISOString(),
+    };
+    await fs.writeFile(recordPath, JSON.stringify(record, null, 2));
+  });
+  recordQueue = next.catch(() => {});
+  return next;
+}
+
+async function readGenerationRecord(folderDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(folderDir, GENERATION_FILE), "utf-8"));
+  } catch {
+    return { images: {} };
+  }
+}
 
 // ============================================
 // HELPER FUNCTIONS
@@ -125,12 +140,6 @@ async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
-async function downloadImage(url, filepath) {
-  const response = await fetch(url);
-  const buffer = await response.arrayBuffer();
-  await fs.writeFile(filepath, Buffer.from(buffer));
-}
-
 async function getAnchorImage(anchorId) {
   // Check for selected anchor first
   const selectedPath = path.join(ANCHORS_DIR, `${anchorId}.png`);
@@ -140,7 +149,7 @@ async function getAnchorImage(anchorId) {
   } catch {}
 
   // Fall back to first image in anchor folder
-  const anchorDir = path.join(__dirname, "../output/anchors", anchorId);
+  const anchorDir = resolveOutputPath("anchors", anchorId);
   const files = await fs.readdir(anchorDir);
   const pngs = files.filter((f) => f.endsWith(".png")).sort();
   if (pngs.length > 0) {
@@ -155,59 +164,44 @@ async function fileToDataUrl(filepath) {
   return `data:image/png;base64,${buffer.toString("base64")}`;
 }
 
-async function editImage(imageUrl, prompt) {
-  // Using fal.ai nano-banana edit endpoint
-  const result = await fal.subscribe("fal-ai/nano-banana/edit", {
-    input: {
-      prompt: prompt,
-      image_urls: [imageUrl],  // Array of image URLs (base64 data URLs work)
-      num_images: 1,
-      output_format: "png",
-    },
-    logs: true,
-    onQueueUpdate: (update) => {
-      if (update.status === "IN_PROGRESS" && update.logs) {
-        update.logs.forEach(log => console.log(`    ${log.message}`));
-      }
-    },
-  });
-
-  if (result.data?.images?.length > 0) {
-    return result.data.images[0].url;
-  }
-  if (result.images?.length > 0) {
-    return result.images[0].url;
-  }
-  throw new Error("No image returned");
-}
-
 // ============================================
 // MAIN GENERATION
 // ============================================
-async function generateVariations() {
-  const totalImages = VARIATIONS.length * IMAGES_PER_VARIATION;
+async function generateVariations(filters = {}) {
+  const config = await loadVariationsConfig();
+  const variations = await selectVariations(filters);
+  if (variations.length === 0) {
+    throw new Error("No variations match --variation/--anchor");
+  }
+  const totalImages = variations.reduce((sum, v) => sum + getImageCount(v, config), 0);
 
   // Count variations by anchor
   const anchorCounts = {};
-  ANCHORS.forEach((a) => (anchorCounts[a] = 0));
-  VARIATIONS.forEach((v) => anchorCounts[v.anchor]++);
+  variations.forEach((v) => (anchorCounts[v.anchor] = (anchorCounts[v.anchor] || 0) + 1));
 
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║           PHASE 2: VARIATION GENERATION                       ║
 ╠═══════════════════════════════════════════════════════════════╣
-║  ${VARIATIONS.length} variations × ${IMAGES_PER_VARIATION} image each = ${totalImages} total images              ║
+║  ${`${variations.length} variations = ${totalImages} total images`.padEnd(61)}║
+║  ${`${getCharacterConfigName("variations")} revision ${config.revision}`.padEnd(61)}║
 ║  Using anchor images as reference for consistency             ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  ANCHORS USED:                                                ║`);
 
-  ANCHORS.forEach((anchor) => {
+  Object.keys(anchorCounts).sort().forEach((anchor) => {
     console.log(`║    ${anchor.padEnd(10)} : ${String(anchorCounts[anchor]).padStart(3)} variations                              ║`);
   });
 
   console.log(`╚═══════════════════════════════════════════════════════════════╝
 `);
 
+  const sendStrength = await editUsesStrength();
+  if (!sendStrength && variations.some((v) => v.strength != null)) {
+    console.log(`⚠️  ${await getEndpoint("edit")} ignores strength, so the strength set on these variations is not sent.`);
+    console.log(`   Set fal.edit_image_param to "image_url" with an image-to-image edit_endpoint in config/providers.json to use it.`);
+  }
+
   await ensureDir(OUTPUT_DIR);
   await ensureDir(ANCHORS_DIR);
 
@@ -218,13 +212,16 @@ async function generateVariations() {
   let totalSkipped = 0;
   let totalErrors = 0;
 
-  for (const variation of VARIATIONS) {
+  for (const variation of variations) {
     const varDir = path.join(OUTPUT_DIR, variation.id);
     await ensureDir(varDir);
+    const imageCount = getImageCount(variation, config);
+    const revision = getVariationRevision(variation);
+    const record = await readGenerationRecord(varDir);
 
     console.log(`\n┌─ ${variation.id}`);
-    console.log(`│  Anchor: ${variation.anchor} | Strength: ${variation.strength}`);
-    console.log(`│  "${variation.prompt.substring(0, 60)}..."`);
+    console.log(`│  Anchor: ${variation.anchor} | Strength: ${variation.strength}${sendStrength ? "" : " (not sent)"} | Images: ${imageCount}`);
+    console.log(`│  "${variation.edit_prompt.substring(0, 60)}..."`);
 
     // Load anchor image
     let anchorDataUrl;
@@ -238,33 +235,55 @@ async function generateVariations() {
     } catch (error) {
       console.log(`│  ❌ No anchor found: ${error.message}`);
       console.log(`└─ Skipped\n`);
-      totalErrors += IMAGES_PER_VARIATION;
+      totalErrors += imageCount;
       continue;
     }
 
-    const fullPrompt = `${CHARACTER.base_prompt}, ${variation.prompt}`;
+    let fullPrompt;
+    try {
+      fullPrompt = await buildVariationPrompt(variation.edit_prompt, (message) => console.log(`│  ${message}`));
+    } catch (error) {
+      console.log(`│  ❌ ${error.message}`);
+      console.log(`└─ Skipped\n`);
+      totalErrors += imageCount;
+      continue;
+    }
 
-    for (let i = 1; i <= IMAGES_PER_VARIATION; i++) {
+    for (let i = 1; i <= imageCount; i++) {
       const filename = `${variation.id}_${String(i).padStart(2, "0")}.png`;
       const filepath = path.join(varDir, filename);
 
-      // Skip if exists
+      // Skip if exists, noting images made from an older definition
       try {
         await fs.access(filepath);
-        console.log(`│  ⏭️  [${i}/${IMAGES_PER_VARIATION}] ${filename} exists`);
+        const recorded = record.images[filename]?.variation_revision;
+        const stale = recorded && recorded !== revision ? " (from an older config revision)" : "";
+        console.log(`│  ⏭️  [${i}/${imageCount}] ${filename} exists${stale}`);
         totalSkipped++;
         continue;
       } catch {}
 
-      process.stdout.write(`│  🔄 [${i}/${IMAGES_PER_VARIATION}] ${filename}...`);
+      process.stdout.write(`│  🔄 [${i}/${imageCount}] ${filename}...`);
 
       try {
-        const url = await editImage(anchorDataUrl, fullPrompt);
-        await downloadImage(url, filepath);
+        const { url, generation } = await editImage(anchorDataUrl, fullPrompt, {
+          strength: variation.strength,
+          variant: i,
+          onLog: (message) => console.log(`    ${message}`),
+        });
+        await downloadImage(url, filepath, { generation, metadata: { anchor: variation.anchor, pose: variation.id } });
+        await recordGeneration(filepath, {
+          anchor: variation.anchor,
+          strength: sendStrength ? variation.strength : null,
+          prompt: variation.edit_prompt,
+          source: "phase2",
+          variation,
+        });
         console.log(` ✅`);
         totalGenerated++;
       } catch (error) {
         console.log(` ❌ ${error.message}`);
+        if (error instanceof BudgetExceededError) throw error;
         console.error("Error details:", error.body || error);
         totalErrors++;
       }
@@ -283,7 +302,7 @@ async function generateVariations() {
 ║  Generated: ${String(totalGenerated).padEnd(4)} images                                    ║
 ║  Skipped:   ${String(totalSkipped).padEnd(4)} images (already existed)                   ║
 ║  Errors:    ${String(totalErrors).padEnd(4)} images                                      ║
-║  Location:  output/variations/                                ║
+║  Location:  output/variations-2/                              ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  NEXT STEPS:                                                  ║
 ║  1. Run: npm run gallery                                      ║
@@ -293,4 +312,128 @@ async function generateVariations() {
 `);
 }
 
-generateVariations().catch(console.error);
+// ============================================
+// SINGLE-IMAGE REGENERATION (gallery jobs)
+// ============================================
+
+/**
+ * Full edit prompt for a pose: the character, background and style from the
+ * profile around the pose text, laid out for the edit endpoint
+ * @param {string} pose - Variation edit_prompt (or an edited one from the gallery)
+ * @param {Function} onLog - Told about any trimming to fit the model's limit
+ */
+async function buildVariationPrompt(pose, onLog) {
+  return renderPrompt("variation", { pose }, { model: await getEndpoint("edit"), onLog });
+}
+
+/**
+ * Look up a variation definition in config/variations.json
+ * @param {string} variationId - e.g. "barbell_row_down"
+ * @returns {Promise<Object|null>} { id, name, anchor, edit_prompt, strength, muscles_highlighted } or null
+ */
+async function getVariation(variationId) {
+  const { variations } = await loadVariationsConfig();
+  return variations.find((v) => v.id === variationId) || null;
+}
+
+/**
+ * Claim the next free <folder>_NN.png by creating <folder>_NN.png.reserved
+ * exclusively. The gallery runs regeneration jobs in parallel (and the CLI
+ * may be writing to the same folder), so picking a name from readdir alone
+ * lets two jobs choose the same one.
+ * @returns {Promise<string>} Reserved image path; remove `${path}.reserved` when done
+ */
+async function reserveNextImagePath(folderDir) {
+  const prefix = `${path.basename(folderDir)}_`;
+  for (;;) {
+    const files = await fs.readdir(folderDir);
+    const used = files
+      .map((f) => f.replace(/\.reserved$/, ""))
+      .filter((f) => f.startsWith(prefix) && f.endsWith(".png"))
+      .map((f) => parseInt(f.slice(prefix.length, -".png".length), 10))
+      .filter(Number.isInteger);
+    const next = used.length > 0 ? Math.max(...used) + 1 : 1;
+    const filepath = path.join(folderDir, `${prefix}${String(next).padStart(2, "0")}.png`);
+
+    try {
+      await (await fs.open(`${filepath}.reserved`, "wx")).close();
+    } catch (error) {
+      if (error.code === "EEXIST") continue;
+      throw error;
+    }
+    // An image written since the readdir without a reservation (phase 2's own numbering)
+    try {
+      await fs.access(filepath);
+      await fs.rm(`${filepath}.reserved`, { force: true });
+      continue;
+    } catch {}
+    return filepath;
+  }
+}
+
+/**
+ * Generate a fresh image for one variation folder, saved next to the
+ * existing ones under the next free <folder>_NN.png. The name is reserved
+ * before generating, so parallel regenerations never overwrite each other.
+ *
+ * @param {string} folderDir - Absolute folder, e.g. output/variations-final/barbell_row_down
+ * @param {Object} options - prompt (pose text, rendered with the "variation" template), anchor (id),
+ *   strength (defaults to the folder's variation strength), source (recorded in
+ *   generation.json, default "gallery"), onLog
+ * @returns {Promise<string>} Absolute path of the new image
+ */
+async function regenerateVariation(folderDir, { prompt, anchor, strength, source = "gallery", onLog }) {
+  const variation = await getVariation(path.basename(folderDir));
+  const sendStrength = await editUsesStrength();
+  const editStrength = sendStrength ? strength ?? variation?.strength : null;
+  if (!sendStrength && (strength ?? variation?.strength) != null) {
+    onLog?.(`⚠️  ${await getEndpoint("edit")} ignores strength; not sending ${strength ?? variation.strength}`);
+  }
+  const anchorPath = await getAnchorImage(anchor);
+  const anchorDataUrl = await fileToDataUrl(anchorPath);
+  onLog?.(`Anchor: ${path.relative(path.join(__dirname, ".."), anchorPath)}`);
+
+  await ensureDir(folderDir);
+  const filepath = await reserveNextImagePath(folderDir);
+  try {
+    const { url, generation } = await editImage(anchorDataUrl, await buildVariationPrompt(prompt, onLog), {
+      strength: editStrength,
+      refresh: true,
+      onLog,
+    });
+    await downloadImage(url, filepath, { generation, metadata: { anchor, pose: path.basename(folderDir) } });
+  } finally {
+    await fs.rm(`${filepath}.reserved`, { force: true });
+  }
+  // Only an unchanged config prompt and anchor count as this config revision
+  const fromConfig = variation && variation.edit_prompt === prompt && variation.anchor === anchor;
+  await recordGeneration(filepath, {
+    anchor,
+    strength: editStrength,
+    prompt,
+    source,
+    variation: fromConfig ? variation : null,
+  });
+  onLog?.(`Saved ${path.basename(filepath)}`);
+
+  return filepath;
+}
+
+const isMainModule = process.argv[1] && import.meta.url.endsWith(process.argv[1].replace(/^.*[\\/]/, ''));
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  withCostContext({ phase: "phase2" }, async () => {
+    setBudget(parseBudgetFlag(args));
+    setCacheMode(parseCacheFlag(args));
+    await generateVariations({
+      variationIds: getListFlag(args, "variation"),
+      anchorIds: getListFlag(args, "anchor"),
+    });
+  }).catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+// Export for gallery regeneration jobs and phase2-rejected-regen
+export { loadVariationsConfig, getVariation, regenerateVariation };
@@ -3,11 +3,16 @@ import { fal } from "@fal-ai/client";
 import fs from "fs/promises";
 import { createWriteStream, createReadStream } from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
 import archiver from "archiver";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { generateLoraImage } from "./utils/image-provider.js";
+import { downloadImage } from "./utils/resilience.js";
+import { withCostContext, withCostTracking, estimateCost } from "./utils/cost-ledger.js";
+import { loadAnnotations, loadAnnotationsConfig, classifyTags, toImageKey } from "./utils/annotations.js";
+import { OUTPUT_DIR, resolveImageKey, resolveOutputPath } from "./utils/output-paths.js";
+import { getCharacter } from "./utils/character.js";
+import { getCharacterCaption } from "./utils/prompt-templates.js";
+import { getTrainingImages, parseCollectionFlag } from "./utils/collections.js";
+import { readImageMetadata } from "./utils/image-metadata.js";
 
 // Configure fal.ai
 fal.config({
@@ -17,17 +22,20 @@ fal.config({
 // ============================================
 // CONFIGURATION
 // ============================================
+const character = getCharacter();
+
 const CONFIG = {
   // Where your curated images live
-  inputDir: path.join(__dirname, "../output/variations-final"),
+  inputDir: resolveOutputPath("variations-final"),
 
   // Where to save training data ZIP and results
-  outputDir: path.join(__dirname, "../output/lora-training"),
+  outputDir: resolveOutputPath("lora-training"),
 
   // LoRA training settings
   training: {
     // The trigger word you'll use in prompts to activate your character
-    triggerWord: "fitness_boss",
+    // (trigger_word in the character profile)
+    triggerWord: character.trigger_word,
 
     // Training steps (more = better fit, but risk overfitting)
     // 1000-1500 is usually good for 20-50 images
@@ -40,9 +48,9 @@ const CONFIG = {
     createMasks: true,
   },
 
-  // Base caption describing your character (used for all images)
-  baseCaption:
-    "anatomical muscle mannequin figure, orange-amber colored with wireframe mesh grid lines across body, faceless head with black oval eyes, wearing olive green shorts and grey sneakers, cream background",
+  // Base caption describing your character (used for all images), built
+  // from the profile's subject and fixed_elements
+  baseCaption: getCharacterCaption(character),
 };
 
 // ============================================
@@ -75,22 +83,63 @@ async function getAllImages(dir) {
 
 function getPoseFromPath(imagePath) {
   const parts = imagePath.split(path.sep);
-  const poseFolder = parts[parts.length - 2];
+  // Anchor picks are flat: anchors-selected/<anchor>.png
+  const poseFolder = parts[parts.length - 2] === "anchors-selected"
+    ? path.basename(imagePath, path.extname(imagePath))
+    : parts[parts.length - 2];
   return poseFolder.replace(/_/g, " ");
 }
 
-function generateCaption(imagePath) {
-  const pose = getPoseFromPath(imagePath);
+/**
+ * Pose for an image's caption: the pose embedded in the PNG, which
+ * survives renames and moves, else the folder it sits in
+ */
+function getPose(imagePath, metadata) {
+  return metadata.pose ? metadata.pose.replace(/_/g, " ") : getPoseFromPath(imagePath);
+}
+
+/**
+ * Resolve a gallery collection's images (plus the anchor picks) to files
+ * @param {string} collection - Collection name in output/collections/
+ * @returns {Promise<string[]>} Absolute image paths
+ */
+async function getCollectionImages(collection) {
+  const { images: imageKeys } = await getTrainingImages(collection);
+  const images = [];
+  for (const imageKey of imageKeys) {
+    try {
+      images.push((await resolveImageKey(imageKey)).filePath);
+    } catch (error) {
+      console.log(`   ⚠️  Skipping ${imageKey} (${error.message})`);
+    }
+  }
+  return images;
+}
+
+function generateCaption(pose, extraTags = []) {
   const triggerWord = CONFIG.training.triggerWord;
-  return `A photo of ${triggerWord}, ${CONFIG.baseCaption}, ${pose} pose`;
+  const tagText = extraTags.length > 0 ? `, ${extraTags.join(", ")}` : "";
+  return `A photo of ${triggerWord}, ${CONFIG.baseCaption}, ${pose} pose${tagText}`;
+}
+
+/**
+ * Decide whether a reviewer's annotation keeps an image out of training
+ * @returns {string|null} Reason for exclusion, or null to include
+ */
+function getExclusionReason(annotation, tags, trainingRules) {
+  if (trainingRules.exclude_defect_tagged && tags.defects.length > 0) {
+    return `tagged ${tags.defects.join(", ")}`;
+  }
+  if (trainingRules.min_rating && annotation?.rating && annotation.rating < trainingRules.min_rating) {
+    return `rated ${annotation.rating}/5`;
+  }
+  return null;
 }
 
 // ============================================
 // CREATE TRAINING ZIP FILE
 // ============================================
-async function createTrainingZip(trainingData) {
-  const zipPath = path.join(CONFIG.outputDir, "training-data.zip");
-
+async function createTrainingZip(trainingData, zipPath = path.join(CONFIG.outputDir, "training-data.zip")) {
   return new Promise((resolve, reject) => {
     const output = createWriteStream(zipPath);
     const archive = archiver("zip", { zlib: { level: 9 } });
@@ -125,7 +174,7 @@ async function createTrainingZip(trainingData) {
 // ============================================
 // STEP 1: PREPARE TRAINING DATA
 // ============================================
-async function prepareTrainingData() {
+async function prepareTrainingData(collection = null) {
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║           STEP 1: PREPARE TRAINING DATA                       ║
@@ -134,8 +183,14 @@ async function prepareTrainingData() {
 
   await ensureDir(CONFIG.outputDir);
 
-  console.log(`📂 Scanning ${CONFIG.inputDir}...`);
-  const images = await getAllImages(CONFIG.inputDir);
+  let images;
+  if (collection) {
+    console.log(`📂 Reading collection "${collection}"...`);
+    images = await getCollectionImages(collection);
+  } else {
+    console.log(`📂 Scanning ${CONFIG.inputDir}...`);
+    images = await getAllImages(CONFIG.inputDir);
+  }
   console.log(`   Found ${images.length} images\n`);
 
   if (images.length < 10) {
@@ -144,28 +199,53 @@ async function prepareTrainingData() {
   }
 
   const trainingData = [];
+  const excluded = [];
+  const annotations = await loadAnnotations();
+  const trainingRules = (await loadAnnotationsConfig()).training;
 
   console.log("📝 Generating captions...\n");
 
   for (const imagePath of images) {
-    const caption = generateCaption(imagePath);
-    const relativePath = path.relative(CONFIG.inputDir, imagePath);
+    const relativePath = path.relative(collection ? OUTPUT_DIR : CONFIG.inputDir, imagePath);
+    const annotation = annotations[toImageKey(imagePath)] || null;
+    const tags = await classifyTags(annotation);
+
+    const exclusionReason = getExclusionReason(annotation, tags, trainingRules);
+    if (exclusionReason) {
+      excluded.push({ relativePath, reason: exclusionReason });
+      console.log(`   ${relativePath}`);
+      console.log(`   └─ ⏭️  Excluded (${exclusionReason})\n`);
+      continue;
+    }
+
+    const metadata = await readImageMetadata(imagePath);
+    const caption = generateCaption(getPose(imagePath, metadata), trainingRules.append_tags_to_caption ? tags.descriptive : []);
 
     trainingData.push({
       path: imagePath,
       relativePath,
       caption,
+      annotation,
+      metadata,
     });
 
     console.log(`   ${relativePath}`);
     console.log(`   └─ "${caption.substring(0, 60)}..."\n`);
   }
 
+  if (trainingData.length < 10) {
+    console.error(`❌ Only ${trainingData.length} images left after excluding ${excluded.length} by annotation. Need at least 10.`);
+    process.exit(1);
+  }
+
   // Save caption manifest
   const manifestPath = path.join(CONFIG.outputDir, "captions.json");
   await fs.writeFile(manifestPath, JSON.stringify(trainingData, null, 2));
 
   console.log(`\n✅ Prepared ${trainingData.length} images with captions`);
+  if (excluded.length > 0) {
+    console.log(`⏭️  Excluded ${excluded.length} images by gallery annotations (config/annotations.json)`);
+  }
   console.log(`📄 Caption manifest saved to: ${manifestPath}`);
 
   return trainingData;
@@ -203,26 +283,34 @@ async function trainLora(trainingData) {
   console.log(`   This typically takes 10-30 minutes.\n`);
 
   try {
-    const result = await fal.subscribe("fal-ai/flux-lora-fast-training", {
-      input: {
-        images_data_url: String(zipUrl),
-        trigger_word: CONFIG.training.triggerWord,
-        steps: CONFIG.training.steps,
-        is_style: CONFIG.training.isStyle,
-        create_masks: CONFIG.training.createMasks,
+    const result = await withCostTracking(
+      {
+        kind: "training",
+        model: "fal-ai/flux-lora-fast-training",
+        units: CONFIG.training.steps,
+        unit: "steps",
       },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          console.log(`   ⏳ Training in progress...`);
-          if (update.logs) {
-            update.logs.forEach((log) => console.log(`      ${log.message}`));
+      () => fal.subscribe("fal-ai/flux-lora-fast-training", {
+        input: {
+          images_data_url: String(zipUrl),
+          trigger_word: CONFIG.training.triggerWord,
+          steps: CONFIG.training.steps,
+          is_style: CONFIG.training.isStyle,
+          create_masks: CONFIG.training.createMasks,
+        },
+        logs: true,
+        onQueueUpdate: (update) => {
+          if (update.status === "IN_PROGRESS") {
+            console.log(`   ⏳ Training in progress...`);
+            if (update.logs) {
+              update.logs.forEach((log) => console.log(`      ${log.message}`));
+            }
+          } else if (update.status === "IN_QUEUE") {
+            console.log(`   🕐 Position in queue: ${update.queue_position || "unknown"}`);
           }
-        } else if (update.status === "IN_QUEUE") {
-          console.log(`   🕐 Position in queue: ${update.queue_position || "unknown"}`);
-        }
-      },
-    });
+        },
+      })
+    );
 
     console.log(`\n✅ Training complete!`);
 
@@ -290,33 +378,17 @@ async function testLora(trainingResult) {
     console.log(`   [${i + 1}/${testPrompts.length}] "${prompt}"`);
 
     try {
-      const result = await fal.subscribe("fal-ai/flux-lora", {
-        input: {
-          prompt: prompt,
-          loras: [
-            {
-              path: loraUrl,
-              scale: 1.0,
-            },
-          ],
-          image_size: "square_hd",
-          num_images: 1,
-          guidance_scale: 3.5,
-        },
-        logs: false,
+      const { url: imageUrl, generation } = await generateLoraImage(prompt, loraUrl, {
+        loraScale: 1.0,
+        imageSize: "square_hd",
+        guidanceScale: 3.5,
       });
 
-      if (result.images && result.images.length > 0) {
-        const imageUrl = result.images[0].url;
-        const response = await fetch(imageUrl);
-        const buffer = await response.arrayBuffer();
-
-        const filename = `test_${i + 1}.png`;
-        const filepath = path.join(testDir, filename);
-        await fs.writeFile(filepath, Buffer.from(buffer));
+      const filename = `test_${i + 1}.png`;
+      const filepath = path.join(testDir, filename);
+      await downloadImage(imageUrl, filepath, { generation });
 
-        console.log(`      ✅ Saved to ${filename}`);
-      }
+      console.log(`      ✅ Saved to ${filename}`);
     } catch (error) {
       console.log(`      ❌ Failed: ${error.message}`);
     }
@@ -328,7 +400,7 @@ async function testLora(trainingResult) {
 // ============================================
 // MAIN
 // ============================================
-async function main() {
+async function main(collection = null) {
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║                                                               ║
@@ -350,23 +422,33 @@ async function main() {
     process.exit(1);
   }
 
-  try {
-    await fs.access(CONFIG.inputDir);
-  } catch {
-    console.error(`❌ Input directory not found: ${CONFIG.inputDir}`);
-    console.error("   Run phase 1 and 2 first to generate and curate images.");
-    process.exit(1);
+  if (collection) {
+    // Keep each collection's ZIP, result and test images apart for comparison
+    CONFIG.outputDir = path.join(CONFIG.outputDir, collection);
+  } else {
+    try {
+      await fs.access(CONFIG.inputDir);
+    } catch {
+      console.error(`❌ Input directory not found: ${CONFIG.inputDir}`);
+      console.error("   Run phase 1 and 2 first to generate and curate images.");
+      process.exit(1);
+    }
   }
 
   try {
-    const trainingData = await prepareTrainingData();
+    const trainingData = await prepareTrainingData(collection);
+    const { usd: trainingCost } = await estimateCost({
+      kind: "training",
+      model: "fal-ai/flux-lora-fast-training",
+      units: CONFIG.training.steps,
+    });
 
     console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║  READY TO TRAIN                                               ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  Images: ${String(trainingData.length).padEnd(3)} curated images                                 ║
-║  Cost: ~$5-10 (depending on steps)                            ║
+║  Cost: ~$${trainingCost.toFixed(2).padEnd(53)}║
 ║  Time: ~10-30 minutes                                         ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  The script will now create ZIP, upload, and start training.  ║
@@ -389,7 +471,8 @@ async function main() {
 ║  Your LoRA is trained and ready to use.                       ║
 ║                                                               ║
 ║  NEXT STEPS:                                                  ║
-║  1. Check test images in output/lora-training/test-outputs/   ║
+║  1. Check test images in ${path.relative(path.dirname(OUTPUT_DIR), CONFIG.outputDir).padEnd(37)}║
+║     test-outputs/                                             ║
 ║  2. Download your LoRA from the URL in training-result.json   ║
 ║  3. Use trigger word "${CONFIG.training.triggerWord}" in prompts              ║
 ║                                                               ║
@@ -403,4 +486,12 @@ async function main() {
   }
 }
 
-main();
+// Run main only if this is the entry point
+const isMainModule = process.argv[1] && import.meta.url.endsWith(process.argv[1].replace(/^.*[\\/]/, ''));
+if (isMainModule) {
+  const collection = parseCollectionFlag(process.argv.slice(2));
+  withCostContext({ phase: "phase3" }, () => main(collection));
+}
+
+// Export for the gallery's dataset export, which writes the same ZIP layout
+export { CONFIG, generateCaption, getExclusionReason, createTrainingZip };
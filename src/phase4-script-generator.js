@@ -1,20 +1,21 @@
 import 'dotenv/config';
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
 import { researchExercise, generateScript, planShots, planAnimationFrames } from "./utils/ai-client.js";
 import { mapExerciseToAnchor, getAllAnchors } from "./utils/anchor-mapper.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { requiresApiKey } from "./utils/claude-cassette.js";
+import { withCostContext } from "./utils/cost-ledger.js";
+import { withoutGlobalFlags } from "./utils/cli-args.js";
+import { getEndpoint } from "./utils/image-provider.js";
+import { renderPrompt } from "./utils/prompt-templates.js";
+import { resolveOutputPath } from "./utils/output-paths.js";
 
 // ============================================
 // CONFIGURATION
 // ============================================
 const CONFIG = {
-  anchorsDir: path.join(__dirname, "../output/anchors-selected"),
-  outputDir: path.join(__dirname, "../output/video-scripts"),
-  character: null, // Loaded dynamically
+  anchorsDir: resolveOutputPath("anchors-selected"),
+  outputDir: resolveOutputPath("video-scripts"),
 };
 
 // ============================================
@@ -24,12 +25,6 @@ async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
-async function loadCharacter() {
-  const charPath = path.join(__dirname, "../config/character.json");
-  const data = await fs.readFile(charPath, "utf-8");
-  return JSON.parse(data);
-}
-
 function slugify(text) {
   return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
 }
@@ -166,9 +161,14 @@ async function stepPlanShots(exerciseData, scriptData, exerciseDir) {
 // ============================================
 // STEP 4: CREATE SHOT FOLDERS & PROMPTS
 // ============================================
-async function stepCreateShotPrompts(shots, sequences, exerciseData, scriptData, exerciseDir, character) {
+async function stepCreateShotPrompts(shots, sequences, exerciseData, scriptData, exerciseDir) {
   console.log(`\n┌─ Step 4: Create Shot Prompts`);
 
+  // Shots are edits of an anchor, so they're laid out for the edit endpoint.
+  // prompt_slots is kept so phase 6 can refine the pose and re-render.
+  const model = await getEndpoint("edit");
+  const onLog = (message) => console.log(`│  ${message}`);
+
   const shotsDir = path.join(exerciseDir, "shots");
   let created = 0;
   let skipped = 0;
@@ -189,11 +189,8 @@ async function stepCreateShotPrompts(shots, sequences, exerciseData, scriptData,
 
     // Build engineered prompt
     const highlightedMuscles = shot.highlighted_muscles || [];
-    const muscleHighlightText = highlightedMuscles.length > 0
-      ? `, ${highlightedMuscles.join(" and ")} muscles highlighted in bright red glowing overlay`
-      : "";
-
-    const engineeredPrompt = `${character.base_prompt}, ${shot.visual_description}${muscleHighlightText}`;
+    const promptSlots = { pose: shot.visual_description, muscles: highlightedMuscles };
+    const engineeredPrompt = await renderPrompt("shot", promptSlots, { model, onLog });
 
     const promptJson = {
       shot_id: shot.shot_id,
@@ -201,7 +198,9 @@ async function stepCreateShotPrompts(shots, sequences, exerciseData, scriptData,
       anchor_image: `output/anchors-selected/${shot.anchor_image}`,
       visual_description: shot.visual_description,
       highlighted_muscles: highlightedMuscles,
+      tts_segment_index: shot.tts_segment_index ?? null,
       engineered_prompt: engineeredPrompt,
+      prompt_slots: promptSlots,
       is_sequence_frame: shot.is_sequence_frame || false,
       sequence_name: shot.sequence_name || null,
       sequence_order: shot.sequence_order || null,
@@ -238,13 +237,16 @@ async function stepCreateShotPrompts(shots, sequences, exerciseData, scriptData,
           const frameDir = path.join(shotsDir, frameId);
           await ensureDir(frameDir);
 
+          const frameSlots = { pose: `${frame.position_description}, ${frame.body_changes}`, muscles: [] };
           const framePrompt = {
             shot_id: frameId,
             shot_name: `${seq.name} Frame ${frame.frame_order}`,
             anchor_image: `output/anchors-selected/${frames.anchor}.png`,
             visual_description: frame.position_description,
             highlighted_muscles: [],
-            engineered_prompt: `${character.base_prompt}, ${frame.position_description}, ${frame.body_changes}`,
+            tts_segment_index: seq.segment_index,
+            engineered_prompt: await renderPrompt("shot", frameSlots, { model, onLog }),
+            prompt_slots: frameSlots,
             is_sequence_frame: true,
             sequence_name: seq.name,
             sequence_order: frame.frame_order,
@@ -292,9 +294,13 @@ async function stepFinalizeScript(exerciseDir, totalShots) {
 // ============================================
 // EXPORTABLE FUNCTION FOR PIPELINE
 // ============================================
-async function generateVideoScript(exerciseName) {
+function generateVideoScript(exerciseName) {
+  return withCostContext({ phase: "phase4", exercise: slugify(exerciseName) }, () => generateExerciseScript(exerciseName));
+}
+
+async function generateExerciseScript(exerciseName) {
   // Validate environment
-  if (!process.env.ANTHROPIC_API_KEY) {
+  if (requiresApiKey() && !process.env.ANTHROPIC_API_KEY) {
     return { success: false, error: "ANTHROPIC_API_KEY not found in .env file" };
   }
 
@@ -305,9 +311,6 @@ async function generateVideoScript(exerciseName) {
     return { success: false, error: `Anchors directory not found: ${CONFIG.anchorsDir}` };
   }
 
-  // Load character
-  CONFIG.character = await loadCharacter();
-
   // Create exercise directory
   const exerciseSlug = slugify(exerciseName);
   const exerciseDir = path.join(CONFIG.outputDir, exerciseSlug);
@@ -331,8 +334,7 @@ async function generateVideoScript(exerciseName) {
       sequences,
       exerciseData,
       scriptData,
-      exerciseDir,
-      CONFIG.character
+      exerciseDir
     );
 
     // Step 5: Finalize
@@ -357,7 +359,7 @@ async function generateVideoScript(exerciseName) {
 // MAIN (CLI entry point)
 // ============================================
 async function main() {
-  const exerciseName = process.argv[2];
+  const exerciseName = withoutGlobalFlags(process.argv.slice(2)).find(a => !a.startsWith("--"));
 
   if (!exerciseName) {
     console.error("Usage: node phase4-script-generator.js <exercise-name>");
@@ -1,26 +1,32 @@
 import 'dotenv/config';
-import { fal } from "@fal-ai/client";
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configure fal.ai
-fal.config({
-  credentials: process.env.FAL_KEY,
-});
+import { editImage, getProviderEnvErrors } from "./utils/image-provider.js";
+import { downloadImage } from "./utils/resilience.js";
+import { runPool, TokenBucket } from "./utils/concurrency.js";
+import { withCostContext, setBudget, parseBudgetFlag, BudgetExceededError } from "./utils/cost-ledger.js";
+import { withoutGlobalFlags, getPositionalArgs } from "./utils/cli-args.js";
+import { setCacheMode, parseCacheFlag } from "./utils/generation-cache.js";
+import { resolveOutputPath } from "./utils/output-paths.js";
 
 // ============================================
 // CONFIGURATION
 // ============================================
 const CONFIG = {
-  videoScriptsDir: path.join(__dirname, "../output/video-scripts"),
-  anchorsDir: path.join(__dirname, "../output/anchors-selected"),
-  rateLimit: 300, // ms between API calls
+  videoScriptsDir: resolveOutputPath("video-scripts"),
+  anchorsDir: resolveOutputPath("anchors-selected"),
+  concurrency: 4, // shots generated in parallel per exercise
+  exerciseConcurrency: 2, // exercises processed in parallel with --all
+  requestsPerSecond: 3, // shared across all workers
+  burst: 3, // requests allowed back-to-back before throttling
 };
 
+// One bucket for the whole process so parallel exercises share the limit
+const rateLimiter = new TokenBucket({
+  ratePerSecond: CONFIG.requestsPerSecond,
+  burst: CONFIG.burst,
+});
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -28,40 +34,14 @@ async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
-async function downloadImage(url, filepath) {
-  const response = await fetch(url);
-  const buffer = await response.arrayBuffer();
-  await fs.writeFile(filepath, Buffer.from(buffer));
-}
-
 async function fileToDataUrl(filepath) {
   const buffer = await fs.readFile(filepath);
   return `data:image/png;base64,${buffer.toString("base64")}`;
 }
 
-async function editImage(imageUrl, prompt) {
-  const result = await fal.subscribe("fal-ai/nano-banana/edit", {
-    input: {
-      prompt: prompt,
-      image_urls: [imageUrl],
-      num_images: 1,
-      output_format: "png",
-    },
-    logs: true,
-    onQueueUpdate: (update) => {
-      if (update.status === "IN_PROGRESS" && update.logs) {
-        update.logs.forEach(log => console.log(`    ${log.message}`));
-      }
-    },
-  });
-
-  if (result.data?.images?.length > 0) {
-    return result.data.images[0].url;
-  }
-  if (result.images?.length > 0) {
-    return result.images[0].url;
-  }
-  throw new Error("No image returned from nano-banana");
+function parseIntFlag(args, name) {
+  const arg = args.find(a => a.startsWith(`${name}=`));
+  return arg ? parseInt(arg.split("=")[1], 10) : null;
 }
 
 // ============================================
@@ -112,9 +92,9 @@ async function loadPromptJson(promptPath) {
 const anchorCache = new Map();
 
 async function getAnchorDataUrl(anchorPath) {
-  // anchorPath is like "output/anchors-selected/bent.png"
-  // Convert to absolute path
-  const absolutePath = path.join(__dirname, "..", anchorPath);
+  // anchorPath is like "output/anchors-selected/bent.png"; "output" stands
+  // for the active character's output root
+  const absolutePath = resolveOutputPath(...anchorPath.split("/").slice(1));
 
   if (anchorCache.has(absolutePath)) {
     return anchorCache.get(absolutePath);
@@ -130,10 +110,93 @@ async function getAnchorDataUrl(anchorPath) {
   }
 }
 
+// ============================================
+// SINGLE SHOT GENERATION
+// ============================================
+
+/**
+ * Collect a shot's log lines and print them as one block, so output
+ * from parallel workers doesn't interleave
+ */
+function createShotLog(header) {
+  const lines = [`\n┌─ ${header}`];
+  return {
+    line: (text) => lines.push(text),
+    flush: () => console.log(lines.join("\n")),
+  };
+}
+
+async function generateShot(shot, log, { force = false } = {}) {
+  const imagePath = path.join(shot.dir, "image.png");
+
+  // Skip if image already exists (force replaces it)
+  if (!force) {
+    try {
+      await fs.access(imagePath);
+      log.line(`│  ⏭️  image.png exists, skipping`);
+      log.line(`└─ Skipped`);
+      return "skipped";
+    } catch {}
+  }
+
+  // Load prompt.json
+  let promptData;
+  try {
+    promptData = await loadPromptJson(shot.promptPath);
+    log.line(`│  Anchor: ${path.basename(promptData.anchor_image)}`);
+    log.line(`│  Prompt: "${promptData.engineered_prompt.substring(0, 50)}..."`);
+  } catch (error) {
+    log.line(`│  ❌ Failed to load prompt.json: ${error.message}`);
+    log.line(`└─ Error`);
+    return "error";
+  }
+
+  // Load anchor image
+  let anchorDataUrl;
+  try {
+    anchorDataUrl = await getAnchorDataUrl(promptData.anchor_image);
+    log.line(`│  📁 Anchor loaded`);
+  } catch (error) {
+    log.line(`│  ❌ Anchor error: ${error.message}`);
+    log.line(`└─ Error`);
+    return "error";
+  }
+
+  // Generate image
+  log.line(`│  🔄 Generating image...`);
+  try {
+    await rateLimiter.take();
+    const { url: imageUrl, generation } = await editImage(anchorDataUrl, promptData.engineered_prompt, {
+      refresh: force,
+      onLog: (message) => log.line(`    ${message}`),
+    });
+    await downloadImage(imageUrl, imagePath, {
+      generation,
+      metadata: { anchor: path.basename(promptData.anchor_image, ".png"), pose: shot.id },
+    });
+    log.line(`│  ✅ Saved to ${shot.id}/image.png`);
+    log.line(`└─ Done`);
+    return "generated";
+  } catch (error) {
+    log.line(`│  ❌ Generation failed: ${error.message}`);
+    log.line(`└─ Error`);
+    if (error instanceof BudgetExceededError) {
+      log.flush();
+      throw error;
+    }
+    return "error";
+  }
+}
+
 // ============================================
 // BATCH IMAGE GENERATION
 // ============================================
-async function generateImagesForExercise(exerciseName) {
+function generateImagesForExercise(exerciseName, options = {}) {
+  return withCostContext({ phase: "phase5", exercise: exerciseName }, () => generateExerciseImages(exerciseName, options));
+}
+
+async function generateExerciseImages(exerciseName, options) {
+  const concurrency = options.concurrency || CONFIG.concurrency;
   const exerciseDir = path.join(CONFIG.videoScriptsDir, exerciseName);
 
   // Validate exercise directory exists
@@ -166,97 +229,83 @@ async function generateImagesForExercise(exerciseName) {
 ╠═══════════════════════════════════════════════════════════════╣
 ║  Exercise: ${exerciseName.padEnd(45)}║
 ║  Total shots: ${String(shots.length).padEnd(42)}║
+║  Concurrency: ${String(concurrency).padEnd(42)}║
 ╚═══════════════════════════════════════════════════════════════╝
 `);
 
-  let totalGenerated = 0;
-  let totalSkipped = 0;
-  let totalErrors = 0;
-
-  for (let i = 0; i < shots.length; i++) {
-    const shot = shots[i];
-    const imagePath = path.join(shot.dir, "image.png");
-
-    console.log(`\n┌─ [${i + 1}/${shots.length}] ${shot.id}`);
+  const statuses = await runPool(shots, concurrency, async (shot, i) => {
+    const prefix = options.showExercise ? `${exerciseName} ` : "";
+    const log = createShotLog(`${prefix}[${i + 1}/${shots.length}] ${shot.id}`);
+    const status = await generateShot(shot, log);
+    log.flush();
+    return status;
+  });
 
-    // Skip if image already exists
-    try {
-      await fs.access(imagePath);
-      console.log(`│  ⏭️  image.png exists, skipping`);
-      console.log(`└─ Skipped`);
-      totalSkipped++;
-      continue;
-    } catch {}
+  const totalGenerated = statuses.filter(s => s === "generated").length;
+  const totalSkipped = statuses.filter(s => s === "skipped").length;
+  const totalErrors = statuses.filter(s => s === "error").length;
 
-    // Load prompt.json
-    let promptData;
-    try {
-      promptData = await loadPromptJson(shot.promptPath);
-      console.log(`│  Anchor: ${path.basename(promptData.anchor_image)}`);
-      console.log(`│  Prompt: "${promptData.engineered_prompt.substring(0, 50)}..."`);
-    } catch (error) {
-      console.log(`│  ❌ Failed to load prompt.json: ${error.message}`);
-      console.log(`└─ Error`);
-      totalErrors++;
-      continue;
-    }
-
-    // Load anchor image
-    let anchorDataUrl;
-    try {
-      anchorDataUrl = await getAnchorDataUrl(promptData.anchor_image);
-      console.log(`│  📁 Anchor loaded`);
-    } catch (error) {
-      console.log(`│  ❌ Anchor error: ${error.message}`);
-      console.log(`└─ Error`);
-      totalErrors++;
-      continue;
-    }
+  return { totalGenerated, totalSkipped, totalErrors, total: shots.length };
+}
 
-    // Generate image
-    console.log(`│  🔄 Generating image via nano-banana...`);
-    try {
-      const imageUrl = await editImage(anchorDataUrl, promptData.engineered_prompt);
-      await downloadImage(imageUrl, imagePath);
-      console.log(`│  ✅ Saved to ${shot.id}/image.png`);
-      console.log(`└─ Done`);
-      totalGenerated++;
-    } catch (error) {
-      console.log(`│  ❌ Generation failed: ${error.message}`);
-      console.log(`└─ Error`);
-      totalErrors++;
+/**
+ * Regenerate one shot's image.png from its current prompt.json, replacing
+ * any existing image (used by the gallery after a prompt edit)
+ * @param {string} exerciseName - Exercise folder name
+ * @param {string} shotId - Shot folder name
+ * @param {Object} options - onLog(line)
+ * @returns {Promise<string>} Path of the new image
+ */
+function regenerateShot(exerciseName, shotId, options = {}) {
+  return withCostContext({ phase: "phase5", exercise: exerciseName }, async () => {
+    const exerciseDir = path.join(CONFIG.videoScriptsDir, exerciseName);
+    const shot = (await getShotFolders(exerciseDir)).find(s => s.id === shotId);
+    if (!shot) {
+      throw new Error(`Shot not found: ${exerciseName}/${shotId}`);
     }
 
-    // Rate limiting
-    if (i < shots.length - 1) {
-      await new Promise(r => setTimeout(r, CONFIG.rateLimit));
+    const onLog = options.onLog || console.log;
+    const log = { line: onLog, flush: () => {} };
+    const status = await generateShot(shot, log, { force: true });
+    if (status !== "generated") {
+      throw new Error(`Generation failed for ${exerciseName}/${shotId}`);
     }
-  }
-
-  return { totalGenerated, totalSkipped, totalErrors, total: shots.length };
+    return path.join(shot.dir, "image.png");
+  });
 }
 
 // ============================================
 // MAIN
 // ============================================
 async function main() {
-  const args = process.argv.slice(2);
-  const exerciseName = args.find(a => !a.startsWith("--"));
+  const args = withoutGlobalFlags(process.argv.slice(2));
+  const [exerciseName] = getPositionalArgs(args, ["budget"]);
   const processAll = args.includes("--all");
+  const concurrency = parseIntFlag(args, "--concurrency") || CONFIG.concurrency;
+  const exerciseConcurrency = parseIntFlag(args, "--exercise-concurrency") || CONFIG.exerciseConcurrency;
+  setBudget(parseBudgetFlag(args));
+  setCacheMode(parseCacheFlag(args));
 
   if (!exerciseName && !processAll) {
-    console.error("Usage: node phase5-batch-image-gen.js <exercise-name>");
-    console.error("       node phase5-batch-image-gen.js --all");
+    console.error("Usage: node phase5-batch-image-gen.js <exercise-name> [--concurrency=N]");
+    console.error("       node phase5-batch-image-gen.js --all [--concurrency=N] [--exercise-concurrency=N]");
+    console.error("");
+    console.error("Options:");
+    console.error(`  --concurrency=N            Shots generated in parallel (default: ${CONFIG.concurrency})`);
+    console.error(`  --exercise-concurrency=N   Exercises processed in parallel with --all (default: ${CONFIG.exerciseConcurrency})`);
+    console.error("  --budget=USD               Stop before estimated spend exceeds this amount");
+    console.error("  --no-cache                 Ignore cached images and call the provider again");
     console.error("");
     console.error("Examples:");
     console.error("  node phase5-batch-image-gen.js bent-over-barbell-row");
-    console.error("  node phase5-batch-image-gen.js --all");
+    console.error("  node phase5-batch-image-gen.js --all --concurrency=2");
     process.exit(1);
   }
 
   // Validate environment
-  if (!process.env.FAL_KEY) {
-    console.error("❌ FAL_KEY not found in .env file");
+  const providerErrors = await getProviderEnvErrors();
+  if (providerErrors.length > 0) {
+    providerErrors.forEach(error => console.error(`❌ ${error}`));
     process.exit(1);
   }
 
@@ -288,17 +337,17 @@ async function main() {
     exercises = [exerciseName];
   }
 
-  const results = [];
+  const showExercise = exercises.length > 1 && exerciseConcurrency > 1;
 
-  for (const exercise of exercises) {
+  const results = await runPool(exercises, exerciseConcurrency, async (exercise) => {
     try {
-      const result = await generateImagesForExercise(exercise);
-      results.push({ exercise, ...result, success: true });
+      const result = await generateImagesForExercise(exercise, { concurrency, showExercise });
+      return { exercise, ...result, success: true };
     } catch (error) {
       console.error(`\n❌ Failed to process ${exercise}: ${error.message}`);
-      results.push({ exercise, success: false, error: error.message });
+      return { exercise, success: false, error: error.message };
     }
-  }
+  });
 
   // Print summary
   console.log(`
@@ -345,4 +394,4 @@ if (isMainModule) {
 }
 
 // Export for pipeline usage
-export { generateImagesForExercise };
+export { generateImagesForExercise, regenerateShot };
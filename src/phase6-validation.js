@@ -1,24 +1,24 @@
 import 'dotenv/config';
-import { fal } from "@fal-ai/client";
+import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
+import { editImage, getEndpoint, getProviderEnvErrors } from "./utils/image-provider.js";
+import { downloadImage } from "./utils/resilience.js";
 import { validateImage, refinePrompt } from "./utils/vision-validator.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configure fal.ai
-fal.config({
-  credentials: process.env.FAL_KEY,
-});
+import { requiresApiKey, CassetteMissError } from "./utils/claude-cassette.js";
+import { withCostContext, setBudget, parseBudgetFlag, BudgetExceededError } from "./utils/cost-ledger.js";
+import { withoutGlobalFlags, getPositionalArgs } from "./utils/cli-args.js";
+import { setCacheMode, parseCacheFlag } from "./utils/generation-cache.js";
+import { getAnnotation, describeAnnotationIssues, toImageKey } from "./utils/annotations.js";
+import { resolveOutputPath } from "./utils/output-paths.js";
+import { renderPrompt } from "./utils/prompt-templates.js";
 
 // ============================================
 // CONFIGURATION
 // ============================================
 const CONFIG = {
-  videoScriptsDir: path.join(__dirname, "../output/video-scripts"),
-  anchorsDir: path.join(__dirname, "../output/anchors-selected"),
+  videoScriptsDir: resolveOutputPath("video-scripts"),
+  anchorsDir: resolveOutputPath("anchors-selected"),
   rateLimit: 500, // ms between API calls
   maxIterations: 2, // max regeneration attempts
   confidenceThreshold: 0.7, // minimum confidence to pass
@@ -31,12 +31,6 @@ async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
-async function downloadImage(url, filepath) {
-  const response = await fetch(url);
-  const buffer = await response.arrayBuffer();
-  await fs.writeFile(filepath, Buffer.from(buffer));
-}
-
 async function fileToDataUrl(filepath) {
   const buffer = await fs.readFile(filepath);
   return `data:image/png;base64,${buffer.toString("base64")}`;
@@ -47,31 +41,6 @@ async function fileToBase64(filepath) {
   return buffer.toString("base64");
 }
 
-async function editImage(imageUrl, prompt) {
-  const result = await fal.subscribe("fal-ai/nano-banana/edit", {
-    input: {
-      prompt: prompt,
-      image_urls: [imageUrl],
-      num_images: 1,
-      output_format: "png",
-    },
-    logs: true,
-    onQueueUpdate: (update) => {
-      if (update.status === "IN_PROGRESS" && update.logs) {
-        update.logs.forEach(log => console.log(`      ${log.message}`));
-      }
-    },
-  });
-
-  if (result.data?.images?.length > 0) {
-    return result.data.images[0].url;
-  }
-  if (result.images?.length > 0) {
-    return result.images[0].url;
-  }
-  throw new Error("No image returned from nano-banana");
-}
-
 // ============================================
 // SHOT SCANNING AND LOADING
 // ============================================
@@ -117,6 +86,20 @@ async function savePromptJson(promptPath, promptData) {
   await fs.writeFile(promptPath, JSON.stringify(promptData, null, 2));
 }
 
+async function loadValidationJson(validationPath) {
+  try {
+    const data = await fs.readFile(validationPath, "utf-8");
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+async function hashFile(filepath) {
+  const buffer = await fs.readFile(filepath);
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
 async function loadScriptJson(exerciseDir) {
   const scriptPath = path.join(exerciseDir, "script.json");
   try {
@@ -131,8 +114,9 @@ async function loadScriptJson(exerciseDir) {
 const anchorCache = new Map();
 
 async function getAnchorPath(anchorRelativePath) {
-  // anchorRelativePath is like "output/anchors-selected/bent.png"
-  const absolutePath = path.join(__dirname, "..", anchorRelativePath);
+  // anchorRelativePath is like "output/anchors-selected/bent.png"; "output"
+  // stands for the active character's output root
+  const absolutePath = resolveOutputPath(...anchorRelativePath.split("/").slice(1));
 
   try {
     await fs.access(absolutePath);
@@ -182,6 +166,16 @@ async function validateShot(shot, scriptData, skipRegen = false) {
     };
   }
 
+  // A reviewer's decision from the gallery stands until the image changes
+  const existingValidation = await loadValidationJson(validationPath);
+  if (existingValidation?.review && existingValidation.review.image_sha256 === await hashFile(imagePath)) {
+    console.log(`    │  👤 Reviewed in gallery: ${existingValidation.review.decision}`);
+    return {
+      status: existingValidation.review.decision,
+      validation: existingValidation,
+    };
+  }
+
   // Get TTS context from script
   const ttsContext = getTtsContextForShot(shot.id, scriptData);
 
@@ -212,6 +206,9 @@ async function validateShot(shot, scriptData, skipRegen = false) {
         ttsContext
       );
     } catch (error) {
+      if (error instanceof CassetteMissError || error instanceof BudgetExceededError) {
+        throw error;
+      }
       console.log(`    │  ❌ Validation error: ${error.message}`);
       return {
         status: "error",
@@ -269,26 +266,45 @@ async function validateShot(shot, scriptData, skipRegen = false) {
     console.log(`    │  🔄 Refining prompt and regenerating...`);
 
     try {
-      // Refine the prompt
-      const refinedPrompt = await refinePrompt(
-        currentPrompt,
-        validationResult.issues || [],
+      // Refine the prompt, including defects a reviewer tagged in the gallery.
+      // Templated shots only get their pose refined and are re-rendered, so
+      // the character stays exactly as its profile describes it.
+      const reviewerIssues = await describeAnnotationIssues(await getAnnotation(toImageKey(imagePath)));
+      const slots = promptData.prompt_slots;
+      const refined = await refinePrompt(
+        slots ? slots.pose : currentPrompt,
+        [...(validationResult.issues || []), ...reviewerIssues],
         validationResult.suggestions || [],
-        validationResult.criteria_scores
+        validationResult.criteria_scores,
+        { poseOnly: Boolean(slots) }
       );
+      const refinedSlots = slots ? { ...slots, pose: refined } : null;
+      const refinedPrompt = refinedSlots
+        ? await renderPrompt("shot", refinedSlots, {
+            model: await getEndpoint("edit"),
+            onLog: (message) => console.log(`    │  ${message}`),
+          })
+        : refined;
 
       // Get anchor data URL for regeneration
       const anchorDataUrl = await getAnchorDataUrl(promptData.anchor_image);
 
       // Regenerate image
-      const newImageUrl = await editImage(anchorDataUrl, refinedPrompt);
+      const { url: newImageUrl, generation } = await editImage(anchorDataUrl, refinedPrompt, {
+        refresh: true,
+        onLog: (message) => console.log(`      ${message}`),
+      });
 
       // Download new image (overwrite existing)
-      await downloadImage(newImageUrl, imagePath);
+      await downloadImage(newImageUrl, imagePath, {
+        generation,
+        metadata: { anchor: path.basename(promptData.anchor_image, ".png"), pose: shot.id },
+      });
       console.log(`    │  📥 New image saved`);
 
       // Update prompt data
       promptData.engineered_prompt = refinedPrompt;
+      if (refinedSlots) promptData.prompt_slots = refinedSlots;
       promptData.validation_iteration = iteration + 1;
       promptData.prompt_history = promptData.prompt_history || [];
       promptData.prompt_history.push({
@@ -305,6 +321,9 @@ async function validateShot(shot, scriptData, skipRegen = false) {
       await new Promise(r => setTimeout(r, CONFIG.rateLimit));
 
     } catch (error) {
+      if (error instanceof CassetteMissError || error instanceof BudgetExceededError) {
+        throw error;
+      }
       console.log(`    │  ❌ Regeneration failed: ${error.message}`);
 
       // Save as error state
@@ -354,7 +373,29 @@ function getTtsContextForShot(shotId, scriptData) {
 // ============================================
 // EXERCISE VALIDATION ORCHESTRATOR
 // ============================================
-async function validateExercise(exerciseName, skipRegen = false) {
+function validateExercise(exerciseName, skipRegen = false) {
+  return withCostContext({ phase: "phase6", exercise: exerciseName }, () => validateExerciseShots(exerciseName, skipRegen));
+}
+
+/**
+ * Validate a single shot (used by the gallery after a prompt edit)
+ * @param {string} exerciseName - Exercise folder name
+ * @param {string} shotId - Shot folder name
+ * @param {boolean} skipRegen - Flag failures instead of refining and regenerating
+ * @returns {Promise<Object>} validateShot result: { status, validation?, message? }
+ */
+function validateSingleShot(exerciseName, shotId, skipRegen = false) {
+  return withCostContext({ phase: "phase6", exercise: exerciseName }, async () => {
+    const exerciseDir = path.join(CONFIG.videoScriptsDir, exerciseName);
+    const shot = (await getShotFolders(exerciseDir)).find(s => s.id === shotId);
+    if (!shot) {
+      throw new Error(`Shot not found: ${exerciseName}/${shotId}`);
+    }
+    return validateShot(shot, await loadScriptJson(exerciseDir), skipRegen);
+  });
+}
+
+async function validateExerciseShots(exerciseName, skipRegen) {
   const exerciseDir = path.join(CONFIG.videoScriptsDir, exerciseName);
 
   // Validate exercise directory exists
@@ -509,18 +550,22 @@ function generateValidationSummary(exerciseName, results, totalShots) {
 // MAIN
 // ============================================
 async function main() {
-  const args = process.argv.slice(2);
-  const exerciseName = args.find(a => !a.startsWith("--"));
+  const args = withoutGlobalFlags(process.argv.slice(2));
+  const [exerciseName] = getPositionalArgs(args, ["budget"]);
   const processAll = args.includes("--all");
   const skipRegen = args.includes("--skip-regen");
+  setBudget(parseBudgetFlag(args));
+  setCacheMode(parseCacheFlag(args));
 
   if (!exerciseName && !processAll) {
-    console.error("Usage: node phase6-validation.js <exercise-name> [--skip-regen]");
-    console.error("       node phase6-validation.js --all [--skip-regen]");
+    console.error("Usage: node phase6-validation.js <exercise-name> [--skip-regen] [--budget=USD]");
+    console.error("       node phase6-validation.js --all [--skip-regen] [--budget=USD]");
     console.error("");
     console.error("Options:");
     console.error("  --skip-regen    Skip auto-regeneration, only validate");
     console.error("  --all           Process all exercises");
+    console.error("  --budget=USD    Stop before estimated spend exceeds this amount");
+    console.error("  --no-cache      Ignore cached images and call the provider again");
     console.error("");
     console.error("Examples:");
     console.error("  node phase6-validation.js bent-over-barbell-row");
@@ -529,12 +574,13 @@ async function main() {
   }
 
   // Validate environment
-  if (!process.env.FAL_KEY) {
-    console.error("❌ FAL_KEY not found in .env file");
+  const providerErrors = await getProviderEnvErrors();
+  if (providerErrors.length > 0) {
+    providerErrors.forEach(error => console.error(`❌ ${error}`));
     process.exit(1);
   }
 
-  if (!process.env.ANTHROPIC_API_KEY) {
+  if (requiresApiKey() && !process.env.ANTHROPIC_API_KEY) {
     console.error("❌ ANTHROPIC_API_KEY not found in .env file");
     process.exit(1);
   }
@@ -626,4 +672,4 @@ if (isMainModule) {
 }
 
 // Export for pipeline usage
-export { validateExercise };
+export { validateExercise, validateSingleShot };
@@ -0,0 +1,137 @@
+import fs from "fs/promises";
+import path from "path";
+import { traceProvenance } from "./utils/provenance.js";
+import { readImageMetadata } from "./utils/image-metadata.js";
+import { OUTPUT_DIR, resolveOutputPath } from "./utils/output-paths.js";
+import { withoutGlobalFlags } from "./utils/cli-args.js";
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+function showUsage() {
+  console.log(`
+Usage: npm run provenance -- <image> [--json]
+
+Walks back from an image to the anchor and prompt it came from, using the
+<name>.provenance.json sidecar written next to every generated image.
+Copies (anchors-selected/, exported datasets) are matched to the generated
+original by hash. The metadata embedded in the PNG itself is printed too,
+so images moved outside output/ can still be identified.
+
+<image> is a path on disk or a gallery key such as
+/output/variations-2/squat_bottom/squat_bottom_01.png
+
+Options:
+  --json    Print the chain as JSON
+
+Examples:
+  npm run provenance -- output/datasets/v1/kohya/10_mannequin/img_004.png
+  npm run provenance -- /output/variations-final/crunch_up/crunch_up_02.png --json
+`);
+}
+
+function resolveImageArg(arg) {
+  if (arg.startsWith("/output/")) {
+    return resolveOutputPath(...arg.split("?")[0].slice("/output/".length).split("/"));
+  }
+  return path.resolve(arg);
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+function describeStep(provenance) {
+  const details = [provenance.operation, provenance.model];
+  if (provenance.strength !== null) details.push(`strength ${provenance.strength}`);
+  if (provenance.seed !== null) details.push(`seed ${provenance.seed}`);
+  details.push(provenance.cached ? "cache hit" : `$${provenance.usd.toFixed(3)}`);
+  return details.join(" · ");
+}
+
+function printChain(chain) {
+  chain.forEach((step, i) => {
+    const prefix = i === 0 ? "┌─" : "├─";
+    if (step.copy_of) {
+      console.log(`${prefix} ${step.file}`);
+      console.log(`│  📋 Copy of ${step.copy_of}`);
+      return;
+    }
+    if (!step.file) {
+      console.log(`${prefix} (reference ${step.reference.substring(0, 19)}… not found in output/)`);
+      return;
+    }
+
+    console.log(`${prefix} ${step.file}`);
+    const p = step.provenance;
+    if (!p) {
+      console.log(`│  ❓ No provenance recorded (generated before sidecars, or not by an image provider)`);
+      return;
+    }
+    console.log(`│  ${describeStep(p)}`);
+    console.log(`│  Prompt:   "${truncate(p.prompt, 100)}"`);
+    if (p.negative_prompt) console.log(`│  Negative: "${truncate(p.negative_prompt, 100)}"`);
+    if (p.request_id) console.log(`│  Request:  ${p.request_id}`);
+    console.log(`│  Made:     ${p.generated_at}${p.phase ? ` (${p.phase}${p.exercise ? ` / ${p.exercise}` : ""})` : ""}`);
+  });
+
+  const root = [...chain].reverse().find(step => step.provenance);
+  console.log(root && !root.provenance.reference
+    ? `└─ Root: text-to-image ${root.file}`
+    : `└─ End of recorded history`);
+}
+
+function printMetadata(metadata) {
+  const entries = Object.entries(metadata);
+  if (entries.length === 0) {
+    console.log(`\n🏷️  No metadata embedded in the PNG`);
+    return;
+  }
+  console.log(`\n🏷️  Embedded in the PNG`);
+  for (const [key, value] of entries) {
+    console.log(`   ${key.padEnd(17)}${truncate(value, 100)}`);
+  }
+}
+
+// ============================================
+// MAIN
+// ============================================
+async function main() {
+  const args = withoutGlobalFlags(process.argv.slice(2));
+  const target = args.find(a => !a.startsWith("--"));
+  if (!target || args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(target ? 0 : 1);
+  }
+
+  const imagePath = resolveImageArg(target);
+  try {
+    await fs.access(imagePath);
+  } catch {
+    console.error(`❌ Image not found: ${target}`);
+    process.exit(1);
+  }
+  const metadata = await readImageMetadata(imagePath);
+  if (path.relative(OUTPUT_DIR, imagePath).startsWith("..")) {
+    // Sidecars and hash matches only cover output/; the PNG still carries its own metadata
+    if (args.includes("--json")) {
+      console.log(JSON.stringify({ chain: [], metadata }, null, 2));
+      return;
+    }
+    console.log(`\n🧬 ${target} is outside output/, showing embedded metadata only`);
+    printMetadata(metadata);
+    return;
+  }
+
+  const chain = await traceProvenance(imagePath);
+  if (args.includes("--json")) {
+    console.log(JSON.stringify({ chain, metadata }, null, 2));
+    return;
+  }
+
+  console.log(`\n🧬 Provenance\n`);
+  printChain(chain);
+  printMetadata(metadata);
+}
+
+main().catch(console.error);
@@ -0,0 +1,223 @@
+import 'dotenv/config';
+import fs from "fs/promises";
+import path from "path";
+import { scoreAnchor } from "./utils/vision-validator.js";
+import { requiresApiKey } from "./utils/claude-cassette.js";
+import { withCostContext, setBudget, parseBudgetFlag, BudgetExceededError } from "./utils/cost-ledger.js";
+import { getListFlag } from "./utils/cli-args.js";
+import { getCharacter, getCharacterConfigPath, getCharacterConfigName } from "./utils/character.js";
+import { loadRankings, saveRanking, autoSelectAnchor } from "./utils/anchor-rankings.js";
+import { resolveOutputPath, toImageKey } from "./utils/output-paths.js";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// What a candidate is scored on comes from the character's fixed_elements
+// and anchor_scoring in config/exercise-prompts.json
+const CONFIG = {
+  anchorsDir: resolveOutputPath("anchors"),
+  rateLimit: 500, // ms between API calls
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+function showUsage() {
+  console.log(`
+Usage: npm run score-anchors -- [--anchor=<id>[,<id>...]] [--rescore] [--autoselect] [--budget=USD]
+
+Scores every phase 1 candidate in output/anchors/<id>/ against the
+character's fixed elements (head, eyes, shorts, shoes, background...),
+full-body framing and the anchor pose, then ranks them. The ranking is
+written to output/anchor-rankings.json and shown in the gallery.
+
+Options:
+  --anchor=<ids>   Only score these anchors
+  --rescore        Score images again even if they haven't changed
+  --autoselect     Put each anchor's top pick in anchors-selected.json for
+                   confirmation in the gallery (a pick you made is kept)
+  --budget=USD     Stop before estimated spend exceeds this amount
+
+Examples:
+  npm run score-anchors
+  npm run score-anchors -- --anchor=front,side --autoselect
+`);
+}
+
+async function loadAnchorDefinitions() {
+  const data = await fs.readFile(getCharacterConfigPath("anchors"), "utf-8");
+  return JSON.parse(data).anchors;
+}
+
+async function listCandidates(anchorId) {
+  const anchorDir = path.join(CONFIG.anchorsDir, anchorId);
+  const files = (await fs.readdir(anchorDir)).filter(f => f.endsWith(".png")).sort();
+  return Promise.all(files.map(async (file) => {
+    const filePath = path.join(anchorDir, file);
+    const { mtimeMs } = await fs.stat(filePath);
+    return { file, filePath, image: toImageKey(filePath), mtime: Math.round(mtimeMs) };
+  }));
+}
+
+function formatWeakest(checks) {
+  return Object.entries(checks)
+    .sort(([, a], [, b]) => a - b)
+    .slice(0, 2)
+    .map(([name, score]) => `${name} ${score.toFixed(2)}`)
+    .join(", ");
+}
+
+// ============================================
+// SCORING
+// ============================================
+async function scoreAnchorFolder(anchor, character, { rescore, previous }) {
+  const candidates = await listCandidates(anchor.id);
+  const scored = [];
+  let failed = 0;
+
+  console.log(`\n┌─ ${anchor.name || anchor.id} (${anchor.id}): ${candidates.length} candidates`);
+
+  for (const candidate of candidates) {
+    // Reuse a score while the image file is unchanged. Rankings saved before
+    // failures were left out can hold failed entries with no checks; score those again
+    const earlier = previous?.candidates.find(c => c.image === candidate.image);
+    const reusable = earlier && Object.keys(earlier.checks || {}).length > 0;
+    const unchanged = reusable && earlier.mtime === candidate.mtime;
+    if (unchanged && !rescore) {
+      console.log(`│  ⏭️  ${candidate.file} already scored (${earlier.score.toFixed(2)})`);
+      scored.push(earlier);
+      continue;
+    }
+
+    process.stdout.write(`│  🔍 ${candidate.file}...`);
+    try {
+      const result = await scoreAnchor(candidate.filePath, character, anchor);
+      // A failed score is left out of the ranking, so the next run scores it
+      // again; a failed --rescore keeps the earlier score of an unchanged image
+      if (result.success) {
+        scored.push({
+          image: candidate.image,
+          score: Number(result.score.toFixed(3)),
+          checks: result.checks,
+          issues: result.issues,
+          mtime: candidate.mtime,
+        });
+        console.log(` ${result.score.toFixed(2)}`);
+      } else {
+        failed++;
+        console.log(` ❌ ${result.error}${unchanged ? " (kept earlier score)" : ""}`);
+        if (unchanged) scored.push(earlier);
+      }
+    } catch (error) {
+      failed++;
+      console.log(` ❌ ${error.message}${unchanged ? " (kept earlier score)" : ""}`);
+      if (unchanged) scored.push(earlier);
+      if (error instanceof BudgetExceededError) throw error;
+    }
+
+    await new Promise((r) => setTimeout(r, CONFIG.rateLimit));
+  }
+
+  const ranking = await saveRanking(anchor.id, scored);
+  ranking.candidates.slice(0, 3).forEach((c, i) => {
+    console.log(`│  ${["🥇", "🥈", "🥉"][i]} ${c.image.split("/").pop()}  ${c.score.toFixed(2)}  (weakest: ${formatWeakest(c.checks) || "n/a"})`);
+  });
+  return { ranking, failed };
+}
+
+// ============================================
+// MAIN
+// ============================================
+async function scoreAnchors({ anchorIds, rescore, autoselect }) {
+  const character = getCharacter();
+  const definitions = await loadAnchorDefinitions();
+
+  let folders;
+  try {
+    folders = (await fs.readdir(CONFIG.anchorsDir, { withFileTypes: true }))
+      .filter(e => e.isDirectory())
+      .map(e => e.name)
+      .sort();
+  } catch {
+    throw new Error(`No anchor candidates in ${CONFIG.anchorsDir}. Run: npm run phase1`);
+  }
+
+  const unknown = (anchorIds || []).filter(id => !folders.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(`No candidates for anchor id(s): ${unknown.join(", ")} (found: ${folders.join(", ")})`);
+  }
+
+  const anchors = [];
+  for (const id of anchorIds || folders) {
+    const anchor = definitions.find(a => a.id === id);
+    if (anchor) {
+      anchors.push(anchor);
+    } else {
+      console.warn(`⚠️  Skipping output/anchors/${id}/: no "${id}" anchor in ${getCharacterConfigName("anchors")}`);
+    }
+  }
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════╗
+║           ANCHOR SCORING                                      ║
+╠═══════════════════════════════════════════════════════════════╣
+║  ${`Scoring ${anchors.length} anchor poses against ${Object.keys(character.fixed_elements).length} fixed elements`.padEnd(61)}║
+║  ${`Character: ${character.name} (${character.id})`.padEnd(61)}║
+╚═══════════════════════════════════════════════════════════════╝
+`);
+
+  const previous = await loadRankings();
+  const picks = [];
+
+  for (const anchor of anchors) {
+    const { ranking, failed } = await scoreAnchorFolder(anchor, character, { rescore, previous: previous[anchor.id] });
+    if (autoselect) {
+      const pick = await autoSelectAnchor(anchor.id);
+      if (pick.kept) {
+        console.log(`│  👤 Kept your pick: ${pick.image.split("/").pop()}`);
+      } else if (pick.image) {
+        console.log(`│  🤖 Auto-picked ${pick.image.split("/").pop()}, confirm it in the gallery`);
+        picks.push(anchor.id);
+      }
+    }
+    console.log(`└─ ${ranking.candidates.length} ranked${failed ? `, ${failed} failed to score` : ""}`);
+  }
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════╗
+║  COMPLETE                                                     ║
+╠═══════════════════════════════════════════════════════════════╣
+║  Rankings:  output/anchor-rankings.json                       ║
+║  ${(autoselect ? `Auto-picked: ${picks.length} anchor(s), awaiting confirmation` : "Add --autoselect to pre-fill anchors-selected.json").padEnd(61)}║
+╠═══════════════════════════════════════════════════════════════╣
+║  NEXT STEPS:                                                  ║
+║  1. Run: npm run gallery                                      ║
+║  2. Check the ranked candidates and click a pick to confirm   ║
+║  3. Then run: npm run phase2                                  ║
+╚═══════════════════════════════════════════════════════════════╝
+`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help")) {
+    showUsage();
+    return;
+  }
+  setBudget(parseBudgetFlag(args));
+
+  if (requiresApiKey() && !process.env.ANTHROPIC_API_KEY) {
+    throw new Error("ANTHROPIC_API_KEY not found in .env file");
+  }
+
+  await scoreAnchors({
+    anchorIds: getListFlag(args, "anchor"),
+    rescore: args.includes("--rescore"),
+    autoselect: args.includes("--autoselect"),
+  });
+}
+
+withCostContext({ phase: "score-anchors" }, main).catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
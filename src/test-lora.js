@@ -1,16 +1,14 @@
 import 'dotenv/config';
-import { fal } from "@fal-ai/client";
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
+import { generateLoraImage } from "./utils/image-provider.js";
+import { downloadImage } from "./utils/resilience.js";
+import { withCostContext } from "./utils/cost-ledger.js";
+import { withoutGlobalFlags } from "./utils/cli-args.js";
+import { getCharacter } from "./utils/character.js";
+import { resolveOutputPath } from "./utils/output-paths.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configure fal.ai
-fal.config({
-  credentials: process.env.FAL_KEY,
-});
+const character = getCharacter();
 
 // ============================================
 // CONFIGURATION - EDIT THESE AFTER TRAINING
@@ -20,11 +18,11 @@ fal.config({
 // Example: "https://v3.fal.media/files/abc123/lora.safetensors"
 const LORA_URL = process.env.LORA_URL || "";
 
-// Your trigger word (must match what you used in training)
-const TRIGGER_WORD = "fitness_boss";
+// Your trigger word (trigger_word in the character profile, as used in training)
+const TRIGGER_WORD = character.trigger_word;
 
 // Output directory for test images
-const OUTPUT_DIR = path.join(__dirname, "../output/lora-tests");
+const OUTPUT_DIR = resolveOutputPath("lora-tests");
 
 // ============================================
 // TEST PROMPTS - ADD YOUR OWN
@@ -56,8 +54,7 @@ const SETTINGS = {
   guidance_scale: 3.5,
   lora_scale: 1.0, // How strongly to apply the LoRA (0.5-1.0)
   // Add negative prompt to avoid common issues
-  negative_prompt:
-    "blurry, low quality, distorted, extra limbs, missing limbs, text, watermark, realistic skin, face features, hair",
+  negative_prompt: character.negative_prompt,
 };
 
 // ============================================
@@ -67,12 +64,6 @@ async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
-async function downloadImage(url, filepath) {
-  const response = await fetch(url);
-  const buffer = await response.arrayBuffer();
-  await fs.writeFile(filepath, Buffer.from(buffer));
-}
-
 function sanitizeFilename(prompt) {
   return prompt
     .replace(TRIGGER_WORD, "")
@@ -136,36 +127,15 @@ You can find your LoRA URL in:
     console.log(`[${i + 1}/${TEST_PROMPTS.length}] ${prompt.substring(0, 60)}...`);
 
     try {
-      const result = await fal.subscribe("fal-ai/flux-lora", {
-        input: {
-          prompt: prompt,
-          loras: [
-            {
-              path: LORA_URL,
-              scale: SETTINGS.lora_scale,
-            },
-          ],
-          image_size: SETTINGS.image_size,
-          num_images: SETTINGS.num_images,
-          guidance_scale: SETTINGS.guidance_scale,
-          output_format: "png",
-        },
-        logs: false,
+      const { url: imageUrl, generation } = await generateLoraImage(prompt, LORA_URL, {
+        loraScale: SETTINGS.lora_scale,
+        imageSize: SETTINGS.image_size,
+        guidanceScale: SETTINGS.guidance_scale,
       });
-
-      // Handle both result.images and result.data.images formats
-      const images = result.images || result.data?.images;
-      if (images && images.length > 0) {
-        const imageUrl = images[0].url;
-        const filepath = path.join(runDir, filename);
-        await downloadImage(imageUrl, filepath);
-        console.log(`   ✅ Saved: ${filename}`);
-        successCount++;
-      } else {
-        console.log(`   ⚠️ No image returned`);
-        console.log(`   Debug: ${JSON.stringify(result).substring(0, 200)}`);
-        failCount++;
-      }
+      const filepath = path.join(runDir, filename);
+      await downloadImage(imageUrl, filepath, { generation });
+      console.log(`   ✅ Saved: ${filename}`);
+      successCount++;
     } catch (error) {
       console.log(`   ❌ Error: ${error.message}`);
       failCount++;
@@ -204,34 +174,16 @@ async function generateSingle(customPrompt) {
   }
 
   try {
-    const result = await fal.subscribe("fal-ai/flux-lora", {
-      input: {
-        prompt: customPrompt,
-        loras: [
-          {
-            path: LORA_URL,
-            scale: SETTINGS.lora_scale,
-          },
-        ],
-        image_size: SETTINGS.image_size,
-        num_images: 1,
-        guidance_scale: SETTINGS.guidance_scale,
-        output_format: "png",
-      },
-      logs: false,
+    const { url: imageUrl, generation } = await generateLoraImage(customPrompt, LORA_URL, {
+      loraScale: SETTINGS.lora_scale,
+      imageSize: SETTINGS.image_size,
+      guidanceScale: SETTINGS.guidance_scale,
     });
-
-    const images = result.images || result.data?.images;
-    if (images && images.length > 0) {
-      await ensureDir(OUTPUT_DIR);
-      const filename = `single_${Date.now()}.png`;
-      const filepath = path.join(OUTPUT_DIR, filename);
-      await downloadImage(images[0].url, filepath);
-      console.log(`✅ Saved: ${filepath}`);
-    } else {
-      console.log(`⚠️ No image returned`);
-      console.log(`Debug: ${JSON.stringify(result).substring(0, 300)}`);
-    }
+    await ensureDir(OUTPUT_DIR);
+    const filename = `single_${Date.now()}.png`;
+    const filepath = path.join(OUTPUT_DIR, filename);
+    await downloadImage(imageUrl, filepath, { generation });
+    console.log(`✅ Saved: ${filepath}`);
   } catch (error) {
     console.error(`❌ Error: ${error.message}`);
   }
@@ -240,13 +192,14 @@ async function generateSingle(customPrompt) {
 // ============================================
 // CLI HANDLING
 // ============================================
-const args = process.argv.slice(2);
+// --character is read by utils/character.js; everything else is the prompt
+const args = withoutGlobalFlags(process.argv.slice(2));
 
 if (args.length > 0) {
   // Single image mode: npm run test-lora "your prompt here"
   const prompt = args.join(" ");
-  generateSingle(prompt);
+  withCostContext({ phase: "test-lora" }, () => generateSingle(prompt));
 } else {
   // Batch mode: npm run test-lora
-  generateTestImages();
+  withCostContext({ phase: "test-lora" }, generateTestImages);
 }
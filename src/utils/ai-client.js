@@ -3,6 +3,8 @@ import Anthropic from "@anthropic-ai/sdk";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createMessage } from "./claude-cassette.js";
+import { getValidator, parseStructured, StructuredOutputError } from "./structured-output.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,27 +27,61 @@ const anthropic = new Anthropic({
 });
 
 /**
- * Extract JSON from a response that may contain markdown code blocks
+ * Call Claude and validate the JSON reply against the section's output_schema.
+ * Validation errors are sent back to the model for repair before giving up.
+ *
+ * @param {string} schemaName - Section in exercise-prompts.json (e.g. "research")
+ * @param {Object} params - anthropic.messages.create parameters
+ * @returns {Promise<Object>} Parsed, schema-valid JSON
+ * @throws {StructuredOutputError} When every repair attempt still fails
  */
-function extractJson(text) {
-  // Try to extract from markdown code block first
-  const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (jsonMatch) {
-    return jsonMatch[1].trim();
+async function createStructuredMessage(schemaName, params) {
+  const prompts = await loadPrompts();
+  const validate = getValidator(schemaName, prompts[schemaName].output_schema);
+  const maxRepairs = prompts.structured_output?.max_repair_attempts ?? 2;
+  const messages = [...params.messages];
+
+  let text = "";
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    if (attempt > 0) {
+      console.log(`│  🔧 Repairing ${schemaName} JSON (attempt ${attempt}/${maxRepairs}): ${errors[0]}`);
+      messages.push(
+        { role: "assistant", content: text || "(empty response)" },
+        {
+          role: "user",
+          content: `${prompts.structured_output.repair_instructions}
+
+Problems found:
+${errors.map(e => `- ${e}`).join("\n")}`
+        }
+      );
+    }
+
+    const message = await createMessage(anthropic, { ...params, messages });
+    text = message.content.find(c => c.type === "text")?.text || "";
+
+    const result = parseStructured(text, validate);
+    if (result.data) {
+      return result.data;
+    }
+    errors = result.errors;
   }
-  // Otherwise return the text as-is
-  return text.trim();
+
+  throw new StructuredOutputError(schemaName, errors, text, maxRepairs + 1);
 }
 
 /**
  * Research an exercise using Claude AI
  * @param {string} exerciseName - Name of the exercise to research
  * @returns {Promise<Object>} Exercise research data
+ * @throws {StructuredOutputError} If the response never matches the schema
  */
 export async function researchExercise(exerciseName) {
   const prompts = await loadPrompts();
 
-  const message = await anthropic.messages.create({
+  return createStructuredMessage("research", {
     model: "claude-sonnet-4-20250514",
     max_tokens: 2048,
     system: prompts.research.system,
@@ -67,10 +103,6 @@ No markdown, no explanation, just the JSON object.`
       }
     ]
   });
-
-  const text = message.content[0].text;
-  const jsonText = extractJson(text);
-  return JSON.parse(jsonText);
 }
 
 /**
@@ -81,7 +113,7 @@ No markdown, no explanation, just the JSON object.`
 export async function generateScript(exerciseData) {
   const prompts = await loadPrompts();
 
-  const message = await anthropic.messages.create({
+  return createStructuredMessage("script", {
     model: "claude-sonnet-4-20250514",
     max_tokens: 2048,
     system: prompts.script.system,
@@ -103,10 +135,6 @@ No markdown, no explanation, just the JSON object.`
       }
     ]
   });
-
-  const text = message.content[0].text;
-  const jsonText = extractJson(text);
-  return JSON.parse(jsonText);
 }
 
 /**
@@ -119,7 +147,7 @@ No markdown, no explanation, just the JSON object.`
 export async function planShots(exerciseData, scriptData, anchors) {
   const prompts = await loadPrompts();
 
-  const message = await anthropic.messages.create({
+  return createStructuredMessage("shot_planning", {
     model: "claude-sonnet-4-20250514",
     max_tokens: 4096,
     system: prompts.shot_planning.system,
@@ -150,10 +178,6 @@ No markdown, no explanation, just the JSON object.`
       }
     ]
   });
-
-  const text = message.content[0].text;
-  const jsonText = extractJson(text);
-  return JSON.parse(jsonText);
 }
 
 /**
@@ -166,7 +190,7 @@ No markdown, no explanation, just the JSON object.`
 export async function planAnimationFrames(sequenceName, movementDescription, anchor) {
   const prompts = await loadPrompts();
 
-  const message = await anthropic.messages.create({
+  return createStructuredMessage("animation_frames", {
     model: "claude-sonnet-4-20250514",
     max_tokens: 2048,
     system: prompts.animation_frames.system,
@@ -191,8 +215,58 @@ No markdown, no explanation, just the JSON object.`
       }
     ]
   });
+}
+
+/**
+ * Re-engineer a rejected pose variation's prompt and pick its anchor
+ * @param {Object} variation - Definition from config/variations.json
+ * @param {string} reason - Why the reviewer rejected it
+ * @param {Object} context
+ * @param {string[]} context.issues - Reviewer tags and notes on the rejected images
+ * @param {Array} context.anchors - [{ id, pose_prompt }] anchors to choose from
+ * @param {Array} context.attempts - Earlier fixes that were rejected again
+ * @returns {Promise<Object>} { edit_prompt, anchor, rationale }
+ * @throws {StructuredOutputError} If the response never matches the schema
+ */
+export async function reengineerVariation(variation, reason, { issues = [], anchors, attempts = [] }) {
+  const prompts = await loadPrompts();
+  const config = prompts.rejection_fix;
+
+  const earlier = attempts.length > 0
+    ? attempts.map((a, i) => `${i + 1}. Rejected because: ${a.reason}\n   Prompt tried: "${a.after.prompt}" (anchor: ${a.after.anchor})`).join("\n")
+    : "None";
 
-  const text = message.content[0].text;
-  const jsonText = extractJson(text);
-  return JSON.parse(jsonText);
+  return createStructuredMessage("rejection_fix", {
+    model: "claude-sonnet-4-20250514",
+    max_tokens: 1024,
+    system: config.system,
+    messages: [
+      {
+        role: "user",
+        content: `Pose variation: ${variation.name} (${variation.id})
+Current prompt: "${variation.edit_prompt}"
+Current anchor: ${variation.anchor}
+Edit strength: ${variation.strength}
+
+Reviewer's reason for rejecting it: ${reason}
+${issues.length > 0 ? `\nOther reviewer feedback on these images:\n${issues.map(i => `- ${i}`).join("\n")}\n` : ""}
+Earlier fixes that were rejected again:
+${earlier}
+
+Available anchors (use ONLY these IDs): ${JSON.stringify(anchors, null, 2)}
+
+Constraints:
+${config.constraints.map(c => `- ${c}`).join("\n")}
+
+Return JSON with:
+- edit_prompt: the re-engineered pose prompt
+- anchor: the anchor id to edit from
+- rationale: one sentence on what changed and why
+
+No markdown, no explanation, just the JSON object.`
+      }
+    ]
+  });
 }
+
+export { StructuredOutputError };
@@ -1,16 +1,12 @@
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getCharacterConfigPath, getCharacterConfigName } from "./character.js";
 
 let ANCHORS = null;
 
 async function loadAnchors() {
   if (!ANCHORS) {
-    const anchorsPath = path.join(__dirname, "../../config/anchors.json");
-    const data = await fs.readFile(anchorsPath, "utf-8");
+    const data = await fs.readFile(getCharacterConfigPath("anchors"), "utf-8");
     ANCHORS = JSON.parse(data);
   }
   return ANCHORS;
@@ -113,6 +109,45 @@ export async function getAnchorPath(anchorId, anchorsDir) {
   return path.join(anchorsDir, `${anchorId}.png`);
 }
 
+/**
+ * Anchor ids referenced outside config/anchors.json, with where each is used.
+ * Covers this file's exercise map and config/variations.json; pass other
+ * lists (e.g. a phase's built-in variations) as { source: [anchorIds] }.
+ * @param {Object} extra - Additional references keyed by source name
+ * @returns {Promise<Map<string, string[]>>} Anchor id → sources
+ */
+export async function getAnchorReferences(extra = {}) {
+  const variations = JSON.parse(await fs.readFile(getCharacterConfigPath("variations"), "utf-8")).variations;
+
+  const sources = {
+    "src/utils/anchor-mapper.js": Object.values(EXERCISE_ANCHOR_MAP),
+    [getCharacterConfigName("variations")]: variations.map(v => v.anchor),
+    ...extra,
+  };
+
+  const references = new Map();
+  for (const [source, anchorIds] of Object.entries(sources)) {
+    for (const anchorId of new Set(anchorIds.filter(Boolean))) {
+      if (!references.has(anchorId)) references.set(anchorId, []);
+      references.get(anchorId).push(source);
+    }
+  }
+  return references;
+}
+
+/**
+ * Find referenced anchor ids that config/anchors.json doesn't define
+ * @param {Object} extra - Additional references, as for getAnchorReferences
+ * @returns {Promise<Array>} [{ id, sources }], empty when everything resolves
+ */
+export async function findMissingAnchors(extra = {}) {
+  const defined = new Set((await loadAnchors()).anchors.map(a => a.id));
+  const references = await getAnchorReferences(extra);
+  return [...references.entries()]
+    .filter(([anchorId]) => !defined.has(anchorId))
+    .map(([id, sources]) => ({ id, sources }));
+}
+
 /**
  * Get all available anchors with their metadata
  * @returns {Promise<Array>} Array of anchor objects
@@ -0,0 +1,118 @@
+import fs from "fs/promises";
+import path from "path";
+import { OUTPUT_DIR } from "./output-paths.js";
+
+export const RANKINGS_PATH = path.join(OUTPUT_DIR, "anchor-rankings.json");
+export const ANCHOR_SELECTIONS_PATH = path.join(OUTPUT_DIR, "anchors-selected.json");
+
+// ============================================
+// STORAGE
+// ============================================
+// output/anchor-rankings.json, keyed by anchor id:
+// { scored_at, candidates: [{ image, score, checks: { <check>: 0-1 }, issues, mtime }], auto_selected }
+// candidates are best first. auto_selected is the image score-anchors put
+// in anchors-selected.json; it stays set until a reviewer confirms a pick
+// in the gallery.
+
+async function readJson(filePath) {
+  try {
+    const data = await fs.readFile(filePath, "utf-8");
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Read every anchor ranking
+ * @returns {Promise<Object>} Map of anchor id → ranking
+ */
+export function loadRankings() {
+  return readJson(RANKINGS_PATH);
+}
+
+/**
+ * Read the gallery's anchor picks
+ * @returns {Promise<Object>} Map of anchor id → image key
+ */
+export function loadAnchorSelections() {
+  return readJson(ANCHOR_SELECTIONS_PATH);
+}
+
+// Serialise read-modify-write cycles so the gallery and score-anchors don't drop updates
+let writeQueue = Promise.resolve();
+
+function updateRankings(fn) {
+  const next = writeQueue.then(async () => {
+    const rankings = await loadRankings();
+    const result = await fn(rankings);
+    await fs.mkdir(path.dirname(RANKINGS_PATH), { recursive: true });
+    await fs.writeFile(RANKINGS_PATH, JSON.stringify(rankings, null, 2));
+    return result;
+  });
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+// ============================================
+// RANKINGS
+// ============================================
+
+/**
+ * Save the scored candidates of one anchor, best first
+ * @param {string} anchorId - Anchor folder, e.g. "front"
+ * @param {Array} candidates - [{ image, score, checks, issues, mtime }]
+ * @returns {Promise<Object>} Saved ranking
+ */
+export function saveRanking(anchorId, candidates) {
+  return updateRankings((rankings) => {
+    rankings[anchorId] = {
+      scored_at: new Date().toISOString(),
+      candidates: [...candidates].sort((a, b) => b.score - a.score),
+      auto_selected: rankings[anchorId]?.auto_selected ?? null,
+    };
+    return rankings[anchorId];
+  });
+}
+
+/**
+ * Put a ranking's top pick in anchors-selected.json, awaiting confirmation.
+ * A pick a reviewer already made is kept; an earlier unconfirmed auto pick
+ * is replaced.
+ *
+ * @param {string} anchorId - Anchor folder
+ * @returns {Promise<{ image: string|null, kept: boolean }>} The pick, and whether a reviewer's pick was kept instead
+ */
+export function autoSelectAnchor(anchorId) {
+  return updateRankings(async (rankings) => {
+    const ranking = rankings[anchorId];
+    const top = ranking?.candidates[0]?.image ?? null;
+    const selections = await loadAnchorSelections();
+    const current = selections[anchorId];
+
+    if (current && current !== ranking?.auto_selected) {
+      return { image: current, kept: true };
+    }
+    if (!top) {
+      return { image: null, kept: false };
+    }
+
+    selections[anchorId] = top;
+    await fs.writeFile(ANCHOR_SELECTIONS_PATH, JSON.stringify(selections, null, 2));
+    ranking.auto_selected = top;
+    return { image: top, kept: false };
+  });
+}
+
+/**
+ * A reviewer picked an anchor in the gallery; it is no longer an unconfirmed auto pick
+ * @param {string} anchorId - Anchor folder
+ */
+export async function confirmAnchorSelection(anchorId) {
+  if (!(await loadRankings())[anchorId]?.auto_selected) return;
+  await updateRankings((rankings) => {
+    if (rankings[anchorId]) {
+      rankings[anchorId].auto_selected = null;
+    }
+  });
+}
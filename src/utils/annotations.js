@@ -0,0 +1,172 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { OUTPUT_DIR, toImageKey } from "./output-paths.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const configPath = path.join(__dirname, "../../config/annotations.json");
+export const ANNOTATIONS_PATH = path.join(OUTPUT_DIR, "annotations.json");
+
+let ANNOTATIONS_CONFIG = null;
+
+/**
+ * Load annotation settings (preset tags, defect tags, training rules)
+ * @returns {Promise<Object>} Parsed config/annotations.json
+ */
+export async function loadAnnotationsConfig() {
+  if (!ANNOTATIONS_CONFIG) {
+    const data = await fs.readFile(configPath, "utf-8");
+    ANNOTATIONS_CONFIG = JSON.parse(data);
+  }
+  return ANNOTATIONS_CONFIG;
+}
+
+// ============================================
+// IMAGE KEYS
+// ============================================
+// Annotations are keyed the same way the gallery addresses images:
+// "/output/<phase>/<folder>/<file>.png"
+
+export { toImageKey };
+
+function normalizeKey(imageKey) {
+  // Gallery URLs may carry a cache-busting query string
+  return imageKey.split("?")[0];
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Normalise a tag: trimmed, lower case, single spaces
+ */
+export function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Check an annotation update from the gallery
+ * @param {Object} body - { image, rating, tags, notes }
+ * @returns {string[]} Problems (empty if valid)
+ */
+export function validateAnnotationInput(body) {
+  const errors = [];
+  if (typeof body?.image !== "string" || !body.image.startsWith("/output/")) {
+    errors.push("image must be an /output/... path");
+  }
+  if (body?.rating !== undefined && body.rating !== null &&
+      !(Number.isInteger(body.rating) && body.rating >= 1 && body.rating <= 5)) {
+    errors.push("rating must be an integer from 1 to 5, or null");
+  }
+  if (body?.tags !== undefined &&
+      !(Array.isArray(body.tags) && body.tags.every(t => typeof t === "string" && t.trim() && t.length <= 60))) {
+    errors.push("tags must be an array of non-empty strings (max 60 characters)");
+  }
+  if (body?.notes !== undefined && body.notes !== null && typeof body.notes !== "string") {
+    errors.push("notes must be a string");
+  }
+  return errors;
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Read every annotation
+ * @returns {Promise<Object>} Map of image key → { rating, tags, notes, updated_at }
+ */
+export async function loadAnnotations() {
+  try {
+    const data = await fs.readFile(ANNOTATIONS_PATH, "utf-8");
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the annotation for one image
+ * @param {string} imageKey - "/output/..." key (see toImageKey)
+ * @returns {Promise<Object|null>} Annotation, or null if none
+ */
+export async function getAnnotation(imageKey) {
+  const annotations = await loadAnnotations();
+  return annotations[normalizeKey(imageKey)] || null;
+}
+
+// Serialise read-modify-write cycles so concurrent saves don't drop updates
+let writeQueue = Promise.resolve();
+
+/**
+ * Create, update or clear the annotation for one image. Fields left
+ * undefined keep their current value; an annotation with no rating,
+ * tags or notes is removed.
+ *
+ * @param {string} imageKey - "/output/..." key
+ * @param {Object} fields - { rating, tags, notes }
+ * @returns {Promise<Object|null>} Saved annotation, or null if cleared
+ */
+export function saveAnnotation(imageKey, fields) {
+  const key = normalizeKey(imageKey);
+  const next = writeQueue.then(async () => {
+    const annotations = await loadAnnotations();
+    const current = annotations[key] || { rating: null, tags: [], notes: "" };
+
+    const annotation = {
+      rating: fields.rating !== undefined ? fields.rating : current.rating,
+      tags: fields.tags !== undefined ? [...new Set(fields.tags.map(normalizeTag))] : current.tags,
+      notes: fields.notes !== undefined ? (fields.notes || "").trim() : current.notes,
+      updated_at: new Date().toISOString(),
+    };
+
+    if (annotation.rating === null && annotation.tags.length === 0 && !annotation.notes) {
+      delete annotations[key];
+    } else {
+      annotations[key] = annotation;
+    }
+
+    await fs.mkdir(path.dirname(ANNOTATIONS_PATH), { recursive: true });
+    await fs.writeFile(ANNOTATIONS_PATH, JSON.stringify(annotations, null, 2));
+    return annotations[key] || null;
+  });
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+// ============================================
+// DOWNSTREAM HELPERS
+// ============================================
+
+/**
+ * Split an annotation's tags into defects and descriptive tags
+ * @param {Object|null} annotation - Annotation from getAnnotation
+ * @returns {Promise<{ defects: string[], descriptive: string[] }>}
+ */
+export async function classifyTags(annotation) {
+  const config = await loadAnnotationsConfig();
+  const defectTags = new Set(config.defect_tags.map(normalizeTag));
+  const tags = annotation?.tags || [];
+  return {
+    defects: tags.filter(tag => defectTags.has(tag)),
+    descriptive: tags.filter(tag => !defectTags.has(tag)),
+  };
+}
+
+/**
+ * Turn a reviewer's annotation into issue lines for prompt refinement
+ * @param {Object|null} annotation - Annotation from getAnnotation
+ * @returns {Promise<string[]>} e.g. ["Reviewer tagged: extra fingers", "Reviewer note: ..."]
+ */
+export async function describeAnnotationIssues(annotation) {
+  if (!annotation) return [];
+  const { defects } = await classifyTags(annotation);
+  const issues = defects.map(tag => `Reviewer tagged: ${tag}`);
+  if (annotation.notes) {
+    issues.push(`Reviewer note: ${annotation.notes}`);
+  }
+  return issues;
+}
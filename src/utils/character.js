@@ -0,0 +1,112 @@
+import { readFileSync, readdirSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getFlagValue } from "./cli-args.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, "../..");
+const CONFIG_DIR = path.join(ROOT_DIR, "config");
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// One profile per character in config/characters/<id>.json:
+// { name, description, trigger_word, subject, negative_prompt,
+//   edit_exclusions, style_keywords, fixed_elements, generation_settings,
+//   anchors, variations, output_root }
+// subject, fixed_elements, style_keywords and edit_exclusions fill the slots
+// of every image prompt (see prompt-templates.js); subject and fixed_elements
+// also follow the trigger word in every training caption.
+// anchors and variations are file names in config/; output_root is relative
+// to the repo root. Every script picks one with --character=<id> (or
+// --character <id>) or the CHARACTER env var. CHARACTERS_DIR points at
+// another profile folder, so the tests never write into config/.
+export const CHARACTERS_DIR = process.env.CHARACTERS_DIR
+  ? path.resolve(process.env.CHARACTERS_DIR)
+  : path.join(CONFIG_DIR, "characters");
+const CHARACTERS_DIR_NAME = process.env.CHARACTERS_DIR ? CHARACTERS_DIR : "config/characters";
+export const DEFAULT_CHARACTER = "fitmannequin";
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const REQUIRED_FIELDS = ["name", "trigger_word", "subject", "fixed_elements", "negative_prompt", "anchors", "variations", "output_root"];
+
+/**
+ * Character ids with a profile in CHARACTERS_DIR
+ * @returns {string[]}
+ */
+export function listCharacters() {
+  try {
+    return readdirSync(CHARACTERS_DIR)
+      .filter(f => f.endsWith(".json"))
+      .map(f => f.slice(0, -".json".length))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+// A bad --character must stop the script: falling back to the default
+// would write into the default character's output root
+function resolveCharacterId() {
+  const flag = getFlagValue(process.argv.slice(2), "character");
+  const id = flag ?? (process.env.CHARACTER || DEFAULT_CHARACTER);
+  if (!ID_PATTERN.test(id) || !listCharacters().includes(id)) {
+    throw new Error(`Unknown character "${id}". Profiles in ${CHARACTERS_DIR_NAME}/: ${listCharacters().join(", ") || "(none)"}`);
+  }
+  return id;
+}
+
+// Read synchronously: OUTPUT_DIR and the phases' CONFIG objects are
+// computed from the profile when their modules load
+function loadProfile(id) {
+  const profile = JSON.parse(readFileSync(path.join(CHARACTERS_DIR, `${id}.json`), "utf-8"));
+  const missing = REQUIRED_FIELDS.filter(field => !profile[field]);
+  if (missing.length > 0) {
+    throw new Error(`${CHARACTERS_DIR_NAME}/${id}.json is missing: ${missing.join(", ")}`);
+  }
+  if ("caption" in profile) {
+    console.warn(`⚠️  ${CHARACTERS_DIR_NAME}/${id}.json: "caption" is no longer used; training captions are built from subject and fixed_elements`);
+  }
+  return { id, ...profile };
+}
+
+export const CHARACTER_ID = resolveCharacterId();
+const CHARACTER = loadProfile(CHARACTER_ID);
+
+// ============================================
+// ACCESSORS
+// ============================================
+
+/**
+ * The active character's profile
+ * @returns {Object} Profile from config/characters/<id>.json, plus its id
+ */
+export function getCharacter() {
+  return CHARACTER;
+}
+
+/**
+ * Absolute path of one of the active character's config files
+ * @param {"anchors"|"variations"} kind
+ * @returns {string}
+ */
+export function getCharacterConfigPath(kind) {
+  return path.join(CONFIG_DIR, CHARACTER[kind]);
+}
+
+/**
+ * Repo-relative name of a config file, for messages (e.g. "config/anchors.json")
+ * @param {"anchors"|"variations"} kind
+ */
+export function getCharacterConfigName(kind) {
+  return `config/${CHARACTER[kind]}`;
+}
+
+/**
+ * Absolute path of the active character's output root
+ */
+export function getCharacterOutputDir() {
+  return path.resolve(ROOT_DIR, CHARACTER.output_root);
+}
@@ -0,0 +1,185 @@
+import 'dotenv/config';
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { withCostTracking } from "./cost-ledger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// CLAUDE_CASSETTE=record  → call the API and store request/response pairs
+// CLAUDE_CASSETTE=replay  → serve responses from disk, fail on any miss
+// unset / "off"           → call the API directly
+const MODES = ["off", "record", "replay"];
+// Shared by every character: recordings are keyed by the full request
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, "../../output/cassettes");
+
+/**
+ * Thrown in replay mode when no recording matches a request
+ */
+export class CassetteMissError extends Error {
+  constructor(key, cassettePath) {
+    super(`No recorded Claude response for request ${key.substring(0, 12)} (expected ${cassettePath}). Re-run with CLAUDE_CASSETTE=record to capture it.`);
+    this.name = "CassetteMissError";
+    this.key = key;
+    this.cassettePath = cassettePath;
+  }
+}
+
+/**
+ * Get the active cassette mode
+ * @returns {string} "off", "record" or "replay"
+ */
+export function getCassetteMode() {
+  const mode = (process.env.CLAUDE_CASSETTE || "off").toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown CLAUDE_CASSETTE mode "${mode}" (expected one of: ${MODES.join(", ")})`);
+  }
+  return mode;
+}
+
+function getCassetteDir() {
+  return process.env.CLAUDE_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+}
+
+// ============================================
+// REQUEST KEYING
+// ============================================
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Replace base64 image payloads with their hash so recordings stay small
+ * and readable while still identifying which image was sent
+ */
+function summarizeContent(content) {
+  if (!Array.isArray(content)) return content;
+  return content.map(block => {
+    if (block.type === "image" && block.source?.type === "base64") {
+      return {
+        ...block,
+        source: {
+          type: "base64",
+          media_type: block.source.media_type,
+          data: `sha256:${sha256(block.source.data)}`,
+        },
+      };
+    }
+    return block;
+  });
+}
+
+function summarizeRequest(params) {
+  return {
+    model: params.model,
+    system: params.system ?? null,
+    messages: params.messages.map(m => ({
+      role: m.role,
+      content: summarizeContent(m.content),
+    })),
+  };
+}
+
+/**
+ * Hash model + system + messages into a stable cassette key
+ * @param {Object} params - anthropic.messages.create parameters
+ * @returns {string} Hex digest
+ */
+export function getRequestKey(params) {
+  return sha256(JSON.stringify(summarizeRequest(params)));
+}
+
+// ============================================
+// COST TRACKING
+// ============================================
+const IMAGE_TOKEN_ESTIMATE = 1600;
+
+/**
+ * Rough input token count for budget checks (~4 characters per token)
+ */
+function estimateInputTokens(params) {
+  let tokens = Math.ceil(JSON.stringify(params.system ?? "").length / 4);
+  for (const message of params.messages) {
+    const blocks = Array.isArray(message.content) ? message.content : [{ type: "text", text: message.content }];
+    for (const block of blocks) {
+      tokens += block.type === "image" ? IMAGE_TOKEN_ESTIMATE : Math.ceil((block.text || "").length / 4);
+    }
+  }
+  return tokens;
+}
+
+function callClaude(client, params) {
+  return withCostTracking(
+    {
+      kind: "claude",
+      model: params.model,
+      input_tokens: estimateInputTokens(params),
+      output_tokens: params.max_tokens,
+      unit: "tokens",
+    },
+    () => client.messages.create(params),
+    (response) => ({
+      input_tokens: response.usage?.input_tokens ?? 0,
+      output_tokens: response.usage?.output_tokens ?? 0,
+      units: (response.usage?.input_tokens ?? 0) + (response.usage?.output_tokens ?? 0),
+    })
+  );
+}
+
+// ============================================
+// RECORD / REPLAY
+// ============================================
+
+/**
+ * Drop-in replacement for anthropic.messages.create that records or
+ * replays responses according to CLAUDE_CASSETTE. Live calls are priced
+ * in the cost ledger; replayed responses cost nothing.
+ *
+ * @param {Anthropic} client - Anthropic client instance
+ * @param {Object} params - anthropic.messages.create parameters
+ * @returns {Promise<Object>} Claude message response
+ */
+export async function createMessage(client, params) {
+  const mode = getCassetteMode();
+
+  if (mode === "off") {
+    return callClaude(client, params);
+  }
+
+  const key = getRequestKey(params);
+  const cassettePath = path.join(getCassetteDir(), `${key}.json`);
+
+  if (mode === "replay") {
+    let data;
+    try {
+      data = await fs.readFile(cassettePath, "utf-8");
+    } catch {
+      throw new CassetteMissError(key, cassettePath);
+    }
+    return JSON.parse(data).response;
+  }
+
+  // Record mode
+  const response = await callClaude(client, params);
+  await fs.mkdir(getCassetteDir(), { recursive: true });
+  await fs.writeFile(cassettePath, JSON.stringify({
+    key,
+    recorded_at: new Date().toISOString(),
+    request: summarizeRequest(params),
+    response,
+  }, null, 2));
+  return response;
+}
+
+/**
+ * Whether Claude calls need a live API key under the current mode
+ * @returns {boolean} False when replaying from disk
+ */
+export function requiresApiKey() {
+  return getCassetteMode() !== "replay";
+}
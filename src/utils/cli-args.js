@@ -0,0 +1,71 @@
+// ============================================
+// CLI FLAGS
+// ============================================
+// Phase scripts take --name=value; --name value works too
+
+/**
+ * Read a flag's value
+ * @param {string[]} args - process.argv.slice(2)
+ * @param {string} name - Flag name without dashes, e.g. "anchor"
+ * @returns {string|null} Value, or null if the flag isn't given
+ * @throws {Error} If the flag is given without a value
+ */
+export function getFlagValue(args, name) {
+  const index = args.findIndex(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (index === -1) return null;
+  const value = args[index].includes("=") ? args[index].slice(args[index].indexOf("=") + 1) : args[index + 1];
+  if (!value || value.startsWith("--")) {
+    throw new Error(`Missing value for --${name}`);
+  }
+  return value;
+}
+
+/**
+ * Read a comma-separated list flag, e.g. --anchor=front,side
+ * @returns {string[]|null} Values, or null if the flag isn't given
+ */
+export function getListFlag(args, name) {
+  const value = getFlagValue(args, name);
+  return value === null ? null : value.split(",").map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Arguments that are neither flags nor the value of a `--name value` flag
+ * @param {string[]} args - process.argv.slice(2)
+ * @param {string[]} valueFlags - Flags that take a value, e.g. ["budget"]
+ * @returns {string[]} Positional arguments, e.g. an exercise name
+ */
+export function getPositionalArgs(args, valueFlags) {
+  const result = [];
+  for (let i = 0; i < args.length; i++) {
+    if (valueFlags.some(f => args[i] === `--${f}`)) {
+      i++;
+    } else if (!args[i].startsWith("--")) {
+      result.push(args[i]);
+    }
+  }
+  return result;
+}
+
+// Flags every script accepts, read when utils/character.js loads
+const GLOBAL_FLAGS = ["character"];
+
+/**
+ * Drop the global flags (and a value given as the next argument) so a
+ * script's own parsing never mistakes `--character robopal` for a positional
+ * argument such as an exercise name
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {string[]} The script's own arguments
+ */
+export function withoutGlobalFlags(args) {
+  const result = [];
+  for (let i = 0; i < args.length; i++) {
+    const name = GLOBAL_FLAGS.find(f => args[i] === `--${f}` || args[i].startsWith(`--${f}=`));
+    if (!name) {
+      result.push(args[i]);
+    } else if (args[i] === `--${name}` && args[i + 1] && !args[i + 1].startsWith("--")) {
+      i++;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,329 @@
+import fs from "fs/promises";
+import path from "path";
+import { OUTPUT_DIR, assertSafeName, resolveOutputPath } from "./output-paths.js";
+import { getFlagValue } from "./cli-args.js";
+
+export const COLLECTIONS_DIR = path.join(OUTPUT_DIR, "collections");
+const ACTIVE_PATH = path.join(COLLECTIONS_DIR, "_active.json");
+export const DEFAULT_COLLECTION = "default";
+
+// Pre-collection selection files, imported once into "default"
+const LEGACY_SELECTION_PATH = path.join(OUTPUT_DIR, "training-selected.json");
+const LEGACY_SELECTED_AT_PATH = path.join(OUTPUT_DIR, "training-selected-at.json");
+
+// History actions that change the image list and can be undone
+const UNDOABLE = ["add", "remove"];
+
+// ============================================
+// ERRORS
+// ============================================
+
+/**
+ * Thrown for missing, duplicate or otherwise invalid collection operations.
+ * `status` is the HTTP status the gallery answers with.
+ */
+export class CollectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CollectionError";
+    this.status = status;
+  }
+}
+
+// ============================================
+// STORAGE
+// ============================================
+// One file per collection: output/collections/<name>.json
+// { name, created_at, updated_at, version, images, selected_at, history }
+
+function collectionPath(name) {
+  return resolveOutputPath("collections", `${assertSafeName(name, "collection name")}.json`);
+}
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+async function writeCollection(collection) {
+  await fs.mkdir(COLLECTIONS_DIR, { recursive: true });
+  await fs.writeFile(collectionPath(collection.name), JSON.stringify(collection, null, 2));
+}
+
+async function collectionExists(name) {
+  try {
+    await fs.access(collectionPath(name));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function newCollection(name, images = [], selectedAt = {}) {
+  const now = new Date().toISOString();
+  return { name, created_at: now, updated_at: now, version: 0, images, selected_at: selectedAt, history: [] };
+}
+
+function record(collection, entry) {
+  collection.version++;
+  collection.updated_at = new Date().toISOString();
+  collection.history.push({ version: collection.version, at: collection.updated_at, ...entry });
+}
+
+// Serialise read-modify-write cycles so concurrent toggles don't drop updates
+let writeQueue = Promise.resolve();
+
+function queued(fn) {
+  const next = writeQueue.then(fn);
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Create "default" from the old training-selected.json the first time
+ * collections are used, so existing curation carries over
+ */
+async function ensureDefaultCollection() {
+  const names = await listCollectionNames();
+  if (names.length > 0) return;
+
+  const images = await readJson(LEGACY_SELECTION_PATH, []);
+  const selectedAt = await readJson(LEGACY_SELECTED_AT_PATH, {});
+  const collection = newCollection(DEFAULT_COLLECTION, Array.isArray(images) ? images : [], selectedAt);
+  record(collection, { action: images.length > 0 ? "import" : "create", count: collection.images.length });
+  await writeCollection(collection);
+}
+
+async function listCollectionNames() {
+  try {
+    return (await fs.readdir(COLLECTIONS_DIR))
+      .filter((f) => f.endsWith(".json") && !f.startsWith("_"))
+      .map((f) => f.replace(/\.json$/, ""))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Parse --collection=<name> (or --collection <name>) from CLI args
+ * @returns {string|null} Collection name, or null to use the phase's default input
+ * @throws {Error} If the flag has no value or the name isn't safe
+ */
+export function parseCollectionFlag(args) {
+  const name = getFlagValue(args, "collection");
+  return name === null ? null : assertSafeName(name, "collection name");
+}
+
+// ============================================
+// READ
+// ============================================
+
+/**
+ * Load a collection
+ * @throws {CollectionError} 404 if it doesn't exist
+ */
+export async function loadCollection(name) {
+  await ensureDefaultCollection();
+  const collection = await readJson(collectionPath(name), null);
+  if (!collection) {
+    throw new CollectionError(`Collection not found: ${name}`, 404);
+  }
+  return collection;
+}
+
+/**
+ * Name of the collection the gallery's clicks edit
+ */
+export async function getActiveCollectionName() {
+  await ensureDefaultCollection();
+  const { name } = await readJson(ACTIVE_PATH, {});
+  if (name && (await collectionExists(name))) return name;
+  return (await listCollectionNames())[0];
+}
+
+/**
+ * Summaries of every collection
+ * @returns {Promise<{ active: string, collections: Array }>}
+ */
+export async function listCollections() {
+  const active = await getActiveCollectionName();
+  const collections = [];
+  for (const name of await listCollectionNames()) {
+    const collection = await readJson(collectionPath(name), null);
+    if (!collection) continue;
+    collections.push({
+      name,
+      count: collection.images.length,
+      version: collection.version,
+      created_at: collection.created_at,
+      updated_at: collection.updated_at,
+      active: name === active,
+    });
+  }
+  return { active, collections };
+}
+
+/**
+ * Training images for a collection: its picks plus the selected anchors,
+ * which every dataset includes
+ * @param {string} name - Collection name
+ * @returns {Promise<{ images: string[], selected_at: Object }>}
+ */
+export async function getTrainingImages(name) {
+  const collection = await loadCollection(name);
+  const images = [...collection.images];
+  try {
+    const anchorFiles = await fs.readdir(resolveOutputPath("anchors-selected"));
+    for (const f of anchorFiles.sort()) {
+      if (f.endsWith(".png")) {
+        images.push(`/output/anchors-selected/${f}`);
+      }
+    }
+  } catch {}
+  return { images: [...new Set(images)], selected_at: collection.selected_at };
+}
+
+/**
+ * Compare two collections
+ * @returns {Promise<{ only_a: string[], only_b: string[], both: string[] }>}
+ */
+export async function diffCollections(a, b) {
+  const [left, right] = await Promise.all([loadCollection(a), loadCollection(b)]);
+  const leftSet = new Set(left.images);
+  const rightSet = new Set(right.images);
+  return {
+    a,
+    b,
+    only_a: left.images.filter((image) => !rightSet.has(image)),
+    only_b: right.images.filter((image) => !leftSet.has(image)),
+    both: left.images.filter((image) => rightSet.has(image)),
+  };
+}
+
+// ============================================
+// WRITE
+// ============================================
+
+export function setActiveCollection(name) {
+  return queued(async () => {
+    await loadCollection(name);
+    await fs.mkdir(COLLECTIONS_DIR, { recursive: true });
+    await fs.writeFile(ACTIVE_PATH, JSON.stringify({ name }, null, 2));
+    return name;
+  });
+}
+
+/**
+ * Create an empty collection, or a copy of `from`
+ * @throws {CollectionError} 409 if the name is taken
+ */
+export function createCollection(name, { from = null } = {}) {
+  return queued(async () => {
+    await ensureDefaultCollection();
+    collectionPath(name);
+    if (await collectionExists(name)) {
+      throw new CollectionError(`Collection "${name}" already exists`, 409);
+    }
+
+    const source = from ? await loadCollection(from) : null;
+    const collection = newCollection(name, source ? [...source.images] : [], source ? { ...source.selected_at } : {});
+    record(collection, source
+      ? { action: "clone", from, from_version: source.version, count: collection.images.length }
+      : { action: "create", count: 0 });
+    await writeCollection(collection);
+    return collection;
+  });
+}
+
+export function renameCollection(name, newName) {
+  return queued(async () => {
+    const collection = await loadCollection(name);
+    collectionPath(newName);
+    if (await collectionExists(newName)) {
+      throw new CollectionError(`Collection "${newName}" already exists`, 409);
+    }
+
+    const wasActive = (await getActiveCollectionName()) === name;
+    collection.name = newName;
+    record(collection, { action: "rename", from: name, to: newName });
+    await writeCollection(collection);
+    await fs.rm(collectionPath(name), { force: true });
+    if (wasActive) {
+      await fs.writeFile(ACTIVE_PATH, JSON.stringify({ name: newName }, null, 2));
+    }
+    return collection;
+  });
+}
+
+/**
+ * Delete a collection. The last collection can't be deleted; deleting the
+ * active one activates the first remaining collection.
+ */
+export function deleteCollection(name) {
+  return queued(async () => {
+    await loadCollection(name);
+    const names = await listCollectionNames();
+    if (names.length === 1) {
+      throw new CollectionError("Can't delete the only collection", 409);
+    }
+    const wasActive = (await getActiveCollectionName()) === name;
+    await fs.rm(collectionPath(name), { force: true });
+    if (wasActive) {
+      await fs.writeFile(ACTIVE_PATH, JSON.stringify({ name: names.find((n) => n !== name) }, null, 2));
+    }
+    return getActiveCollectionName();
+  });
+}
+
+/**
+ * Add an image to a collection, or remove it if it's already there
+ * @returns {Promise<Object>} Updated collection
+ */
+export function toggleCollectionImage(name, image) {
+  return queued(async () => {
+    const collection = await loadCollection(name);
+    const index = collection.images.indexOf(image);
+    if (index > -1) {
+      collection.images.splice(index, 1);
+      record(collection, { action: "remove", image, index, selected_at: collection.selected_at[image] || null });
+      delete collection.selected_at[image];
+    } else {
+      collection.images.push(image);
+      collection.selected_at[image] = new Date().toISOString();
+      record(collection, { action: "add", image });
+    }
+    await writeCollection(collection);
+    return collection;
+  });
+}
+
+/**
+ * Revert the most recent add/remove that hasn't been undone yet. The undo
+ * is itself recorded, so history stays complete.
+ * @throws {CollectionError} 409 if there is nothing to undo
+ */
+export function undoCollectionChange(name) {
+  return queued(async () => {
+    const collection = await loadCollection(name);
+    const undone = new Set(collection.history.filter((h) => h.action === "undo").map((h) => h.reverts));
+    const last = [...collection.history].reverse().find((h) => UNDOABLE.includes(h.action) && !undone.has(h.version));
+    if (!last) {
+      throw new CollectionError("Nothing to undo", 409);
+    }
+
+    if (last.action === "add") {
+      collection.images = collection.images.filter((image) => image !== last.image);
+      delete collection.selected_at[last.image];
+    } else if (!collection.images.includes(last.image)) {
+      collection.images.splice(Math.min(last.index, collection.images.length), 0, last.image);
+      if (last.selected_at) collection.selected_at[last.image] = last.selected_at;
+    }
+    record(collection, { action: "undo", reverts: last.version, image: last.image });
+    await writeCollection(collection);
+    return collection;
+  });
+}
@@ -0,0 +1,74 @@
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ============================================
+// TOKEN BUCKET RATE LIMITER
+// ============================================
+
+/**
+ * Shared rate limiter: holds up to `burst` tokens and refills at
+ * `ratePerSecond`. Every API call takes one token, so any number of
+ * workers together stay under the provider's request rate.
+ */
+export class TokenBucket {
+  constructor({ ratePerSecond, burst = 1 }) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a token is available, then consume it
+   * @returns {Promise<void>}
+   */
+  take() {
+    // Chain waiters so tokens are handed out in request order
+    const next = this.queue.then(async () => {
+      this.refill();
+      while (this.tokens < 1) {
+        await sleep(Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = next;
+    return next;
+  }
+}
+
+// ============================================
+// BOUNDED WORKER POOL
+// ============================================
+
+/**
+ * Run an async worker over items with at most `concurrency` in flight.
+ * Results are returned in input order regardless of completion order.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum simultaneous workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
@@ -0,0 +1,217 @@
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { OUTPUT_DIR } from "./output-paths.js";
+import { getFlagValue } from "./cli-args.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const pricingPath = path.join(__dirname, "../../config/pricing.json");
+// One ledger per character, in its output root
+export const LEDGER_PATH = path.join(OUTPUT_DIR, "cost-ledger.jsonl");
+
+let PRICING = null;
+
+async function loadPricing() {
+  if (!PRICING) {
+    const data = await fs.readFile(pricingPath, "utf-8");
+    PRICING = JSON.parse(data);
+  }
+  return PRICING;
+}
+
+// ============================================
+// PHASE / EXERCISE CONTEXT
+// ============================================
+// Provider calls happen deep inside utils, so the phase and exercise they
+// belong to are carried through async context instead of parameters.
+// This also keeps attribution correct when exercises run in parallel.
+const costContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with cost attribution for every priced call made inside it
+ * @param {Object} context - { phase, exercise }
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+export function withCostContext(context, fn) {
+  const parent = costContext.getStore() || {};
+  return costContext.run({ ...parent, ...context }, fn);
+}
+
+/**
+ * The phase and exercise the current call is attributed to
+ * @returns {Object} { phase, exercise } (empty outside withCostContext)
+ */
+export function getCostContext() {
+  return { ...(costContext.getStore() || {}) };
+}
+
+// ============================================
+// BUDGET
+// ============================================
+
+/**
+ * Thrown before a call that would push this run's spend over --budget
+ */
+export class BudgetExceededError extends Error {
+  constructor(limitUsd, spentUsd, nextUsd) {
+    super(`Budget of $${limitUsd.toFixed(2)} would be exceeded: $${spentUsd.toFixed(2)} spent, next call estimated at $${nextUsd.toFixed(3)}`);
+    this.name = "BudgetExceededError";
+    this.limitUsd = limitUsd;
+    this.spentUsd = spentUsd;
+  }
+}
+
+const budget = {
+  limitUsd: null,
+  spentUsd: 0, // settled spend this run
+  reservedUsd: 0, // estimates for calls still in flight
+};
+
+/**
+ * Set a hard spending limit for the rest of this process
+ * @param {number|null} limitUsd - Limit in USD, or null for no limit
+ */
+export function setBudget(limitUsd) {
+  budget.limitUsd = limitUsd;
+}
+
+/**
+ * Get spend so far in this process
+ * @returns {{ limitUsd: number|null, spentUsd: number }}
+ */
+export function getBudgetStatus() {
+  return { limitUsd: budget.limitUsd, spentUsd: budget.spentUsd };
+}
+
+/**
+ * Parse a --budget=<usd> (or --budget <usd>) flag
+ * @param {string[]} args - CLI arguments
+ * @returns {number|null} Budget in USD, or null if not given
+ * @throws {Error} If the value is missing or not a positive number
+ */
+export function parseBudgetFlag(args) {
+  const raw = getFlagValue(args, "budget");
+  if (raw === null) return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid --budget value: ${raw}`);
+  }
+  return value;
+}
+
+function reserve(usd) {
+  if (budget.limitUsd !== null && budget.spentUsd + budget.reservedUsd + usd > budget.limitUsd) {
+    throw new BudgetExceededError(budget.limitUsd, budget.spentUsd + budget.reservedUsd, usd);
+  }
+  budget.reservedUsd += usd;
+}
+
+function release(usd) {
+  budget.reservedUsd = Math.max(0, budget.reservedUsd - usd);
+}
+
+// ============================================
+// PRICING
+// ============================================
+
+/**
+ * Estimate the USD cost of a call
+ * @param {Object} entry - { kind: "image"|"claude"|"training", model, units, input_tokens, output_tokens }
+ * @returns {Promise<{ usd: number, priced: boolean }>}
+ */
+export async function estimateCost(entry) {
+  const pricing = await loadPricing();
+
+  if (entry.kind === "image") {
+    const price = pricing.images[entry.model];
+    return { usd: (price ?? 0) * entry.units, priced: price !== undefined };
+  }
+
+  if (entry.kind === "claude") {
+    const price = pricing.claude[entry.model];
+    if (!price) return { usd: 0, priced: false };
+    const usd = (entry.input_tokens * price.input_per_million_tokens +
+      entry.output_tokens * price.output_per_million_tokens) / 1_000_000;
+    return { usd, priced: true };
+  }
+
+  if (entry.kind === "training") {
+    const price = pricing.training[entry.model];
+    if (!price) return { usd: 0, priced: false };
+    return { usd: (entry.units / 1000) * price.per_1000_steps, priced: true };
+  }
+
+  return { usd: 0, priced: false };
+}
+
+// ============================================
+// LEDGER
+// ============================================
+
+/**
+ * Append a priced entry to output/cost-ledger.jsonl
+ * @param {Object} entry - Entry fields (kind, model, units, unit, ...)
+ */
+export async function appendLedgerEntry(entry) {
+  await fs.mkdir(path.dirname(LEDGER_PATH), { recursive: true });
+  await fs.appendFile(LEDGER_PATH, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Read all ledger entries
+ * @returns {Promise<Array>} Parsed entries (empty if no ledger yet)
+ */
+export async function readLedger() {
+  let data;
+  try {
+    data = await fs.readFile(LEDGER_PATH, "utf-8");
+  } catch {
+    return [];
+  }
+  return data
+    .split("\n")
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Run a billable call: check the budget against an estimate, run it,
+ * then record the actual cost in the ledger
+ *
+ * @param {Object} estimate - { kind, model, units, unit, input_tokens, output_tokens }
+ * @param {Function} fn - async () => result
+ * @param {Function} measure - (result) => fields overriding the estimate (e.g. real token usage)
+ * @returns {Promise<*>} Result of fn
+ * @throws {BudgetExceededError} If the estimate would exceed the budget
+ */
+export async function withCostTracking(estimate, fn, measure = () => ({})) {
+  const { usd: estimatedUsd } = await estimateCost(estimate);
+  reserve(estimatedUsd);
+
+  let result;
+  try {
+    result = await fn();
+  } finally {
+    release(estimatedUsd);
+  }
+
+  const actual = { ...estimate, ...measure(result) };
+  const { usd, priced } = await estimateCost(actual);
+  budget.spentUsd += usd;
+
+  const context = costContext.getStore() || {};
+  await appendLedgerEntry({
+    timestamp: new Date().toISOString(),
+    phase: context.phase || "unknown",
+    exercise: context.exercise || null,
+    ...actual,
+    usd: Number(usd.toFixed(6)),
+    priced,
+  });
+
+  return result;
+}
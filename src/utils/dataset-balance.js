@@ -0,0 +1,218 @@
+import fs from "fs/promises";
+import { getCharacterConfigPath } from "./character.js";
+
+export const VIEWS = ["front", "side", "back", "quarter"];
+
+// Checked in order, so "front three-quarter view" counts as quarter
+const VIEW_PATTERNS = [
+  ["quarter", /three-quarter|quarter view|45 degrees to camera/i],
+  ["back", /rear view|back view|back to camera|from behind/i],
+  ["side", /side (profile|view|angle)|profile view/i],
+  ["front", /\bfront\b|facing camera/i],
+];
+
+// Annotation tags a reviewer can use to correct the detected angle
+const VIEW_TAGS = {
+  "front view": "front",
+  "side view": "side",
+  "back view": "back",
+  "quarter view": "quarter",
+};
+
+// Parsed files plus the mtimes they were read at; the gallery runs for hours
+// while phase2-rejected-regen --apply and hand edits change the files
+let METADATA = null;
+
+/**
+ * Detect a camera angle from a pose or edit prompt
+ * @returns {string|null} One of VIEWS, or null if the text doesn't say
+ */
+export function detectView(text) {
+  if (!text) return null;
+  const match = VIEW_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+/**
+ * Load anchor and variation metadata from the character's anchors and
+ * variations files, re-reading them whenever either has changed
+ */
+async function loadMetadata() {
+  const variationsPath = getCharacterConfigPath("variations");
+  const anchorsPath = getCharacterConfigPath("anchors");
+  const [variationsStat, anchorsStat] = await Promise.all([fs.stat(variationsPath), fs.stat(anchorsPath)]);
+  const version = `${variationsStat.mtimeMs}:${variationsStat.size}|${anchorsStat.mtimeMs}:${anchorsStat.size}`;
+
+  if (METADATA?.version !== version) {
+    const [variationsData, anchorsData] = await Promise.all([
+      fs.readFile(variationsPath, "utf-8"),
+      fs.readFile(anchorsPath, "utf-8"),
+    ]);
+    METADATA = {
+      version,
+      variations: new Map(JSON.parse(variationsData).variations.map(v => [v.id, v])),
+      anchors: new Map(JSON.parse(anchorsData).anchors.map(a => [a.id, a])),
+    };
+  }
+  return METADATA;
+}
+
+/**
+ * Describe where an image sits in the dataset
+ * @param {string} imageKey - "/output/<phase>/<folder>/<file>.png" or "/output/anchors-selected/<anchor>.png"
+ * @param {Object|null} annotation - Gallery annotation, used for view tags
+ * @returns {Promise<Object>} { folder, anchor, view, muscles }
+ */
+export async function describeImage(imageKey, annotation = null) {
+  const { variations, anchors } = await loadMetadata();
+  const segments = imageKey.split("?")[0].replace(/^\/output\//, "").split("/");
+  const isAnchor = segments.length === 2;
+  const folder = isAnchor ? segments[1].replace(/\.png$/i, "") : segments[segments.length - 2];
+
+  const configured = isAnchor ? null : variations.get(folder);
+  const anchor = isAnchor ? folder : (configured?.anchor || null);
+  const anchorMeta = anchor ? anchors.get(anchor) : null;
+
+  const taggedView = (annotation?.tags || []).map(tag => VIEW_TAGS[tag]).find(Boolean);
+  const view = taggedView
+    || detectView(configured?.edit_prompt)
+    || detectView(anchorMeta?.pose_prompt)
+    || null;
+
+  return {
+    folder,
+    anchor,
+    view,
+    muscles: configured?.muscles_highlighted || [],
+  };
+}
+
+// ============================================
+// ANALYSIS
+// ============================================
+function tally(values, total) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([key, count]) => ({ key, count, share: total > 0 ? count / total : 0 }))
+    .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+}
+
+function percent(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+/**
+ * Break a training selection down by anchor, pose folder, camera angle and
+ * highlighted muscle, flag imbalances and suggest folders to pick from next
+ *
+ * @param {string[]} selected - Selected image keys (training picks and anchor picks)
+ * @param {Object} options
+ * @param {Array} options.available - [{ phase, folder, count }] variation folders in the gallery
+ * @param {Object} options.annotations - Annotations keyed by image
+ * @param {Object} options.rules - config/datasets.json "balance"
+ * @returns {Promise<Object>} { total, target, by_anchor, by_folder, by_view, by_muscle, warnings, suggestions }
+ */
+export async function analyzeBalance(selected, { available, annotations, rules }) {
+  const described = [];
+  for (const key of selected) {
+    described.push(await describeImage(key, annotations[key.split("?")[0]] || null));
+  }
+  const total = described.length;
+
+  const byView = tally(described.map(d => d.view || "unknown"), total);
+  for (const view of VIEWS) {
+    if (!byView.some(row => row.key === view)) byView.push({ key: view, count: 0, share: 0 });
+  }
+  const byAnchor = tally(described.map(d => d.anchor || "unknown"), total);
+  const byFolder = tally(described.map(d => d.folder), total);
+  const byMuscle = tally(described.flatMap(d => d.muscles), total);
+
+  // Candidate folders, described once for their anchor/view/muscles
+  const candidates = [];
+  for (const entry of available) {
+    candidates.push({ ...entry, ...(await describeImage(`/output/${entry.phase}/${entry.folder}/x.png`)) });
+  }
+  const availableAnchors = new Set(candidates.map(c => c.anchor).filter(Boolean));
+
+  const warnings = [];
+  if (total < rules.target_min) {
+    warnings.push(`${total} images selected; aim for at least ${rules.target_min}`);
+  } else if (total > rules.target_max) {
+    warnings.push(`${total} images selected; more than ${rules.target_max} risks overfitting to repeated poses`);
+  }
+
+  const overViews = new Set();
+  const underViews = new Set();
+  if (total > 0) {
+    for (const row of byView.filter(r => VIEWS.includes(r.key))) {
+      if (row.share > rules.max_view_share) {
+        overViews.add(row.key);
+        warnings.push(`${row.key} view is ${percent(row.share)} of the set (max ${percent(rules.max_view_share)})`);
+      } else if (row.share < rules.min_view_share) {
+        underViews.add(row.key);
+        warnings.push(`${row.key} view is ${percent(row.share)} of the set (min ${percent(rules.min_view_share)})`);
+      }
+    }
+  }
+  const unknownViews = byView.find(r => r.key === "unknown");
+  if (unknownViews) {
+    warnings.push(`${unknownViews.count} image(s) have no known camera angle; tag them "front view", "side view", "back view" or "quarter view"`);
+  }
+
+  const overAnchors = new Set(byAnchor.filter(r => r.key !== "unknown" && r.share > rules.max_anchor_share).map(r => r.key));
+  for (const anchor of overAnchors) {
+    warnings.push(`${percent(byAnchor.find(r => r.key === anchor).share)} of the set comes from the ${anchor} anchor (max ${percent(rules.max_anchor_share)})`);
+  }
+  const missingAnchors = [...availableAnchors].filter(anchor => !byAnchor.some(r => r.key === anchor)).sort();
+  if (total > 0 && missingAnchors.length > 0) {
+    warnings.push(`Nothing selected from anchor(s): ${missingAnchors.join(", ")}`);
+  }
+  for (const row of byFolder.filter(r => r.count > rules.max_per_folder)) {
+    warnings.push(`${row.count} images from ${row.key}; more than ${rules.max_per_folder} per pose adds near-duplicates`);
+  }
+
+  // Rank folders by how much they would fill the gaps
+  const coveredMuscles = new Set(byMuscle.map(r => r.key));
+  const suggestions = candidates
+    .filter(c => c.count > 0 && !overViews.has(c.view) && !overAnchors.has(c.anchor))
+    .map(c => {
+      const picked = byFolder.find(r => r.key === c.folder)?.count || 0;
+      const newMuscles = c.muscles.filter(m => !coveredMuscles.has(m));
+      const reasons = [];
+      let score = -picked;
+      if (underViews.has(c.view)) {
+        score += 3;
+        reasons.push(`adds ${c.view} view`);
+      }
+      if (missingAnchors.includes(c.anchor)) {
+        score += 2;
+        reasons.push(`first pick from the ${c.anchor} anchor`);
+      }
+      if (newMuscles.length > 0) {
+        score += newMuscles.length * 0.5;
+        reasons.push(`covers ${newMuscles.join(", ")}`);
+      }
+      if (picked === 0) {
+        score += 1;
+        if (reasons.length === 0) reasons.push("pose not in the set yet");
+      }
+      return { phase: c.phase, folder: c.folder, anchor: c.anchor, view: c.view, picked, score, reasons };
+    })
+    .filter(s => s.picked < rules.max_per_folder && s.reasons.length > 0)
+    .sort((a, b) => b.score - a.score || a.folder.localeCompare(b.folder))
+    .slice(0, rules.suggestions);
+
+  return {
+    total,
+    target: { min: rules.target_min, max: rules.target_max },
+    by_anchor: byAnchor,
+    by_folder: byFolder,
+    by_view: byView,
+    by_muscle: byMuscle,
+    warnings,
+    suggestions,
+  };
+}
@@ -0,0 +1,217 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { OUTPUT_DIR, assertSafeName, resolveOutputPath, resolveImageKey } from "./output-paths.js";
+import { loadAnnotations, loadAnnotationsConfig, classifyTags } from "./annotations.js";
+import {
+  CONFIG as TRAINING_CONFIG,
+  generateCaption,
+  getExclusionReason,
+  createTrainingZip,
+} from "../phase3-train-lora.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const configPath = path.join(__dirname, "../../config/datasets.json");
+export const DATASETS_DIR = path.join(OUTPUT_DIR, "datasets");
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// kohya      → img/<repeats>_<trigger>/<name>.png + .txt (kohya_ss train_data_dir)
+// ai-toolkit → <name>.png + .txt in one folder (ai-toolkit folder_path)
+// huggingface→ train/<name>.png + train/metadata.jsonl ("imagefolder" dataset)
+// fal-zip    → training-data.zip exactly as phase 3 uploads it
+export const DATASET_FORMATS = ["kohya", "ai-toolkit", "huggingface", "fal-zip"];
+
+let DATASETS_CONFIG = null;
+
+/**
+ * Load dataset export settings
+ * @returns {Promise<Object>} Parsed config/datasets.json
+ */
+export async function loadDatasetsConfig() {
+  if (!DATASETS_CONFIG) {
+    const data = await fs.readFile(configPath, "utf-8");
+    DATASETS_CONFIG = JSON.parse(data);
+  }
+  return DATASETS_CONFIG;
+}
+
+/**
+ * Default export name, e.g. "dataset-20250114-093012"
+ */
+export function defaultDatasetName(date = new Date()) {
+  return `dataset-${date.toISOString().replace(/[-:]/g, "").replace("T", "-").substring(0, 15)}`;
+}
+
+/**
+ * Resolve output/datasets/<name>, rejecting names that aren't a single folder
+ * @throws {PathError} 400 for unsafe names
+ */
+export function getDatasetDir(name) {
+  return resolveOutputPath("datasets", assertSafeName(name, "dataset name"));
+}
+
+// ============================================
+// ITEMS
+// ============================================
+// "/output/variations/squat/squat_01.png" → "squat"; "/output/anchors-selected/front.png" → "front"
+function getPoseFolder(segments) {
+  return segments.length >= 3
+    ? segments[segments.length - 2]
+    : segments[segments.length - 1].replace(/\.png$/i, "");
+}
+
+/**
+ * Turn selected image keys into captioned dataset items, applying the
+ * same annotation exclusions as phase 3
+ * @param {string[]} imageKeys - "/output/..." keys
+ * @param {Object} options - phases (allowed source phases), selectedAt ({ key: ISO time })
+ * @returns {Promise<{ items: Array, excluded: Array, skipped: Array }>}
+ */
+async function collectItems(imageKeys, { phases, selectedAt }) {
+  const annotations = await loadAnnotations();
+  const trainingRules = (await loadAnnotationsConfig()).training;
+
+  const items = [];
+  const excluded = [];
+  const skipped = [];
+  const poseCounts = new Map();
+
+  for (const imageKey of imageKeys) {
+    let resolved;
+    try {
+      resolved = await resolveImageKey(imageKey, { phases });
+    } catch (error) {
+      skipped.push({ image: imageKey, error: error.message });
+      continue;
+    }
+
+    const annotation = annotations[resolved.key] || null;
+    const tags = await classifyTags(annotation);
+    const reason = getExclusionReason(annotation, tags, trainingRules);
+    if (reason) {
+      excluded.push({ image: resolved.key, reason });
+      continue;
+    }
+
+    const poseFolder = getPoseFolder(resolved.segments);
+    const count = (poseCounts.get(poseFolder) || 0) + 1;
+    poseCounts.set(poseFolder, count);
+
+    items.push({
+      path: resolved.filePath,
+      image: resolved.key,
+      source: path.relative(path.dirname(OUTPUT_DIR), resolved.filePath).split(path.sep).join("/"),
+      pose: poseFolder.replace(/_/g, " "),
+      name: `${poseFolder}_${String(count).padStart(2, "0")}`,
+      caption: generateCaption(poseFolder.replace(/_/g, " "), trainingRules.append_tags_to_caption ? tags.descriptive : []),
+      selected_at: selectedAt[resolved.key] || null,
+      annotation,
+    });
+  }
+
+  return { items, excluded, skipped };
+}
+
+// ============================================
+// FORMAT WRITERS
+// ============================================
+// Each writer copies the items into its layout and returns the manifest
+// entry fields ({ file, caption_file }) for every item, in order
+
+async function writeCaptionPairs(dir, items) {
+  await fs.mkdir(dir, { recursive: true });
+  const files = [];
+  for (const item of items) {
+    await fs.copyFile(item.path, path.join(dir, `${item.name}.png`));
+    await fs.writeFile(path.join(dir, `${item.name}.txt`), item.caption);
+    files.push({ file: `${item.name}.png`, caption_file: `${item.name}.txt` });
+  }
+  return files;
+}
+
+const WRITERS = {
+  kohya: async (formatDir, items, config) => {
+    const folder = `${config.kohya?.repeats ?? 10}_${TRAINING_CONFIG.training.triggerWord}`;
+    const files = await writeCaptionPairs(path.join(formatDir, "img", folder), items);
+    return files.map(f => ({ file: `img/${folder}/${f.file}`, caption_file: `img/${folder}/${f.caption_file}` }));
+  },
+
+  "ai-toolkit": async (formatDir, items) => writeCaptionPairs(formatDir, items),
+
+  huggingface: async (formatDir, items) => {
+    const trainDir = path.join(formatDir, "train");
+    await fs.mkdir(trainDir, { recursive: true });
+    const lines = [];
+    for (const item of items) {
+      await fs.copyFile(item.path, path.join(trainDir, `${item.name}.png`));
+      lines.push(JSON.stringify({ file_name: `${item.name}.png`, text: item.caption, pose: item.pose }));
+    }
+    await fs.writeFile(path.join(trainDir, "metadata.jsonl"), lines.join("\n") + "\n");
+    return items.map(item => ({ file: `train/${item.name}.png`, caption_file: "train/metadata.jsonl" }));
+  },
+
+  "fal-zip": async (formatDir, items) => {
+    await fs.mkdir(formatDir, { recursive: true });
+    await createTrainingZip(items, path.join(formatDir, "training-data.zip"));
+    // createTrainingZip numbers entries image_001, image_002... in item order
+    return items.map((item, i) => {
+      const baseName = `image_${String(i + 1).padStart(3, "0")}`;
+      return { file: `training-data.zip:${baseName}.png`, caption_file: `training-data.zip:${baseName}.txt` };
+    });
+  },
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Write the selected images to output/datasets/<name>/<format>/ for each
+ * format, each with a manifest.json recording source paths, captions and
+ * when each image was selected
+ *
+ * @param {string[]} imageKeys - Selected "/output/..." keys
+ * @param {Object} options - name, formats, phases (allowed sources), selectedAt ({ key: ISO time }),
+ *   collection (the training collection the images came from)
+ * @returns {Promise<Object>} { name, collection, formats: { format: dir }, exported, excluded, skipped }
+ */
+export async function exportDataset(imageKeys, { name, formats, phases = null, selectedAt = {}, collection = null }) {
+  const config = await loadDatasetsConfig();
+  const datasetDir = getDatasetDir(name);
+  const { items, excluded, skipped } = await collectItems(imageKeys, { phases, selectedAt });
+  const createdAt = new Date().toISOString();
+
+  const written = {};
+  for (const format of formats) {
+    const formatDir = path.join(datasetDir, format);
+    const files = await WRITERS[format](formatDir, items, config);
+
+    const manifest = {
+      name,
+      format,
+      collection,
+      created_at: createdAt,
+      trigger_word: TRAINING_CONFIG.training.triggerWord,
+      count: items.length,
+      items: items.map((item, i) => ({
+        ...files[i],
+        source: item.source,
+        image: item.image,
+        pose: item.pose,
+        caption: item.caption,
+        selected_at: item.selected_at,
+        annotation: item.annotation,
+      })),
+      excluded,
+      skipped,
+    };
+    await fs.writeFile(path.join(formatDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+    written[format] = path.relative(path.dirname(OUTPUT_DIR), formatDir).split(path.sep).join("/");
+  }
+
+  return { name, collection, formats: written, exported: items.length, excluded, skipped };
+}
@@ -0,0 +1,304 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { downloadImage } from "./resilience.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// GENERATION_CACHE=on       → serve identical requests from disk (default)
+// GENERATION_CACHE=refresh  → always call the provider, store the new result
+// GENERATION_CACHE=off      → no reads, no writes
+const MODES = ["on", "refresh", "off"];
+// Shared by every character: entries are keyed by the full request
+const DEFAULT_CACHE_DIR = path.join(__dirname, "../../output/.cache/images");
+const providersPath = path.join(__dirname, "../../config/providers.json");
+
+const DEFAULTS = {
+  max_age_days: 30,
+  max_size_mb: 2000,
+};
+
+let CACHE_CONFIG = null;
+let modeOverride = null;
+
+/**
+ * Load cache settings (prune defaults) from providers config
+ * @returns {Promise<Object>} { max_age_days, max_size_mb }
+ */
+export async function loadCacheConfig() {
+  if (!CACHE_CONFIG) {
+    const data = await fs.readFile(providersPath, "utf-8");
+    CACHE_CONFIG = { ...DEFAULTS, ...JSON.parse(data).cache };
+  }
+  return CACHE_CONFIG;
+}
+
+/**
+ * Get the active cache mode
+ * @returns {string} "on", "refresh" or "off"
+ */
+export function getCacheMode() {
+  const mode = (modeOverride || process.env.GENERATION_CACHE || "on").toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown GENERATION_CACHE mode "${mode}" (expected one of: ${MODES.join(", ")})`);
+  }
+  return mode;
+}
+
+/**
+ * Override the cache mode for the rest of this process
+ * @param {string|null} mode - "on", "refresh", "off", or null to use the environment
+ */
+export function setCacheMode(mode) {
+  modeOverride = mode;
+}
+
+/**
+ * Parse --no-cache: skip cache lookups but still store fresh results
+ * @param {string[]} args - CLI arguments
+ * @returns {string|null} "refresh" if the flag is present, else null
+ */
+export function parseCacheFlag(args) {
+  return args.includes("--no-cache") ? "refresh" : null;
+}
+
+export function getCacheDir() {
+  return process.env.GENERATION_CACHE_DIR || DEFAULT_CACHE_DIR;
+}
+
+// ============================================
+// REQUEST KEYING
+// ============================================
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Identify a reference image by its bytes. Data URLs are decoded so the
+ * same anchor hashes identically however it was loaded; remote URLs fall
+ * back to the URL itself.
+ */
+export function hashReference(reference) {
+  if (!reference) return null;
+  const match = /^data:[^;,]+;base64,(.*)$/s.exec(reference);
+  return `sha256:${sha256(match ? Buffer.from(match[1], "base64") : reference)}`;
+}
+
+function describeRequest(request) {
+  const params = Object.fromEntries(
+    Object.entries(request.params || {})
+      .filter(([, value]) => value !== undefined)
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+  return {
+    model: request.model,
+    prompt: request.prompt,
+    reference: hashReference(request.reference),
+    params,
+    seed: request.seed ?? null,
+    variant: request.variant ?? null,
+  };
+}
+
+/**
+ * Hash model + prompt + reference image bytes + params + seed into a cache key.
+ * `variant` tells apart several unseeded samples of the same request
+ * (e.g. anchor _01 to _04), so each one gets its own entry.
+ * @param {Object} request - { model, prompt, reference, params, seed, variant }
+ * @returns {string} Hex digest
+ */
+export function getCacheKey(request) {
+  return sha256(JSON.stringify(describeRequest(request)));
+}
+
+function entryPaths(key) {
+  const dir = path.join(getCacheDir(), key.substring(0, 2));
+  return {
+    dir,
+    image: path.join(dir, `${key}.png`),
+    meta: path.join(dir, `${key}.json`),
+  };
+}
+
+// ============================================
+// LOOKUP / STORE
+// ============================================
+function toDataUrl(buffer) {
+  return `data:image/png;base64,${buffer.toString("base64")}`;
+}
+
+async function readEntry(key) {
+  const paths = entryPaths(key);
+  try {
+    const [buffer, metaData] = await Promise.all([
+      fs.readFile(paths.image),
+      fs.readFile(paths.meta, "utf-8"),
+    ]);
+    return { buffer, meta: JSON.parse(metaData), paths };
+  } catch {
+    return null;
+  }
+}
+
+// Misses being fetched right now, by key. An identical request that arrives
+// meanwhile (e.g. the gallery queueing the same regeneration twice) waits for
+// that result instead of calling the provider again.
+const inFlight = new Map();
+
+/**
+ * Serve an image request from the cache, or run the provider call and
+ * store its result. The returned value is always a data URL on a hit or
+ * a stored miss, so callers download it exactly as they would a provider URL.
+ * Regeneration after a rejection passes refresh so it never gets the
+ * rejected image back.
+ *
+ * @param {Object} request - { model, prompt, reference, params, seed, variant }
+ * @param {Function} fn - async () => image URL from the provider
+ * @param {Object} options - refresh, onLog
+ * @returns {Promise<string>} Image URL (data URL when cached)
+ */
+export async function withGenerationCache(request, fn, options = {}) {
+  const mode = getCacheMode();
+  if (mode === "off") {
+    return fn();
+  }
+
+  const key = getCacheKey(request);
+
+  if (mode === "on" && !options.refresh) {
+    const entry = await readEntry(key);
+    if (entry) {
+      options.onLog?.(`cache: hit ${key.substring(0, 12)}`);
+      entry.meta.hits = (entry.meta.hits || 0) + 1;
+      entry.meta.last_used_at = new Date().toISOString();
+      await fs.writeFile(entry.paths.meta, JSON.stringify(entry.meta, null, 2));
+      return toDataUrl(entry.buffer);
+    }
+    // Checked after the read, with no await before inFlight.set below
+    if (inFlight.has(key)) {
+      options.onLog?.(`cache: waiting for identical request ${key.substring(0, 12)}`);
+      return inFlight.get(key);
+    }
+  }
+
+  const pending = fetchAndStore(key, request, fn);
+  inFlight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    if (inFlight.get(key) === pending) {
+      inFlight.delete(key);
+    }
+  }
+}
+
+async function fetchAndStore(key, request, fn) {
+  const imageUrl = await fn();
+
+  const paths = entryPaths(key);
+  await fs.mkdir(paths.dir, { recursive: true });
+  const buffer = await downloadImage(imageUrl, paths.image);
+  const now = new Date().toISOString();
+  await fs.writeFile(paths.meta, JSON.stringify({
+    key,
+    ...describeRequest(request),
+    bytes: buffer.length,
+    created_at: now,
+    last_used_at: now,
+    hits: 0,
+  }, null, 2));
+
+  return toDataUrl(buffer);
+}
+
+// ============================================
+// INSPECT / PRUNE
+// ============================================
+
+/**
+ * List every cache entry with its metadata
+ * @returns {Promise<Array>} Entry metadata, most recently used first
+ */
+export async function listCacheEntries() {
+  const entries = [];
+  let shards;
+  try {
+    shards = await fs.readdir(getCacheDir(), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  for (const shard of shards) {
+    if (!shard.isDirectory()) continue;
+    const shardDir = path.join(getCacheDir(), shard.name);
+    for (const file of await fs.readdir(shardDir)) {
+      if (!file.endsWith(".json")) continue;
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(shardDir, file), "utf-8"));
+        entries.push(meta);
+      } catch {
+        // Half-written entry; prune will not see it, clear removes it
+      }
+    }
+  }
+
+  return entries.sort((a, b) => b.last_used_at.localeCompare(a.last_used_at));
+}
+
+/**
+ * Remove a single entry by key
+ * @param {string} key - Cache key
+ */
+export async function removeCacheEntry(key) {
+  const paths = entryPaths(key);
+  await fs.rm(paths.image, { force: true });
+  await fs.rm(paths.meta, { force: true });
+}
+
+/**
+ * Drop entries unused for longer than maxAgeDays, then evict least
+ * recently used entries until the cache fits in maxSizeMb
+ *
+ * @param {Object} options - { maxAgeDays, maxSizeMb, dryRun }
+ * @returns {Promise<{ removed: Array, kept: Array }>}
+ */
+export async function pruneCache({ maxAgeDays, maxSizeMb, dryRun = false }) {
+  const entries = await listCacheEntries();
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const maxBytes = maxSizeMb * 1024 * 1024;
+
+  const removed = [];
+  const kept = [];
+  let keptBytes = 0;
+
+  // Most recently used first, so the size limit evicts the oldest
+  for (const entry of entries) {
+    const expired = Date.parse(entry.last_used_at) < cutoff;
+    if (expired || keptBytes + entry.bytes > maxBytes) {
+      removed.push(entry);
+    } else {
+      kept.push(entry);
+      keptBytes += entry.bytes;
+    }
+  }
+
+  if (!dryRun) {
+    for (const entry of removed) {
+      await removeCacheEntry(entry.key);
+    }
+  }
+
+  return { removed, kept };
+}
+
+/**
+ * Delete the whole cache directory
+ */
+export async function clearCache() {
+  await fs.rm(getCacheDir(), { recursive: true, force: true });
+}
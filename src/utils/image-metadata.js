@@ -0,0 +1,80 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readPngText, writePngText } from "./png.js";
+import { getCharacter } from "./character.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const packagePath = path.join(__dirname, "../../package.json");
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// PNG text keywords written into every generated image. "Software" is a
+// standard PNG keyword; the rest are this pipeline's own.
+export const METADATA_KEYS = ["Software", "prompt", "model", "seed", "anchor", "pose", "phase", "character", "pipeline_version"];
+
+let PIPELINE_INFO = null;
+
+async function loadPipelineInfo() {
+  if (!PIPELINE_INFO) {
+    const pkg = JSON.parse(await fs.readFile(packagePath, "utf-8"));
+    PIPELINE_INFO = { name: pkg.name, version: pkg.version, character: getCharacter().name };
+  }
+  return PIPELINE_INFO;
+}
+
+// ============================================
+// WRITE
+// ============================================
+
+/**
+ * Text fields to embed in a generated PNG
+ * @param {Object|null} generation - Provenance record from image-provider (prompt, model, seed, phase)
+ * @param {Object|null} extra - Fields from the phase that saved the image: anchor, pose, character
+ * @returns {Promise<Object>} Keyword → value (null values are skipped when embedding)
+ */
+export async function buildImageMetadata(generation, extra = null) {
+  const pipeline = await loadPipelineInfo();
+  return {
+    Software: `${pipeline.name} ${pipeline.version}`,
+    prompt: generation?.prompt ?? null,
+    model: generation?.model ?? null,
+    seed: generation?.seed ?? null,
+    anchor: extra?.anchor ?? null,
+    pose: extra?.pose ?? null,
+    phase: generation?.phase ?? null,
+    character: extra?.character ?? pipeline.character,
+    pipeline_version: pipeline.version,
+  };
+}
+
+/**
+ * Embed metadata in PNG bytes, replacing earlier values of the same keywords
+ * @param {Buffer} buffer - PNG file contents
+ * @param {Object} fields - From buildImageMetadata
+ * @returns {Buffer} New PNG file contents
+ */
+export function embedImageMetadata(buffer, fields) {
+  return writePngText(buffer, fields);
+}
+
+// ============================================
+// READ
+// ============================================
+
+/**
+ * Read the generation metadata embedded in a PNG file. It travels with
+ * the file, so it survives renames, moves and export ZIPs.
+ * @param {string} filepath - Image path
+ * @returns {Promise<Object>} Keyword → text (empty if there is none or the file isn't a PNG)
+ */
+export async function readImageMetadata(filepath) {
+  try {
+    return readPngText(await fs.readFile(filepath));
+  } catch {
+    return {};
+  }
+}
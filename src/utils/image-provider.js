@@ -0,0 +1,476 @@
+import 'dotenv/config';
+import { fal } from "@fal-ai/client";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { encodePng } from "./png.js";
+import { withResilience } from "./resilience.js";
+import { withCostTracking, estimateCost, getCostContext } from "./cost-ledger.js";
+import { withGenerationCache, getCacheMode, getCacheKey, hashReference } from "./generation-cache.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load providers config
+const providersPath = path.join(__dirname, "../../config/providers.json");
+let PROVIDERS_CONFIG = null;
+
+async function loadProvidersConfig() {
+  if (!PROVIDERS_CONFIG) {
+    const data = await fs.readFile(providersPath, "utf-8");
+    PROVIDERS_CONFIG = JSON.parse(data);
+  }
+  return PROVIDERS_CONFIG;
+}
+
+// ============================================
+// FAL.AI PROVIDER
+// ============================================
+let falConfigured = false;
+
+function configureFal() {
+  if (!falConfigured) {
+    fal.config({
+      credentials: process.env.FAL_KEY,
+    });
+    falConfigured = true;
+  }
+}
+
+/**
+ * Whether the configured edit endpoint uses strength. Multi-image editors
+ * such as nano-banana ignore it; image-to-image endpoints (edit_image_param
+ * "image_url", e.g. fal-ai/flux/dev/image-to-image) honour it. The mock
+ * provider follows the same config so offline runs behave alike.
+ */
+function editTakesStrength(config) {
+  return config.fal.edit_image_param === "image_url";
+}
+
+/**
+ * Pull the first image URL out of a fal.ai result
+ * Handles both result.data.images and result.images formats
+ */
+function extractImageUrl(result, endpoint) {
+  if (result.data?.images?.length > 0) {
+    return result.data.images[0].url;
+  }
+  if (result.images?.length > 0) {
+    return result.images[0].url;
+  }
+  throw new Error(`No image returned from ${endpoint}`);
+}
+
+/**
+ * Image URL plus the request id and seed fal.ai reports, for provenance
+ */
+function toProviderResult(result, endpoint) {
+  return {
+    url: extractImageUrl(result, endpoint),
+    request_id: result.requestId || null,
+    seed: result.data?.seed ?? result.seed ?? null,
+  };
+}
+
+function queueLogger(onLog) {
+  if (!onLog) return undefined;
+  return (update) => {
+    if (update.status === "IN_PROGRESS" && update.logs) {
+      update.logs.forEach(log => onLog(log.message));
+    }
+  };
+}
+
+const falProvider = {
+  name: "fal",
+
+  async generate(prompt, options, config) {
+    configureFal();
+    const endpoint = config.fal.generate_endpoint;
+    const result = await withResilience(endpoint, (signal) => fal.subscribe(endpoint, {
+      input: {
+        prompt: prompt,
+        negative_prompt: options.negativePrompt,
+        image_size: options.imageSize || "square_hd",
+        num_images: 1,
+        guidance_scale: options.guidanceScale || 3.5,
+        safety_tolerance: options.safetyTolerance || 2,
+        enable_safety_checker: false,
+        seed: options.seed,
+      },
+      logs: Boolean(options.onLog),
+      onQueueUpdate: queueLogger(options.onLog),
+      abortSignal: signal,
+    }), { breaker: "fal.ai" });
+    return toProviderResult(result, endpoint);
+  },
+
+  async edit(imageUrl, prompt, options, config) {
+    configureFal();
+    const endpoint = config.fal.edit_endpoint;
+    // nano-banana takes image_urls; image-to-image endpoints such as
+    // fal-ai/flux/dev/image-to-image take a single image_url plus strength
+    const imageInput = config.fal.edit_image_param === "image_url"
+      ? { image_url: imageUrl }
+      : { image_urls: [imageUrl] }; // Array of image URLs (base64 data URLs work)
+    const result = await withResilience(endpoint, (signal) => fal.subscribe(endpoint, {
+      input: {
+        prompt: prompt,
+        ...imageInput,
+        ...(editTakesStrength(config) ? { strength: options.strength } : {}),
+        num_images: 1,
+        output_format: "png",
+      },
+      logs: Boolean(options.onLog),
+      onQueueUpdate: queueLogger(options.onLog),
+      abortSignal: signal,
+    }), { breaker: "fal.ai" });
+    return toProviderResult(result, endpoint);
+  },
+
+  async loraGenerate(prompt, loraUrl, options, config) {
+    configureFal();
+    const endpoint = config.fal.lora_endpoint;
+    const result = await withResilience(endpoint, (signal) => fal.subscribe(endpoint, {
+      input: {
+        prompt: prompt,
+        loras: [
+          {
+            path: loraUrl,
+            scale: options.loraScale ?? 1.0,
+          },
+        ],
+        image_size: options.imageSize || "square_hd",
+        num_images: 1,
+        guidance_scale: options.guidanceScale || 3.5,
+        output_format: "png",
+        seed: options.seed,
+      },
+      logs: Boolean(options.onLog),
+      onQueueUpdate: queueLogger(options.onLog),
+      abortSignal: signal,
+    }), { breaker: "fal.ai" });
+    return toProviderResult(result, endpoint);
+  },
+};
+
+// ============================================
+// MOCK PROVIDER (offline placeholder PNGs)
+// ============================================
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace("#", ""), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Render a placeholder mannequin figure on a flat background.
+ * Limb angles and figure shade are derived from the seed, so the
+ * same request always produces the same bytes.
+ */
+function renderPlaceholder(seed, mockConfig) {
+  const width = mockConfig.width;
+  const height = mockConfig.height;
+  const pixels = Buffer.alloc(width * height * 3);
+
+  const background = hexToRgb(mockConfig.background);
+  const figure = hexToRgb(mockConfig.figure).map((c, i) => Math.max(0, Math.min(255, c + (seed[i] % 40) - 20)));
+  const shorts = [107, 112, 64];
+  const shoes = [150, 150, 150];
+
+  for (let i = 0; i < width * height; i++) {
+    pixels[i * 3] = background[0];
+    pixels[i * 3 + 1] = background[1];
+    pixels[i * 3 + 2] = background[2];
+  }
+
+  function fillCircle(cx, cy, r, color) {
+    for (let y = Math.floor(cy - r); y <= cy + r; y++) {
+      for (let x = Math.floor(cx - r); x <= cx + r; x++) {
+        if (x < 0 || y < 0 || x >= width || y >= height) continue;
+        if ((x - cx) ** 2 + (y - cy) ** 2 > r * r) continue;
+        const offset = (y * width + x) * 3;
+        pixels[offset] = color[0];
+        pixels[offset + 1] = color[1];
+        pixels[offset + 2] = color[2];
+      }
+    }
+  }
+
+  function drawLimb(x, y, angle, length, thickness, color) {
+    for (let step = 0; step <= length; step++) {
+      fillCircle(x + Math.sin(angle) * step, y + Math.cos(angle) * step, thickness, color);
+    }
+    return [x + Math.sin(angle) * length, y + Math.cos(angle) * length];
+  }
+
+  const unit = height / 16;
+  const cx = width / 2 + ((seed[3] % 9) - 4) * unit * 0.25;
+  const shoulderY = unit * 4.5;
+  const hipY = unit * 8.5;
+  const angle = (byte) => ((byte / 255) * 2 - 1) * Math.PI * 0.9;
+
+  // Head and eyes
+  fillCircle(cx, unit * 3, unit * 1.2, figure);
+  fillCircle(cx - unit * 0.4, unit * 2.9, unit * 0.2, [0, 0, 0]);
+  fillCircle(cx + unit * 0.4, unit * 2.9, unit * 0.2, [0, 0, 0]);
+
+  // Torso
+  drawLimb(cx, shoulderY, 0, hipY - shoulderY, unit * 0.9, figure);
+
+  // Arms
+  drawLimb(cx - unit, shoulderY, -Math.abs(angle(seed[4])), unit * 4, unit * 0.35, figure);
+  drawLimb(cx + unit, shoulderY, Math.abs(angle(seed[5])), unit * 4, unit * 0.35, figure);
+
+  // Legs with shorts and sneakers
+  const legAngles = [-Math.abs(angle(seed[6])) * 0.4, Math.abs(angle(seed[7])) * 0.4];
+  [-1, 1].forEach((side, i) => {
+    const hipX = cx + side * unit * 0.5;
+    drawLimb(hipX, hipY, legAngles[i], unit * 1.5, unit * 0.5, shorts);
+    const [footX, footY] = drawLimb(hipX + Math.sin(legAngles[i]) * unit * 1.5, hipY + Math.cos(legAngles[i]) * unit * 1.5, legAngles[i], unit * 3, unit * 0.4, figure);
+    fillCircle(footX, footY, unit * 0.5, shoes);
+  });
+
+  return encodePng(width, height, pixels);
+}
+
+function mockImageUrl(operation, parts, config) {
+  const hash = crypto.createHash("sha256");
+  hash.update(operation);
+  for (const part of parts) {
+    hash.update("\0");
+    hash.update(String(part ?? ""));
+  }
+  const png = renderPlaceholder(hash.digest(), config.mock);
+  return `data:image/png;base64,${png.toString("base64")}`;
+}
+
+const mockProvider = {
+  name: "mock",
+
+  async generate(prompt, options, config) {
+    options.onLog?.("mock: rendering placeholder image");
+    const url = mockImageUrl("generate", [prompt, options.negativePrompt, options.seed, options.variant], config);
+    return { url, request_id: null, seed: options.seed ?? null };
+  },
+
+  async edit(imageUrl, prompt, options, config) {
+    options.onLog?.("mock: rendering placeholder edit");
+    const url = mockImageUrl("edit", [imageUrl, prompt, options.variant, options.strength], config);
+    return { url, request_id: null, seed: null };
+  },
+
+  async loraGenerate(prompt, loraUrl, options, config) {
+    options.onLog?.("mock: rendering placeholder LoRA image");
+    const url = mockImageUrl("lora", [loraUrl, prompt, options.loraScale, options.seed], config);
+    return { url, request_id: null, seed: options.seed ?? null };
+  },
+};
+
+// ============================================
+// PROVIDER SELECTION
+// ============================================
+const PROVIDERS = {
+  fal: falProvider,
+  mock: mockProvider,
+};
+
+async function getProvider() {
+  const config = await loadProvidersConfig();
+  const name = process.env.IMAGE_PROVIDER || config.default_provider;
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown image provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return { provider, config };
+}
+
+/**
+ * Name a call for the cost ledger: the fal endpoint, or the provider name
+ * for providers that don't bill (e.g. "mock")
+ */
+function getBillingModel(provider, config, operation) {
+  return provider.name === "fal" ? config.fal[`${operation}_endpoint`] : provider.name;
+}
+
+function getImageCostEstimate(provider, config, operation) {
+  return {
+    kind: "image",
+    model: getBillingModel(provider, config, operation),
+    units: 1,
+    unit: "images",
+  };
+}
+
+/**
+ * Run a provider call through the generation cache and cost ledger, and
+ * describe how the image was made so downloadImage can write its
+ * provenance sidecar. The record travels with the URL rather than being
+ * looked up by it: identical requests share one URL.
+ *
+ * @param {string} operation - "generate", "edit" or "lora"
+ * @param {Object} request - Cache request { model, prompt, reference, params, seed, variant }
+ * @param {Function} call - async () => { url, request_id, seed } from the provider
+ * @param {Object} options - refresh, onLog
+ * @returns {Promise<{ url: string, generation: Object }>} Image URL (data URL
+ *   when cached) and its generation record (see provenance.js)
+ */
+async function runGeneration(provider, config, operation, request, call, options) {
+  const estimate = getImageCostEstimate(provider, config, operation);
+  let result = null;
+  const url = await withGenerationCache(request, async () => {
+    result = await withCostTracking(estimate, call);
+    return result.url;
+  }, options);
+
+  const { phase = null, exercise = null } = getCostContext();
+  const generation = {
+    operation,
+    provider: provider.name,
+    model: request.model,
+    prompt: request.prompt,
+    negative_prompt: request.params.negativePrompt ?? null,
+    reference: hashReference(request.reference),
+    strength: request.params.strength ?? null,
+    seed: result?.seed ?? request.seed ?? null,
+    variant: request.variant ?? null,
+    params: request.params,
+    request_id: result?.request_id ?? null,
+    // A cache hit costs nothing and has no new provider request
+    cached: result === null,
+    cache_key: getCacheMode() === "off" ? null : getCacheKey(request),
+    usd: result ? (await estimateCost(estimate)).usd : 0,
+    phase,
+    exercise,
+    generated_at: new Date().toISOString(),
+  };
+  return { url, generation };
+}
+
+/**
+ * Get the name of the active image provider
+ * @returns {Promise<string>} Provider name (e.g., "fal", "mock")
+ */
+export async function getProviderName() {
+  const { provider } = await getProvider();
+  return provider.name;
+}
+
+/**
+ * Check the environment needed by the active image provider
+ * @returns {Promise<string[]>} List of problems (empty if ready)
+ */
+export async function getProviderEnvErrors() {
+  const { provider } = await getProvider();
+  if (provider.name === "fal" && !process.env.FAL_KEY) {
+    return ["FAL_KEY not found in .env file (or set IMAGE_PROVIDER=mock to run offline)"];
+  }
+  return [];
+}
+
+/**
+ * fal.ai endpoint an operation is sent to, whichever provider is active,
+ * so prompts are built for the same model offline as in production
+ * @param {"generate"|"edit"|"lora"} operation
+ * @returns {Promise<string>} e.g. "fal-ai/nano-banana/edit"
+ */
+export async function getEndpoint(operation) {
+  const config = await loadProvidersConfig();
+  return config.fal[`${operation}_endpoint`];
+}
+
+/**
+ * Generate an image from a text prompt
+ * @param {string} prompt - Full generation prompt
+ * @param {Object} options - negativePrompt, imageSize, guidanceScale, safetyTolerance, seed, variant, refresh, onLog,
+ *   model (fal endpoint overriding providers.json generate_endpoint)
+ * @returns {Promise<{ url: string, generation: Object }>} URL of the generated image (may be a
+ *   data URL) and its generation record, to pass to downloadImage
+ */
+export async function generateImage(prompt, options = {}) {
+  const { provider, config: providerConfig } = await getProvider();
+  const config = options.model && provider.name === "fal"
+    ? { ...providerConfig, fal: { ...providerConfig.fal, generate_endpoint: options.model } }
+    : providerConfig;
+  return runGeneration(provider, config, "generate", {
+    model: getBillingModel(provider, config, "generate"),
+    prompt,
+    params: {
+      negativePrompt: options.negativePrompt,
+      imageSize: options.imageSize,
+      guidanceScale: options.guidanceScale,
+      safetyTolerance: options.safetyTolerance,
+    },
+    seed: options.seed,
+    variant: options.variant,
+  }, () => provider.generate(prompt, options, config), options);
+}
+
+/**
+ * Edit a reference image with a prompt (image-to-image)
+ * @param {string} imageUrl - Reference image URL or data URL
+ * @param {string} prompt - Edit prompt
+ * @param {Object} options - strength (0-1, how far to move from the reference), variant, refresh, onLog
+ * @returns {Promise<{ url: string, generation: Object }>} URL of the edited image (may be a
+ *   data URL) and its generation record, to pass to downloadImage
+ */
+export async function editImage(imageUrl, prompt, options = {}) {
+  const { provider, config } = await getProvider();
+  // Not sent to endpoints that ignore it, so the cache and provenance don't record it either
+  const editOptions = editTakesStrength(config) ? options : { ...options, strength: undefined };
+  return runGeneration(provider, config, "edit", {
+    model: getBillingModel(provider, config, "edit"),
+    prompt,
+    reference: imageUrl,
+    params: {
+      strength: editOptions.strength,
+    },
+    variant: options.variant,
+  }, () => provider.edit(imageUrl, prompt, editOptions, config), editOptions);
+}
+
+/**
+ * Whether editImage sends strength to the configured edit endpoint
+ * @returns {Promise<boolean>} false for endpoints that ignore it (e.g. fal-ai/nano-banana/edit)
+ */
+export async function editUsesStrength() {
+  const { config } = await getProvider();
+  return editTakesStrength(config);
+}
+
+/**
+ * Generate an image using a trained LoRA
+ * @param {string} prompt - Prompt including the trigger word
+ * @param {string} loraUrl - URL of the LoRA weights
+ * @param {Object} options - loraScale, imageSize, guidanceScale, seed, variant, refresh, onLog
+ * @returns {Promise<{ url: string, generation: Object }>} URL of the generated image (may be a
+ *   data URL) and its generation record, to pass to downloadImage
+ */
+export async function generateLoraImage(prompt, loraUrl, options = {}) {
+  const { provider, config } = await getProvider();
+  return runGeneration(provider, config, "lora", {
+    model: getBillingModel(provider, config, "lora"),
+    prompt,
+    params: {
+      loraUrl,
+      loraScale: options.loraScale,
+      imageSize: options.imageSize,
+      guidanceScale: options.guidanceScale,
+    },
+    seed: options.seed,
+    variant: options.variant,
+  }, () => provider.loraGenerate(prompt, loraUrl, options, config), options);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default {
+  generateImage,
+  editImage,
+  generateLoraImage,
+  getProviderName,
+  getProviderEnvErrors,
+  getEndpoint,
+  editUsesStrength,
+};
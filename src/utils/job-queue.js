@@ -0,0 +1,132 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+
+// ============================================
+// JOB QUEUE
+// ============================================
+
+/**
+ * In-process queue for long-running work started from the gallery.
+ * Jobs run at most `concurrency` at a time; every state change and log
+ * line is emitted as an "update" event carrying a job snapshot, which
+ * the gallery forwards to browsers over Server-Sent Events.
+ */
+export class JobQueue extends EventEmitter {
+  constructor({ concurrency = 1, historyLimit = 200 } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.historyLimit = historyLimit;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Job type shown in the UI (e.g. "regenerate")
+   * @param {Object} params - Inputs recorded on the job
+   * @param {Function} run - async ({ log, progress }) => result
+   * @returns {Object} Job snapshot
+   */
+  add(type, params, run) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: "queued",
+      progress: 0,
+      log: [],
+      result: null,
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push({ job, run });
+    this.trimHistory();
+    this.emitUpdate(job);
+    this.drain();
+    return this.snapshot(job);
+  }
+
+  /**
+   * Cancel a job that has not started yet
+   * @param {string} id - Job id
+   * @returns {boolean} True if the job was cancelled
+   */
+  cancel(id) {
+    const index = this.pending.findIndex(entry => entry.job.id === id);
+    if (index === -1) return false;
+    const [{ job }] = this.pending.splice(index, 1);
+    job.status = "cancelled";
+    job.finished_at = new Date().toISOString();
+    this.emitUpdate(job);
+    return true;
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : null;
+  }
+
+  /**
+   * All known jobs, newest first
+   */
+  list() {
+    return [...this.jobs.values()].reverse().map(job => this.snapshot(job));
+  }
+
+  snapshot(job) {
+    return { ...job, log: [...job.log] };
+  }
+
+  emitUpdate(job) {
+    this.emit("update", this.snapshot(job));
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { job, run } = this.pending.shift();
+      this.running++;
+      this.execute(job, run).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async execute(job, run) {
+    job.status = "running";
+    job.started_at = new Date().toISOString();
+    this.emitUpdate(job);
+
+    const log = (message) => {
+      job.log.push(message);
+      this.emitUpdate(job);
+    };
+    const progress = (fraction) => {
+      job.progress = Math.max(0, Math.min(1, fraction));
+      this.emitUpdate(job);
+    };
+
+    try {
+      job.result = await run({ log, progress });
+      job.status = "done";
+      job.progress = 1;
+    } catch (error) {
+      job.status = "failed";
+      job.error = error.message;
+    }
+    job.finished_at = new Date().toISOString();
+    this.emitUpdate(job);
+  }
+
+  // Forget the oldest finished jobs beyond historyLimit
+  trimHistory() {
+    const finished = [...this.jobs.values()].filter(job => job.finished_at);
+    for (const job of finished.slice(0, Math.max(0, this.jobs.size - this.historyLimit))) {
+      this.jobs.delete(job.id);
+    }
+  }
+}
@@ -0,0 +1,137 @@
+import fs from "fs/promises";
+import path from "path";
+import { getCharacterOutputDir } from "./character.js";
+
+// The active character's output root (output/ for the default character).
+// Image keys stay "/output/..." whichever character is active.
+export const OUTPUT_DIR = getCharacterOutputDir();
+
+// Folder and file names: no separators, no leading dot, no ".."
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// ============================================
+// ERRORS
+// ============================================
+
+/**
+ * Thrown when a request names a path that is malformed, outside
+ * output/, or missing. `status` is the HTTP status to answer with.
+ */
+export class PathError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PathError";
+    this.status = status;
+  }
+}
+
+// ============================================
+// RESOLVERS
+// ============================================
+
+/**
+ * Check a single path segment taken from a request (phase, folder, shot id...)
+ * @param {*} value - Candidate name
+ * @param {string} label - Field name for the error message
+ * @returns {string} The name, unchanged
+ * @throws {PathError} 400 if it could escape its directory
+ */
+export function assertSafeName(value, label = "name") {
+  if (typeof value !== "string" || !NAME_PATTERN.test(value) || value.includes("..")) {
+    throw new PathError(`Invalid ${label}: ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative !== "" && !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/**
+ * Join segments under output/ and refuse anything that lands outside it
+ * @param {...string} segments - Relative path segments
+ * @returns {string} Absolute path inside OUTPUT_DIR
+ * @throws {PathError} 400 on traversal attempts
+ */
+export function resolveOutputPath(...segments) {
+  for (const segment of segments) {
+    if (typeof segment !== "string" || segment.includes("\0")) {
+      throw new PathError("Invalid path");
+    }
+  }
+  const target = path.resolve(OUTPUT_DIR, ...segments);
+  if (!isInside(OUTPUT_DIR, target)) {
+    throw new PathError("Path escapes the output directory");
+  }
+  return target;
+}
+
+/**
+ * Resolve a path that must already exist, following symlinks so a link
+ * inside output/ can't point elsewhere
+ * @param {string} target - Absolute path from resolveOutputPath
+ * @param {string} kind - "file" or "directory"
+ * @returns {Promise<string>} The same path
+ * @throws {PathError} 404 if missing, 400 if it resolves outside output/
+ */
+export async function assertExisting(target, kind = "file") {
+  let real;
+  let stat;
+  try {
+    real = await fs.realpath(target);
+    stat = await fs.stat(real);
+  } catch {
+    throw new PathError(`Not found: ${path.relative(OUTPUT_DIR, target)}`, 404);
+  }
+  if (!isInside(await fs.realpath(OUTPUT_DIR), real)) {
+    throw new PathError("Path escapes the output directory");
+  }
+  if (kind === "file" ? !stat.isFile() : !stat.isDirectory()) {
+    throw new PathError(`Not a ${kind}: ${path.relative(OUTPUT_DIR, target)}`, 404);
+  }
+  return target;
+}
+
+// ============================================
+// IMAGE KEYS ("/output/<phase>/.../<file>.png")
+// ============================================
+
+/**
+ * Convert an absolute path under output/ to the key the gallery uses
+ * @param {string} absolutePath - Path on disk
+ * @returns {string} e.g. "/output/variations/squat/squat_01.png"
+ */
+export function toImageKey(absolutePath) {
+  return `/output/${path.relative(OUTPUT_DIR, absolutePath).split(path.sep).join("/")}`;
+}
+
+/**
+ * Resolve a gallery image key to a PNG path on disk
+ * @param {*} imageKey - Key from a request (a cache-busting ?query is ignored)
+ * @param {Object} options - phases (allowed first segments), mustExist (default true)
+ * @returns {Promise<{ filePath: string, key: string, segments: string[] }>}
+ * @throws {PathError} 400 for malformed or out-of-bounds keys, 404 if missing
+ */
+export async function resolveImageKey(imageKey, { phases = null, mustExist = true } = {}) {
+  if (typeof imageKey !== "string" || !imageKey.startsWith("/output/")) {
+    throw new PathError("image must be an /output/... path");
+  }
+
+  const key = imageKey.split("?")[0];
+  const segments = key.slice("/output/".length).split("/");
+  segments.forEach((segment) => assertSafeName(segment, "image path"));
+
+  if (!segments[segments.length - 1].toLowerCase().endsWith(".png")) {
+    throw new PathError("image must be a .png file");
+  }
+  if (phases && !phases.includes(segments[0])) {
+    throw new PathError(`Images from "${segments[0]}" are not allowed here`);
+  }
+
+  const filePath = resolveOutputPath(...segments);
+  if (mustExist) {
+    await assertExisting(filePath, "file");
+  }
+  return { filePath, key, segments };
+}
@@ -0,0 +1,94 @@
+import { EventEmitter } from "events";
+import { watch } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { OUTPUT_DIR, toImageKey } from "./output-paths.js";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// Generation writes a file in several chunks; wait for it to settle
+const DEBOUNCE_MS = 250;
+
+// Paths under output/ nobody needs to see live
+const IGNORED = [/^\.cache(\/|$)/, /^cassettes(\/|$)/, /^cost-ledger\.jsonl$/, /(^|\/)\.[^/]*$/, /\.tmp$/];
+
+// Deleted paths can't be stat'ed, so fall back to the name
+function getKind(relativePath, stat) {
+  if (/\.png$/i.test(relativePath)) return "image";
+  if (/\.jsonl?$/i.test(relativePath)) return "json";
+  if (stat ? stat.isDirectory() : !path.extname(relativePath)) return "directory";
+  return null;
+}
+
+// ============================================
+// OUTPUT WATCHER
+// ============================================
+
+/**
+ * Watches output/ recursively and emits one "change" event per settled
+ * file change: { type: "create" | "modify" | "delete", path, kind, mtime }
+ * where path is the "/output/..." key and kind is "image", "json" or
+ * "directory". The gallery forwards these to browsers over Server-Sent Events.
+ */
+export class OutputWatcher extends EventEmitter {
+  constructor({ root = OUTPUT_DIR, debounceMs = DEBOUNCE_MS } = {}) {
+    super();
+    this.root = root;
+    this.debounceMs = debounceMs;
+    this.pending = new Map();
+    this.watcher = null;
+  }
+
+  async start() {
+    await fs.mkdir(this.root, { recursive: true });
+    this.watcher = watch(this.root, { recursive: true }, (eventType, filename) => {
+      if (filename) this.schedule(eventType, filename.split(path.sep).join("/"));
+    });
+    // Running out of inotify watches shouldn't take the gallery down
+    this.watcher.on("error", (error) => {
+      console.error(`⚠️  Output watcher stopped: ${error.message}`);
+      this.stop();
+    });
+  }
+
+  stop() {
+    this.watcher?.close();
+    this.watcher = null;
+    for (const entry of this.pending.values()) clearTimeout(entry.timer);
+    this.pending.clear();
+  }
+
+  schedule(eventType, relativePath) {
+    if (IGNORED.some((pattern) => pattern.test(relativePath))) return;
+
+    // "rename" means created or deleted; once a path has seen one, keep it
+    const previous = this.pending.get(relativePath);
+    if (previous) clearTimeout(previous.timer);
+    const sawRename = eventType === "rename" || previous?.sawRename || false;
+
+    const timer = setTimeout(() => {
+      this.pending.delete(relativePath);
+      this.classify(relativePath, sawRename).catch(() => {});
+    }, this.debounceMs);
+    this.pending.set(relativePath, { timer, sawRename });
+  }
+
+  async classify(relativePath, sawRename) {
+    const absolutePath = path.join(this.root, relativePath);
+    let stat = null;
+    try {
+      stat = await fs.stat(absolutePath);
+    } catch {}
+
+    const kind = getKind(relativePath, stat);
+    if (!kind) return;
+
+    this.emit("change", {
+      type: !stat ? "delete" : sawRename ? "create" : "modify",
+      path: toImageKey(absolutePath),
+      kind,
+      mtime: stat ? stat.mtimeMs : null,
+    });
+  }
+}
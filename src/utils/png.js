@@ -0,0 +1,183 @@
+import zlib from "zlib";
+
+// ============================================
+// PNG ENCODING
+// ============================================
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createChunk(type, data) {
+  const typeBuffer = Buffer.from(type, "latin1");
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([typeBuffer, data])));
+  return Buffer.concat([length, typeBuffer, data, crc]);
+}
+
+/**
+ * Encode raw RGB pixels as a PNG file
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Buffer} pixels - RGB bytes, row-major, 3 bytes per pixel
+ * @returns {Buffer} PNG file contents
+ */
+export function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  // Each scanline is prefixed with filter type 0 (none)
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk("IHDR", header),
+    createChunk("IDAT", zlib.deflateSync(raw)),
+    createChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// ============================================
+// TEXT CHUNKS (tEXt / zTXt / iTXt)
+// ============================================
+const TEXT_CHUNKS = ["tEXt", "zTXt", "iTXt"];
+
+/**
+ * Split a PNG file into its chunks
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Array<{ type: string, data: Buffer, raw: Buffer }>} raw is the whole chunk, CRC included
+ * @throws {Error} If the buffer is not a PNG
+ */
+export function readPngChunks(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("Not a PNG file");
+  }
+  const chunks = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    chunks.push({
+      type,
+      data: buffer.subarray(offset + 8, offset + 8 + length),
+      raw: buffer.subarray(offset, offset + 12 + length),
+    });
+    offset += 12 + length;
+    if (type === "IEND") break;
+  }
+  return chunks;
+}
+
+function parseTextChunk({ type, data }) {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd < 1) return null;
+  const keyword = data.toString("latin1", 0, keywordEnd);
+
+  if (type === "tEXt") {
+    return [keyword, data.toString("latin1", keywordEnd + 1)];
+  }
+  if (type === "zTXt") {
+    return [keyword, zlib.inflateSync(data.subarray(keywordEnd + 2)).toString("latin1")];
+  }
+
+  // iTXt: keyword, compression flag, method, language tag, translated keyword, text
+  const compressed = data[keywordEnd + 1] === 1;
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = data.indexOf(0, languageEnd + 1);
+  if (languageEnd < 0 || translatedEnd < 0) return null;
+  const text = data.subarray(translatedEnd + 1);
+  return [keyword, (compressed ? zlib.inflateSync(text) : text).toString("utf-8")];
+}
+
+/**
+ * Read the text metadata embedded in a PNG
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Object} Keyword → text (later chunks win on repeated keywords)
+ */
+export function readPngText(buffer) {
+  const fields = {};
+  for (const chunk of readPngChunks(buffer)) {
+    if (!TEXT_CHUNKS.includes(chunk.type)) continue;
+    try {
+      const entry = parseTextChunk(chunk);
+      if (entry) fields[entry[0]] = entry[1];
+    } catch {
+      // A corrupt text chunk shouldn't hide the rest
+    }
+  }
+  return fields;
+}
+
+function createTextChunk(keyword, text) {
+  // tEXt only holds Latin-1; anything else goes in an uncompressed iTXt
+  if (/^[\x20-\x7e\xa0-\xff\n]*$/.test(text)) {
+    return createChunk("tEXt", Buffer.concat([Buffer.from(keyword, "latin1"), Buffer.from([0]), Buffer.from(text, "latin1")]));
+  }
+  return createChunk("iTXt", Buffer.concat([
+    Buffer.from(keyword, "latin1"),
+    Buffer.from([0, 0, 0, 0, 0]), // null, no compression, method 0, empty language, empty translated keyword
+    Buffer.from(text, "utf-8"),
+  ]));
+}
+
+/**
+ * Embed text metadata in a PNG. Existing text chunks with the same
+ * keywords are replaced; null/undefined values are left out.
+ *
+ * @param {Buffer} buffer - PNG file contents
+ * @param {Object} fields - Keyword (1-79 Latin-1 characters) → value
+ * @returns {Buffer} New PNG file contents
+ */
+export function writePngText(buffer, fields) {
+  const entries = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([keyword, value]) => [keyword, String(value)]);
+  for (const [keyword] of entries) {
+    if (!/^[\x20-\x7e\xa1-\xff]{1,79}$/.test(keyword)) {
+      throw new Error(`Invalid PNG text keyword: ${JSON.stringify(keyword)}`);
+    }
+  }
+
+  const replaced = new Set(entries.map(([keyword]) => keyword));
+  const parts = [PNG_SIGNATURE];
+  for (const chunk of readPngChunks(buffer)) {
+    if (TEXT_CHUNKS.includes(chunk.type)) {
+      const keywordEnd = chunk.data.indexOf(0);
+      if (replaced.has(chunk.data.toString("latin1", 0, keywordEnd))) continue;
+    }
+    if (chunk.type === "IEND") {
+      parts.push(...entries.map(([keyword, value]) => createTextChunk(keyword, value)));
+    }
+    parts.push(chunk.raw);
+  }
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,147 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getCharacter } from "./character.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const templatesPath = path.join(__dirname, "../../config/prompt-templates.json");
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// Templates in config/prompt-templates.json:
+//   anchor    → phase 1 text-to-image
+//   variation → phase 2 pose edits, rendered only by phase2-variations.js
+//               (phase 2, gallery and rejection regenerations)
+//   shot      → phase 4 shot prompts, re-rendered by phase 6 after refinement
+export const TEMPLATE_KINDS = ["anchor", "variation", "shot"];
+
+let TEMPLATES = null;
+
+async function loadTemplates() {
+  if (!TEMPLATES) {
+    const data = await fs.readFile(templatesPath, "utf-8");
+    TEMPLATES = JSON.parse(data);
+  }
+  return TEMPLATES;
+}
+
+/**
+ * Thrown when a prompt is still over the model's max_length after every
+ * trimmable slot has been emptied
+ */
+export class PromptTooLongError extends Error {
+  constructor(kind, model, length, maxLength) {
+    super(`${kind} prompt for ${model} is ${length} characters, over the ${maxLength} limit even after trimming (shorten the pose or the character profile)`);
+    this.name = "PromptTooLongError";
+    this.length = length;
+    this.maxLength = maxLength;
+  }
+}
+
+// ============================================
+// SLOTS
+// ============================================
+
+/**
+ * Slots that come from the character profile. Every prompt shares them, so
+ * editing fixed_elements (e.g. the shorts colour) changes every phase's prompts.
+ * @param {Object} character - Character profile
+ * @returns {Object} { character, background, style, exclusions }
+ */
+export function getCharacterSlots(character = getCharacter()) {
+  const { background = "", ...elements } = character.fixed_elements || {};
+  return {
+    character: [character.subject, ...Object.values(elements)].filter(Boolean).join(", "),
+    background,
+    style: (character.style_keywords || []).join(", "),
+    exclusions: character.edit_exclusions || "",
+  };
+}
+
+/**
+ * Character text for training captions: the subject and fixed elements every
+ * prompt uses, so a fixed_elements change reaches phase 3 and dataset exports
+ * as well as the image prompts
+ * @param {Object} character - Character profile
+ * @returns {string} e.g. "Anatomical muscle mannequin figure, ..., wearing olive ... shorts, ..."
+ */
+export function getCharacterCaption(character = getCharacter()) {
+  const { character: description, background } = getCharacterSlots(character);
+  return [description, background].filter(Boolean).join(", ");
+}
+
+function formatMuscles(muscles, format) {
+  if (!muscles || muscles.length === 0) return "";
+  return format.replace("{muscles}", muscles.join(" and "));
+}
+
+function fill(template, slots) {
+  return template
+    .replace(/\{(\w+)\}/g, (match, name) => (slots[name] || "").trim())
+    .replace(/\s*,(\s*,)+/g, ",")
+    .replace(/^[\s,]+|[\s,]+$/g, "");
+}
+
+/**
+ * Empty trimmable slots one comma-separated item at a time, in trim_order,
+ * until the prompt fits
+ */
+function fitToLength(template, slots, trimOrder, maxLength) {
+  const trimmed = { ...slots };
+  const dropped = [];
+  let prompt = fill(template, trimmed);
+
+  for (const name of trimOrder) {
+    while (prompt.length > maxLength && trimmed[name]) {
+      const items = trimmed[name].split(/,\s*/);
+      dropped.push(items.pop());
+      trimmed[name] = items.join(", ");
+      prompt = fill(template, trimmed);
+    }
+  }
+  return { prompt, dropped };
+}
+
+// ============================================
+// RENDER
+// ============================================
+
+/**
+ * Build an image prompt from a template
+ * @param {string} kind - One of TEMPLATE_KINDS
+ * @param {Object} slots - pose (required), camera, muscles (array of names);
+ *   character, background, style and exclusions override the profile's
+ * @param {Object} options
+ * @param {string} options.model - Endpoint the prompt is for; picks the template and max_length
+ * @param {Function} options.onLog - Told which items were trimmed to fit
+ * @returns {Promise<string>} The prompt
+ * @throws {PromptTooLongError} If it can't be trimmed to max_length
+ */
+export async function renderPrompt(kind, slots, { model = "default", onLog } = {}) {
+  const config = await loadTemplates();
+  const modelConfig = config.models[model] || {};
+  const template = modelConfig.templates?.[kind] ?? config.models.default.templates[kind];
+  if (!template) {
+    throw new Error(`No "${kind}" prompt template in config/prompt-templates.json`);
+  }
+  const maxLength = modelConfig.max_length ?? config.models.default.max_length;
+
+  const values = {
+    ...getCharacterSlots(),
+    camera: config.camera_defaults?.[kind] || "",
+    ...slots,
+  };
+  values.muscles = formatMuscles(slots.muscles, config.muscles_format);
+
+  const { prompt, dropped } = fitToLength(template, values, config.trim_order || [], maxLength);
+  if (prompt.length > maxLength) {
+    throw new PromptTooLongError(kind, model, prompt.length, maxLength);
+  }
+  if (dropped.length > 0) {
+    onLog?.(`✂️  Trimmed to ${maxLength} chars for ${model}: dropped "${dropped.join('", "')}"`);
+  }
+  return prompt;
+}
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { OUTPUT_DIR, toImageKey } from "./output-paths.js";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// Every generated image gets <name>.provenance.json next to it:
+// { file, sha256, operation, provider, model, prompt, negative_prompt,
+//   reference, strength, seed, variant, params, request_id, cached,
+//   cache_key, usd, phase, exercise, generated_at, anchor, pose, saved_at }
+export const PROVENANCE_SUFFIX = ".provenance.json";
+
+// Directories under output/ that never hold originals worth tracing to
+const SKIPPED_DIRS = new Set([".cache", "cassettes"]);
+
+function sha256(buffer) {
+  return `sha256:${crypto.createHash("sha256").update(buffer).digest("hex")}`;
+}
+
+/**
+ * Path of the sidecar for an image
+ * @param {string} imagePath - Absolute image path
+ */
+export function getProvenancePath(imagePath) {
+  return imagePath.replace(/\.png$/i, "") + PROVENANCE_SUFFIX;
+}
+
+// ============================================
+// RECORD
+// ============================================
+
+/**
+ * Write the sidecar for a freshly saved image
+ * @param {Object} generation - Record returned by an image-provider call
+ * @param {string} filepath - Absolute path it was saved to
+ * @param {Buffer} buffer - Saved bytes (after metadata embedding)
+ * @param {Object|null} extra - anchor and pose from the phase that saved it
+ * @returns {Promise<Object>} Sidecar contents
+ */
+export async function saveProvenance(generation, filepath, buffer, extra = null) {
+  const provenance = {
+    file: toImageKey(filepath),
+    sha256: sha256(buffer),
+    ...generation,
+    anchor: extra?.anchor ?? null,
+    pose: extra?.pose ?? null,
+    saved_at: new Date().toISOString(),
+  };
+  await fs.writeFile(getProvenancePath(filepath), JSON.stringify(provenance, null, 2));
+  return provenance;
+}
+
+/**
+ * Read an image's sidecar
+ * @param {string} imagePath - Absolute image path
+ * @returns {Promise<Object|null>} Sidecar contents, or null if there is none
+ */
+export async function readProvenance(imagePath) {
+  try {
+    return JSON.parse(await fs.readFile(getProvenancePath(imagePath), "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+// ============================================
+// TRACE
+// ============================================
+
+async function findSidecars(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const found = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && !SKIPPED_DIRS.has(entry.name)) {
+      found.push(...(await findSidecars(entryPath)));
+    } else if (entry.name.endsWith(PROVENANCE_SUFFIX)) {
+      found.push(entryPath);
+    }
+  }
+  return found;
+}
+
+/**
+ * Map image hash → generated image path, built from every sidecar in output/
+ */
+async function buildHashIndex() {
+  const index = new Map();
+  for (const sidecarPath of await findSidecars(OUTPUT_DIR)) {
+    try {
+      const { sha256: hash } = JSON.parse(await fs.readFile(sidecarPath, "utf-8"));
+      const imagePath = sidecarPath.slice(0, -PROVENANCE_SUFFIX.length) + ".png";
+      if (hash && !index.has(hash)) index.set(hash, imagePath);
+    } catch {}
+  }
+  return index;
+}
+
+/**
+ * Walk back from an image to the anchor and prompt it came from. Copies
+ * without a sidecar (anchors-selected/, exported datasets) are matched to
+ * the generated original by hash, and each edit is followed to its
+ * reference image the same way.
+ *
+ * @param {string} imagePath - Absolute image path
+ * @returns {Promise<Array>} Steps from the image back to its root:
+ *   { file, provenance } for generated images, { file, copy_of } for copies,
+ *   { file: null, reference } when a reference image can't be found
+ */
+export async function traceProvenance(imagePath) {
+  const index = await buildHashIndex();
+  const chain = [];
+  const visited = new Set();
+  let current = imagePath;
+
+  while (current && !visited.has(current)) {
+    visited.add(current);
+    const provenance = await readProvenance(current);
+
+    if (!provenance) {
+      const original = index.get(sha256(await fs.readFile(current)));
+      if (original && original !== current) {
+        chain.push({ file: toImageKey(current), copy_of: toImageKey(original) });
+        current = original;
+        continue;
+      }
+      chain.push({ file: toImageKey(current), provenance: null });
+      break;
+    }
+
+    chain.push({ file: toImageKey(current), provenance });
+    if (!provenance.reference) break;
+
+    const parent = index.get(provenance.reference);
+    if (!parent) {
+      chain.push({ file: null, reference: provenance.reference });
+      break;
+    }
+    current = parent;
+  }
+
+  return chain;
+}
@@ -0,0 +1,138 @@
+import fs from "fs/promises";
+import path from "path";
+import { OUTPUT_DIR } from "./output-paths.js";
+
+export const REJECTIONS_PATH = path.join(OUTPUT_DIR, "rejections.json");
+
+// pending     → marked in the gallery, waiting for phase2-rejected-regen
+// regenerated → a re-engineered prompt produced a new image
+// applied     → that prompt was folded back into config/variations.json
+export const REJECTION_STATUSES = ["pending", "regenerated", "applied"];
+
+const MAX_REASON_LENGTH = 500;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check a rejection from the gallery
+ * @param {Object} body - { phase, variation, reason }
+ * @returns {string[]} Problems (empty if valid)
+ */
+export function validateRejectionInput(body) {
+  const errors = [];
+  if (typeof body?.phase !== "string" || !body.phase) {
+    errors.push("phase is required");
+  }
+  if (typeof body?.variation !== "string" || !body.variation) {
+    errors.push("variation is required");
+  }
+  if (typeof body?.reason !== "string" || !body.reason.trim() || body.reason.length > MAX_REASON_LENGTH) {
+    errors.push(`reason must be a non-empty string (max ${MAX_REASON_LENGTH} characters)`);
+  }
+  return errors;
+}
+
+// ============================================
+// STORAGE
+// ============================================
+// output/rejections.json, keyed by variation id:
+// { variation, phase, reason, status, rejected_at, attempts: [{ reason, before, after, rationale, image, regenerated_at }] }
+
+/**
+ * Read every rejection
+ * @returns {Promise<Object>} Map of variation id → rejection
+ */
+export async function loadRejections() {
+  try {
+    const data = await fs.readFile(REJECTIONS_PATH, "utf-8");
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+}
+
+// Serialise read-modify-write cycles so the gallery and the regen command don't drop updates
+let writeQueue = Promise.resolve();
+
+function updateRejections(fn) {
+  const next = writeQueue.then(async () => {
+    const rejections = await loadRejections();
+    const result = await fn(rejections);
+    await fs.mkdir(path.dirname(REJECTIONS_PATH), { recursive: true });
+    await fs.writeFile(REJECTIONS_PATH, JSON.stringify(rejections, null, 2));
+    return result;
+  });
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Mark a variation as rejected. Rejecting it again (e.g. after a
+ * regeneration that still missed) puts it back to pending and keeps the
+ * earlier attempts, so the next re-engineering can learn from them.
+ *
+ * @param {string} variationId - Variation folder, e.g. "barbell_row_down"
+ * @param {Object} fields - { phase, reason }
+ * @returns {Promise<Object>} Saved rejection
+ */
+export function rejectVariation(variationId, { phase, reason }) {
+  return updateRejections((rejections) => {
+    const current = rejections[variationId];
+    rejections[variationId] = {
+      variation: variationId,
+      phase,
+      reason: reason.trim(),
+      status: "pending",
+      rejected_at: new Date().toISOString(),
+      attempts: current?.attempts || [],
+    };
+    return rejections[variationId];
+  });
+}
+
+/**
+ * Withdraw a rejection
+ * @returns {Promise<boolean>} Whether there was one to remove
+ */
+export function clearRejection(variationId) {
+  return updateRejections((rejections) => {
+    const existed = variationId in rejections;
+    delete rejections[variationId];
+    return existed;
+  });
+}
+
+/**
+ * Record a re-engineered regeneration and mark the rejection regenerated
+ * @param {string} variationId - Variation id
+ * @param {Object} attempt - { before, after, rationale, image }
+ * @returns {Promise<Object>} Updated rejection
+ */
+export function recordRejectionAttempt(variationId, attempt) {
+  return updateRejections((rejections) => {
+    const rejection = rejections[variationId];
+    if (!rejection) {
+      throw new Error(`No rejection recorded for ${variationId}`);
+    }
+    rejection.attempts.push({ reason: rejection.reason, ...attempt, regenerated_at: new Date().toISOString() });
+    rejection.status = "regenerated";
+    return rejection;
+  });
+}
+
+/**
+ * Mark rejections whose latest fix was folded into config/variations.json
+ * @param {string[]} variationIds - Variation ids
+ */
+export function markRejectionsApplied(variationIds) {
+  return updateRejections((rejections) => {
+    for (const id of variationIds) {
+      if (rejections[id]) {
+        rejections[id].status = "applied";
+        rejections[id].applied_at = new Date().toISOString();
+      }
+    }
+  });
+}
@@ -0,0 +1,298 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { saveProvenance } from "./provenance.js";
+import { buildImageMetadata, embedImageMetadata } from "./image-metadata.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load resilience settings from providers config
+const providersPath = path.join(__dirname, "../../config/providers.json");
+let RESILIENCE_CONFIG = null;
+
+const DEFAULTS = {
+  max_retries: 4,
+  base_delay_ms: 1000,
+  max_delay_ms: 30000,
+  timeout_ms: 180000,
+  download_timeout_ms: 60000,
+  breaker_failure_threshold: 5,
+  breaker_cooldown_ms: 60000,
+};
+
+async function loadResilienceConfig() {
+  if (!RESILIENCE_CONFIG) {
+    const data = await fs.readFile(providersPath, "utf-8");
+    RESILIENCE_CONFIG = { ...DEFAULTS, ...JSON.parse(data).resilience };
+  }
+  return RESILIENCE_CONFIG;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ============================================
+// ERROR CLASSIFICATION
+// ============================================
+
+/**
+ * Thrown when a call exceeds its per-call timeout
+ */
+export class TimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`${label} timed out after ${Math.round(timeoutMs / 1000)}s`);
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * Thrown when a download is not a valid PNG image
+ */
+export class DownloadError extends Error {
+  constructor(message, { status, retryable = false } = {}) {
+    super(message);
+    this.name = "DownloadError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+]);
+
+/**
+ * Decide whether an error is worth retrying.
+ * Retryable: 408, 429, 5xx, timeouts and network failures.
+ * Everything else (bad input, auth, validation) fails immediately.
+ *
+ * @param {Error} error - Error thrown by a provider call or download
+ * @returns {boolean} True if the call should be retried
+ */
+export function isRetryableError(error) {
+  if (error instanceof TimeoutError) return true;
+  if (typeof error.retryable === "boolean") return error.retryable;
+
+  const status = error.status ?? error.statusCode;
+  if (typeof status === "number") {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  const code = error.code ?? error.cause?.code;
+  if (code && NETWORK_ERROR_CODES.has(code)) return true;
+
+  // Node's fetch reports network failures as TypeError("fetch failed")
+  return error instanceof TypeError && /fetch failed/i.test(error.message);
+}
+
+// ============================================
+// CIRCUIT BREAKER
+// ============================================
+
+/**
+ * Opens after a run of consecutive retryable failures. While open, callers
+ * wait out the cooldown instead of hammering a provider that is down, so a
+ * batch pauses rather than burning through every remaining shot.
+ */
+export class CircuitBreaker {
+  constructor(name, { failureThreshold, cooldownMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.consecutiveFailures = 0;
+    this.openUntil = 0;
+  }
+
+  isOpen() {
+    return Date.now() < this.openUntil;
+  }
+
+  async waitUntilClosed() {
+    if (!this.isOpen()) return;
+    const waitMs = this.openUntil - Date.now();
+    console.log(`    ⛔ ${this.name} appears to be down, pausing ${Math.ceil(waitMs / 1000)}s before retrying...`);
+    await sleep(waitMs);
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.openUntil = 0;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (this.consecutiveFailures >= this.failureThreshold) {
+      this.openUntil = Date.now() + this.cooldownMs;
+    }
+  }
+}
+
+const breakers = new Map();
+
+async function getBreaker(name) {
+  if (!breakers.has(name)) {
+    const config = await loadResilienceConfig();
+    breakers.set(name, new CircuitBreaker(name, {
+      failureThreshold: config.breaker_failure_threshold,
+      cooldownMs: config.breaker_cooldown_ms,
+    }));
+  }
+  return breakers.get(name);
+}
+
+// ============================================
+// RESILIENT CALL WRAPPER
+// ============================================
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(attempt, config) {
+  const ceiling = Math.min(config.max_delay_ms, config.base_delay_ms * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+async function withTimeout(fn, label, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(label, timeoutMs));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run a provider call with retries, jittered backoff, a per-call timeout
+ * and a shared circuit breaker
+ *
+ * @param {string} label - Human-readable name for logs (e.g. the endpoint)
+ * @param {Function} fn - async (abortSignal) => result
+ * @param {Object} options - breaker (name), timeoutMs, maxRetries
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withResilience(label, fn, options = {}) {
+  const config = await loadResilienceConfig();
+  const breaker = await getBreaker(options.breaker || "provider");
+  const timeoutMs = options.timeoutMs ?? config.timeout_ms;
+  const maxRetries = options.maxRetries ?? config.max_retries;
+
+  for (let attempt = 0; ; attempt++) {
+    await breaker.waitUntilClosed();
+
+    try {
+      const result = await withTimeout(fn, label, timeoutMs);
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      if (!isRetryableError(error)) {
+        throw error;
+      }
+
+      breaker.recordFailure();
+
+      if (attempt >= maxRetries) {
+        error.message = `${error.message} (gave up after ${attempt + 1} attempts)`;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, config);
+      console.log(`    ↻ ${label} failed (${error.status || error.code || error.name}: ${error.message.substring(0, 60)}), retry ${attempt + 1}/${maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+// ============================================
+// VERIFIED DOWNLOADS
+// ============================================
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Check that a buffer starts with the PNG signature
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True for PNG data
+ */
+export function isPng(buffer) {
+  return buffer.length > PNG_MAGIC.length && buffer.subarray(0, PNG_MAGIC.length).equals(PNG_MAGIC);
+}
+
+async function fetchPng(url, signal) {
+  const response = await fetch(url, { signal });
+
+  if (!response.ok) {
+    throw new DownloadError(`Download failed with HTTP ${response.status}`, {
+      status: response.status,
+      retryable: response.status === 408 || response.status === 429 || response.status >= 500,
+    });
+  }
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!contentType.startsWith("image/")) {
+    throw new DownloadError(`Expected an image but got content-type "${contentType || "none"}"`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (!isPng(buffer)) {
+    throw new DownloadError(`Downloaded ${buffer.length} bytes of ${contentType} that are not a PNG`);
+  }
+  return buffer;
+}
+
+/**
+ * Download an image, verifying status, content-type and PNG magic bytes
+ * before anything is written. Writes via a temp file so a partial or
+ * invalid download never replaces an existing image; the temp name is unique
+ * per call, so concurrent writers to one path don't rename each other's file. Images from an
+ * image provider get their prompt, model, seed, anchor and pipeline version
+ * embedded as PNG text (see image-metadata.js) and a provenance sidecar
+ * (see provenance.js).
+ *
+ * @param {string} url - Image URL (http(s) or data URL)
+ * @param {string} filepath - Destination path
+ * @param {Object} options - generation: the record an image-provider call returned with the URL;
+ *   metadata: { anchor, pose, character } to embed alongside it
+ * @returns {Promise<Buffer>} The PNG bytes as written
+ */
+export async function downloadImage(url, filepath, { generation = null, metadata = null } = {}) {
+  const config = await loadResilienceConfig();
+  const downloaded = await withResilience(
+    "download",
+    (signal) => fetchPng(url, signal),
+    { breaker: "download", timeoutMs: config.download_timeout_ms }
+  );
+
+  const buffer = generation || metadata
+    ? embedImageMetadata(downloaded, await buildImageMetadata(generation, metadata))
+    : downloaded;
+
+  const tempPath = `${filepath}.${process.pid}.${crypto.randomUUID()}.download`;
+  try {
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filepath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+  if (generation) {
+    await saveProvenance(generation, filepath, buffer, metadata);
+  }
+  return buffer;
+}
@@ -0,0 +1,171 @@
+import fs from "fs/promises";
+import { getEndpoint } from "./image-provider.js";
+import { renderPrompt } from "./prompt-templates.js";
+
+// ============================================
+// EDITABLE FIELDS
+// ============================================
+// prompt.json fields the gallery may change; everything else (shot_id,
+// tts_segment_index, visual_description...) stays as phase 4 wrote it
+export const EDITABLE_FIELDS = [
+  "engineered_prompt",
+  "anchor_image",
+  "highlighted_muscles",
+  "is_sequence_frame",
+  "sequence_name",
+  "sequence_order",
+  "sequence_total",
+];
+
+const MAX_PROMPT_LENGTH = 4000;
+const ANCHOR_PATTERN = /^output\/anchors-selected\/[A-Za-z0-9][A-Za-z0-9_-]*\.png$/;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check a prompt.json edit from the gallery
+ * @param {Object} changes - Subset of EDITABLE_FIELDS
+ * @param {Object} current - The shot's current prompt.json
+ * @param {string[]} anchorImages - Allowed anchor_image values
+ * @returns {string[]} Problems (empty if valid)
+ */
+export function validatePromptEdit(changes, current, anchorImages) {
+  const errors = [];
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return ["body must be an object of prompt.json fields"];
+  }
+
+  const unknown = Object.keys(changes).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`not editable: ${unknown.join(", ")} (editable: ${EDITABLE_FIELDS.join(", ")})`);
+  }
+  if (Object.keys(changes).length === 0) {
+    errors.push("no changes given");
+  }
+
+  if ("engineered_prompt" in changes &&
+      (typeof changes.engineered_prompt !== "string" || !changes.engineered_prompt.trim() ||
+       changes.engineered_prompt.length > MAX_PROMPT_LENGTH)) {
+    errors.push(`engineered_prompt must be a non-empty string (max ${MAX_PROMPT_LENGTH} characters)`);
+  }
+  if ("anchor_image" in changes &&
+      !(typeof changes.anchor_image === "string" && ANCHOR_PATTERN.test(changes.anchor_image) &&
+        anchorImages.includes(changes.anchor_image))) {
+    errors.push(`anchor_image must be one of: ${anchorImages.join(", ")}`);
+  }
+  if ("highlighted_muscles" in changes &&
+      !(Array.isArray(changes.highlighted_muscles) &&
+        changes.highlighted_muscles.every(m => typeof m === "string" && m.trim() && m.length <= 60))) {
+    errors.push("highlighted_muscles must be an array of non-empty strings (max 60 characters)");
+  }
+  if ("is_sequence_frame" in changes && typeof changes.is_sequence_frame !== "boolean") {
+    errors.push("is_sequence_frame must be true or false");
+  }
+
+  // Sequence fields are checked against the merged result so a partial edit stays consistent
+  const merged = { ...current, ...changes };
+  if (merged.is_sequence_frame) {
+    if (typeof merged.sequence_name !== "string" || !merged.sequence_name.trim()) {
+      errors.push("sequence frames need a sequence_name");
+    }
+    if (!isPositiveInteger(merged.sequence_order) || !isPositiveInteger(merged.sequence_total)) {
+      errors.push("sequence frames need integer sequence_order and sequence_total of 1 or more");
+    } else if (merged.sequence_order > merged.sequence_total) {
+      errors.push("sequence_order cannot be greater than sequence_total");
+    }
+  } else {
+    for (const field of ["sequence_name", "sequence_order", "sequence_total"]) {
+      if (field in changes && changes[field] !== null) {
+        errors.push(`${field} must be null unless is_sequence_frame is true`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ============================================
+// LOAD / SAVE
+// ============================================
+
+export async function loadShotPrompt(promptPath) {
+  const data = await fs.readFile(promptPath, "utf-8");
+  return JSON.parse(data);
+}
+
+/**
+ * Apply a validated edit to prompt.json. The previous values of every changed
+ * field go into prompt_history alongside the entries phase 6 writes, and a
+ * new engineered_prompt restarts phase 6's refinement count. New muscles in
+ * a templated shot update prompt_slots and re-render engineered_prompt,
+ * unless the prompt itself was edited too.
+ *
+ * @param {string} promptPath - Path to the shot's prompt.json
+ * @param {Object} changes - Validated subset of EDITABLE_FIELDS
+ * @param {string|null} note - Why the edit was made
+ * @returns {Promise<{ prompt: Object, changed: string[] }>}
+ * @throws {PromptTooLongError} If the re-rendered prompt can't be trimmed to fit
+ */
+export async function saveShotPromptEdit(promptPath, changes, note = null) {
+  const promptData = await loadShotPrompt(promptPath);
+
+  const normalized = { ...changes };
+  if (typeof normalized.engineered_prompt === "string") {
+    normalized.engineered_prompt = normalized.engineered_prompt.trim();
+  }
+  if (Array.isArray(normalized.highlighted_muscles)) {
+    normalized.highlighted_muscles = normalized.highlighted_muscles.map(m => m.trim());
+  }
+  if (normalized.is_sequence_frame === false) {
+    Object.assign(normalized, { sequence_name: null, sequence_order: null, sequence_total: null });
+  }
+
+  const findChanged = () => Object.keys(normalized).filter(
+    key => JSON.stringify(promptData[key] ?? null) !== JSON.stringify(normalized[key])
+  );
+  let changed = findChanged();
+  const handWritten = changed.includes("engineered_prompt");
+
+  if (promptData.prompt_slots && changed.includes("highlighted_muscles") && !handWritten) {
+    normalized.prompt_slots = { ...promptData.prompt_slots, muscles: normalized.highlighted_muscles };
+    normalized.engineered_prompt = await renderPrompt("shot", normalized.prompt_slots, {
+      model: await getEndpoint("edit"),
+    });
+    changed = findChanged();
+  }
+
+  if (changed.length === 0) {
+    return { prompt: promptData, changed };
+  }
+
+  promptData.prompt_history = promptData.prompt_history || [];
+  promptData.prompt_history.push({
+    iteration: promptData.validation_iteration || 0,
+    prompt: promptData.engineered_prompt,
+    source: "gallery",
+    edited_at: new Date().toISOString(),
+    previous: Object.fromEntries(changed.map(key => [key, promptData[key] ?? null])),
+    note: typeof note === "string" && note.trim() ? note.trim() : null,
+  });
+
+  for (const key of changed) {
+    promptData[key] = normalized[key];
+  }
+  if (changed.includes("engineered_prompt")) {
+    promptData.validation_iteration = 0;
+  }
+  if (handWritten) {
+    // A hand-written prompt no longer comes from the template; phase 6
+    // refines it as a whole instead of re-rendering from prompt_slots
+    promptData.prompt_slots = null;
+  }
+
+  await fs.writeFile(promptPath, JSON.stringify(promptData, null, 2));
+  return { prompt: promptData, changed };
+}
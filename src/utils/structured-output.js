@@ -0,0 +1,136 @@
+import Ajv from "ajv";
+
+const ajv = new Ajv({ allErrors: true });
+
+/**
+ * Thrown when Claude's response still fails schema validation after
+ * all repair attempts have been used
+ */
+export class StructuredOutputError extends Error {
+  constructor(schemaName, errors, rawText, attempts) {
+    super(`Claude returned invalid ${schemaName} JSON after ${attempts} attempt(s): ${errors.slice(0, 3).join("; ")}`);
+    this.name = "StructuredOutputError";
+    this.schemaName = schemaName;
+    this.errors = errors;
+    this.rawText = rawText;
+    this.attempts = attempts;
+  }
+}
+
+// ============================================
+// SHAPE → JSON SCHEMA
+// ============================================
+
+/**
+ * Convert a type string from config/exercise-prompts.json into a schema.
+ * Supported forms: "string", "boolean", "integer", "number (0-1)",
+ * "integer (3-5)", "string | null", "string - description"
+ */
+function typeStringToSchema(typeString) {
+  const withoutDescription = typeString.split(" - ")[0].trim();
+  const rangeMatch = withoutDescription.match(/\(([\d.]+)-([\d.]+)\)/);
+  const types = withoutDescription
+    .replace(/\(.*\)/, "")
+    .split("|")
+    .map(t => t.trim())
+    .filter(Boolean);
+
+  const schema = { type: types.length === 1 ? types[0] : types };
+  if (rangeMatch) {
+    schema.minimum = Number(rangeMatch[1]);
+    schema.maximum = Number(rangeMatch[2]);
+  }
+  return schema;
+}
+
+/**
+ * Convert an informal output_schema shape into a JSON Schema.
+ * Nullable fields ("string | null") are treated as optional, all other
+ * object keys are required.
+ *
+ * @param {*} shape - Shape from an output_schema block
+ * @returns {Object} JSON Schema
+ */
+export function shapeToJsonSchema(shape) {
+  if (typeof shape === "string") {
+    return typeStringToSchema(shape);
+  }
+
+  if (Array.isArray(shape)) {
+    return {
+      type: "array",
+      items: shape.length > 0 ? shapeToJsonSchema(shape[0]) : {},
+    };
+  }
+
+  const properties = {};
+  const required = [];
+  for (const [key, value] of Object.entries(shape)) {
+    properties[key] = shapeToJsonSchema(value);
+    const types = [].concat(properties[key].type);
+    if (!types.includes("null")) {
+      required.push(key);
+    }
+  }
+  return { type: "object", properties, required };
+}
+
+const validatorCache = new Map();
+
+/**
+ * Compile (and cache) a validator for a named output_schema shape
+ * @param {string} schemaName - Config section name, e.g. "research"
+ * @param {Object} shape - The output_schema block
+ * @returns {Function} Ajv validate function
+ */
+export function getValidator(schemaName, shape) {
+  if (!validatorCache.has(schemaName)) {
+    validatorCache.set(schemaName, ajv.compile(shapeToJsonSchema(shape)));
+  }
+  return validatorCache.get(schemaName);
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Extract JSON from a response that may contain markdown code blocks
+ */
+export function extractJson(text) {
+  // Try to extract from markdown code block first
+  const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (jsonMatch) {
+    return jsonMatch[1].trim();
+  }
+  // Otherwise return the text as-is
+  return text.trim();
+}
+
+/**
+ * Parse and validate Claude's text against a compiled schema
+ * @param {string} text - Raw response text
+ * @param {Function} validate - Ajv validate function
+ * @returns {{ data: Object|null, errors: string[] }} Parsed data or a list of problems
+ */
+export function parseStructured(text, validate) {
+  let data;
+  try {
+    data = JSON.parse(extractJson(text));
+  } catch (error) {
+    return { data: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  if (validate(data)) {
+    return { data, errors: [] };
+  }
+
+  const errors = validate.errors.map(e => {
+    const location = e.instancePath || "(root)";
+    if (e.keyword === "required") {
+      return `${location} is missing required field "${e.params.missingProperty}"`;
+    }
+    return `${location} ${e.message}`;
+  });
+  return { data: null, errors };
+}
@@ -2,6 +2,9 @@ import Anthropic from "@anthropic-ai/sdk";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createMessage, CassetteMissError } from "./claude-cassette.js";
+import { BudgetExceededError } from "./cost-ledger.js";
+import { getValidator, parseStructured } from "./structured-output.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -105,7 +108,7 @@ Respond with ONLY valid JSON (no markdown, no code blocks) in this exact format:
 }`;
 
   try {
-    const response = await anthropic.messages.create({
+    const response = await createMessage(anthropic, {
       model: "claude-sonnet-4-20250514",
       max_tokens: 1024,
       messages: [
@@ -187,9 +190,10 @@ Respond with ONLY valid JSON (no markdown, no code blocks) in this exact format:
  * @param {string[]} issues - List of issues found during validation
  * @param {string[]} suggestions - List of improvement suggestions
  * @param {object} criteriaScores - Scores for each validation criterion
+ * @param {object} options - poseOnly: originalPrompt is just the pose slot of a prompt template
  * @returns {string} Refined prompt
  */
-export async function refinePrompt(originalPrompt, issues, suggestions, criteriaScores) {
+export async function refinePrompt(originalPrompt, issues, suggestions, criteriaScores, { poseOnly = false } = {}) {
   const config = await loadPromptsConfig();
   const refinementConfig = config.prompt_refinement;
 
@@ -201,7 +205,7 @@ export async function refinePrompt(originalPrompt, issues, suggestions, criteria
 
   const userPrompt = `Original prompt:
 "${originalPrompt}"
-
+${poseOnly ? `\n${refinementConfig.pose_only_note}\n` : ""}
 Validation issues found:
 ${issues.map(i => `- ${i}`).join("\n")}
 
@@ -217,7 +221,7 @@ ${refinementConfig.constraints.map(c => `- ${c}`).join("\n")}
 Create an improved prompt that addresses these issues. Return ONLY the refined prompt text, no explanation or additional text.`;
 
   try {
-    const response = await anthropic.messages.create({
+    const response = await createMessage(anthropic, {
       model: "claude-sonnet-4-20250514",
       max_tokens: 512,
       messages: [
@@ -236,16 +240,132 @@ Create an improved prompt that addresses these issues. Return ONLY the refined p
 
     return textContent.text.trim();
   } catch (error) {
+    // Replay misses and budget stops must surface instead of silently keeping the old prompt
+    if (error instanceof CassetteMissError || error instanceof BudgetExceededError) {
+      throw error;
+    }
     console.error("Prompt refinement failed:", error.message);
     // Return original prompt if refinement fails
     return originalPrompt;
   }
 }
 
+// ============================================
+// ANCHOR SCORING FUNCTION
+// ============================================
+
+/**
+ * The checks an anchor candidate is scored on: one per fixed_elements entry
+ * of the character, plus the extra checks in anchor_scoring (framing, pose)
+ */
+function getAnchorChecks(scoringConfig, character, anchor) {
+  const checks = Object.entries(character.fixed_elements).map(([name, description]) => ({
+    name,
+    description,
+    weight: scoringConfig.element_weight ?? 1,
+  }));
+  for (const [name, check] of Object.entries(scoringConfig.checks)) {
+    const description = name === "pose" ? `${check.description}: "${anchor.pose_prompt}"` : check.description;
+    checks.push({ name, description, weight: check.weight ?? 1 });
+  }
+  return checks;
+}
+
+/**
+ * Score a phase 1 anchor candidate against the character's fixed elements
+ *
+ * @param {string} imagePath - Path to the candidate image
+ * @param {object} character - Character profile (fixed_elements, name)
+ * @param {object} anchor - Anchor definition from the anchors file (pose_prompt)
+ * @returns {object} { success, score, checks: { name: 0-1 }, issues }; score is the weighted average
+ */
+export async function scoreAnchor(imagePath, character, anchor) {
+  const config = await loadPromptsConfig();
+  const scoringConfig = config.anchor_scoring;
+  const checks = getAnchorChecks(scoringConfig, character, anchor);
+
+  const userPrompt = `This is a candidate reference image of ${character.name} in the "${anchor.name || anchor.id}" pose.
+
+Score it on each of these checks, from 0.0 (missing or wrong) to 1.0 (exactly as described):
+${checks.map(c => `- ${c.name}: ${c.description}`).join("\n")}
+
+Respond with ONLY valid JSON (no markdown, no code blocks) in this exact format:
+{
+  "checks": [
+    { "name": "<check name from the list>", "score": 0.0-1.0, "note": "what is wrong, or empty" }
+  ],
+  "issues": ["specific problem 1", "specific problem 2"]
+}`;
+
+  const response = await createMessage(anthropic, {
+    model: "claude-sonnet-4-20250514",
+    max_tokens: 1024,
+    messages: [
+      {
+        role: "user",
+        content: [
+          {
+            type: "image",
+            source: {
+              type: "base64",
+              media_type: getMediaType(imagePath),
+              data: await fileToBase64(imagePath),
+            },
+          },
+          {
+            type: "text",
+            text: userPrompt,
+          },
+        ],
+      },
+    ],
+    system: scoringConfig.system,
+  });
+
+  const text = response.content.find(c => c.type === "text")?.text || "";
+  const { data, errors } = parseStructured(text, getValidator("anchor_scoring", scoringConfig.output_schema));
+  if (!data) {
+    console.error("Failed to parse Claude anchor score:", errors[0]);
+    return {
+      success: false,
+      score: 0,
+      checks: {},
+      issues: ["Failed to parse scoring response"],
+      error: errors.join("; "),
+    };
+  }
+
+  // Weight the scores here rather than trusting a model-computed average;
+  // a check the model skipped counts as 0
+  const scores = {};
+  const issues = [];
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const check of checks) {
+    const result = data.checks.find(c => c.name === check.name);
+    scores[check.name] = result ? result.score : 0;
+    if (!result) {
+      issues.push(`${check.name}: not scored`);
+    } else if (result.note) {
+      issues.push(`${check.name}: ${result.note}`);
+    }
+    weighted += scores[check.name] * check.weight;
+    totalWeight += check.weight;
+  }
+
+  return {
+    success: true,
+    score: totalWeight > 0 ? weighted / totalWeight : 0,
+    checks: scores,
+    issues: [...issues, ...data.issues.filter(i => !issues.includes(i))],
+  };
+}
+
 // ============================================
 // EXPORTS
 // ============================================
 export default {
   validateImage,
   refinePrompt,
+  scoreAnchor,
 };
@@ -0,0 +1,78 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_CHARACTERS_DIR = path.join(__dirname, "../config/characters");
+
+// 1×1 transparent PNG
+export const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+/**
+ * Set up a throwaway character whose profile and output root live in a temp
+ * directory, so tests never touch the real config/ or output/. Must run
+ * before src/ modules are imported: the character and OUTPUT_DIR are fixed
+ * at module load.
+ *
+ * Layout:
+ *   <tmp>/characters/test.json                   (CHARACTERS_DIR)
+ *   <tmp>/output/anchors/front/front_01.png
+ *   <tmp>/output/variations-2/pushup_top/pushup_top_01.png
+ *   <tmp>/output/variations-2/pushup_top/link.png → <tmp>/secret/secret.png
+ *   <tmp>/output/variations-2/escape/           → <tmp>/secret/
+ *   <tmp>/output/anchors/front/link.png          → <tmp>/secret/secret.png
+ *
+ * @returns {{ root: string, outputDir: string, secretDir: string, cleanup: Function }}
+ */
+export function setUpFixtureCharacter() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "lora-test-"));
+  const outputDir = path.join(root, "output");
+  const secretDir = path.join(root, "secret");
+
+  fs.mkdirSync(secretDir, { recursive: true });
+  fs.writeFileSync(path.join(secretDir, "secret.png"), PNG);
+
+  for (const [folder, file] of [["anchors/front", "front_01.png"], ["variations-2/pushup_top", "pushup_top_01.png"]]) {
+    fs.mkdirSync(path.join(outputDir, folder), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, folder, file), PNG);
+  }
+  fs.symlinkSync(path.join(secretDir, "secret.png"), path.join(outputDir, "variations-2/pushup_top/link.png"));
+  fs.symlinkSync(path.join(secretDir, "secret.png"), path.join(outputDir, "anchors/front/link.png"));
+  fs.symlinkSync(secretDir, path.join(outputDir, "variations-2/escape"), "dir");
+
+  const charactersDir = path.join(root, "characters");
+  fs.mkdirSync(charactersDir);
+  const profile = JSON.parse(fs.readFileSync(path.join(CONFIG_CHARACTERS_DIR, "fitmannequin.json"), "utf-8"));
+  fs.writeFileSync(path.join(charactersDir, "test.json"), JSON.stringify({ ...profile, output_root: outputDir }, null, 2));
+  process.env.CHARACTERS_DIR = charactersDir;
+  process.env.CHARACTER = "test";
+
+  return {
+    root,
+    outputDir,
+    secretDir,
+    cleanup() {
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Payloads that must never resolve to a file: traversal, absolute paths,
+ * NUL bytes and symlinks that leave the output directory
+ */
+export const ESCAPING_IMAGE_KEYS = {
+  "../ traversal": "/output/variations-2/pushup_top/../../../secret/secret.png",
+  "traversal out of a phase": "/output/variations-2/../../secret/secret.png",
+  "absolute path": "/etc/passwd",
+  "absolute path with .png": "/tmp/secret.png",
+  "NUL byte": "/output/variations-2/pushup_top/pushup_top_01.png\0.png",
+  "symlinked file": "/output/variations-2/pushup_top/link.png",
+  "symlinked directory": "/output/variations-2/escape/secret.png",
+};
@@ -0,0 +1,190 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setUpFixtureCharacter, ESCAPING_IMAGE_KEYS, PNG } from "./fixture.js";
+
+const fixture = setUpFixtureCharacter();
+const { app } = await import("../src/gallery-server.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fixture.cleanup();
+});
+
+function request(method, url, body) {
+  return fetch(`${baseUrl}${url}`, {
+    method,
+    headers: body === undefined ? {} : { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+async function assertRejected(responsePromise, status = 400) {
+  const response = await responsePromise;
+  const body = await response.json();
+  assert.equal(response.status, status, JSON.stringify(body));
+  assert.ok(body.error, "expected an error message");
+}
+
+// Nothing may be written next to the secret, whatever the route
+function assertSecretUntouched() {
+  assert.deepEqual(fs.readdirSync(fixture.secretDir), ["secret.png"]);
+  assert.deepEqual(fs.readFileSync(path.join(fixture.secretDir, "secret.png")), PNG);
+}
+
+// Names that must never become a file or folder name
+const ESCAPING_NAMES = {
+  "../ traversal": "../../secret/evil",
+  "absolute path": fixture.secretDir,
+  "NUL byte": "evil\0name",
+};
+
+describe("POST /api/select/:phase", () => {
+  for (const [label, image] of Object.entries(ESCAPING_IMAGE_KEYS)) {
+    test(`rejects ${label}`, async () => {
+      await assertRejected(request("POST", "/api/select/anchors", { folder: "front", image }));
+      assertSecretUntouched();
+    });
+  }
+
+  test("rejects an anchor candidate symlinked out of output/", async () => {
+    await assertRejected(request("POST", "/api/select/anchors", { folder: "front", image: "/output/anchors/front/link.png" }));
+    assert.ok(!fs.existsSync(path.join(fixture.outputDir, "anchors-selected.json")));
+  });
+
+  test("rejects an escaping folder and phase", async () => {
+    for (const folder of Object.values(ESCAPING_NAMES)) {
+      await assertRejected(request("POST", "/api/select/anchors", { folder, image: "/output/anchors/front/front_01.png" }));
+    }
+    await assertRejected(request("POST", "/api/select/..%2F..%2Fsecret", { folder: "front", image: "/output/anchors/front/front_01.png" }));
+    assertSecretUntouched();
+  });
+
+  test("accepts a real candidate", async () => {
+    const response = await request("POST", "/api/select/anchors", { folder: "front", image: "/output/anchors/front/front_01.png" });
+    assert.equal(response.status, 200);
+    assert.ok(fs.existsSync(path.join(fixture.outputDir, "anchors-selected/front.png")));
+  });
+});
+
+describe("POST /api/training/toggle", () => {
+  for (const [label, image] of Object.entries(ESCAPING_IMAGE_KEYS)) {
+    test(`rejects ${label}`, async () => {
+      await assertRejected(request("POST", "/api/training/toggle", { image }));
+      assertSecretUntouched();
+    });
+  }
+
+  test("rejects an escaping collection name", async () => {
+    for (const collection of Object.values(ESCAPING_NAMES)) {
+      await assertRejected(request("POST", "/api/training/toggle", { image: "/output/variations-2/pushup_top/pushup_top_01.png", collection }));
+    }
+    assertSecretUntouched();
+  });
+});
+
+describe("POST /api/export", () => {
+  for (const [label, name] of Object.entries(ESCAPING_NAMES)) {
+    test(`rejects a dataset name with ${label}`, async () => {
+      await assertRejected(request("POST", "/api/export", { name, formats: ["kohya"] }));
+      assertSecretUntouched();
+    });
+
+    test(`rejects a collection name with ${label}`, async () => {
+      await assertRejected(request("POST", "/api/export", { name: "ok", collection: name, formats: ["kohya"] }));
+      assertSecretUntouched();
+    });
+  }
+
+  test("refuses a dataset folder that is a symlink out of output/", async () => {
+    fs.mkdirSync(path.join(fixture.outputDir, "datasets"), { recursive: true });
+    fs.symlinkSync(fixture.secretDir, path.join(fixture.outputDir, "datasets/linked"), "dir");
+    await assertRejected(request("POST", "/api/export", { name: "linked", formats: ["kohya"] }), 409);
+    assertSecretUntouched();
+  });
+
+  test("skips escaping images planted in a collection file", async () => {
+    const created = await request("POST", "/api/collections", { name: "planted", activate: false });
+    assert.equal(created.status, 200);
+
+    const collectionPath = path.join(fixture.outputDir, "collections/planted.json");
+    const collection = JSON.parse(fs.readFileSync(collectionPath, "utf-8"));
+    collection.images = ["/output/variations-2/pushup_top/pushup_top_01.png", ...Object.values(ESCAPING_IMAGE_KEYS)];
+    fs.writeFileSync(collectionPath, JSON.stringify(collection));
+
+    const response = await request("POST", "/api/export", { name: "planted-export", collection: "planted", formats: ["kohya"] });
+    const body = await response.json();
+    assert.equal(response.status, 200, JSON.stringify(body));
+    const skipped = body.skipped.map((s) => s.image);
+    for (const image of Object.values(ESCAPING_IMAGE_KEYS)) {
+      assert.ok(skipped.includes(image), `${JSON.stringify(image)} should be skipped`);
+    }
+    assertSecretUntouched();
+  });
+});
+
+describe("/api/collections", () => {
+  for (const [label, name] of Object.entries(ESCAPING_NAMES)) {
+    test(`rejects creating a collection named with ${label}`, async () => {
+      await assertRejected(request("POST", "/api/collections", { name }));
+      assertSecretUntouched();
+    });
+
+    test(`rejects cloning from a collection named with ${label}`, async () => {
+      await assertRejected(request("POST", "/api/collections", { name: "clone", from: name }));
+    });
+
+    test(`rejects activating a collection named with ${label}`, async () => {
+      await assertRejected(request("PUT", "/api/collections/active", { name }));
+    });
+  }
+
+  test("rejects escaping names in the URL", async () => {
+    await assertRejected(request("GET", "/api/collections/..%2F..%2Fsecret%2Fsecret"));
+    await assertRejected(request("GET", "/api/collections/evil%00name"));
+    await assertRejected(request("PATCH", "/api/collections/default", { name: "../../secret/evil" }));
+    assertSecretUntouched();
+  });
+});
+
+describe("GET /api/image-metadata", () => {
+  for (const [label, image] of Object.entries(ESCAPING_IMAGE_KEYS)) {
+    test(`rejects ${label}`, async () => {
+      await assertRejected(request("GET", `/api/image-metadata?image=${encodeURIComponent(image)}`));
+    });
+  }
+
+  test("reads a real image", async () => {
+    const response = await request("GET", "/api/image-metadata?image=/output/anchors/front/front_01.png");
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).metadata, {});
+  });
+});
+
+describe("POST /api/jobs/regenerate", () => {
+  for (const [label, image] of Object.entries(ESCAPING_IMAGE_KEYS)) {
+    test(`rejects ${label}`, async () => {
+      await assertRejected(request("POST", "/api/jobs/regenerate", { images: [image], prompt: "standing" }));
+    });
+  }
+
+  test("rejects the whole batch when one image escapes", async () => {
+    await assertRejected(request("POST", "/api/jobs/regenerate", {
+      images: ["/output/variations-2/pushup_top/pushup_top_01.png", ESCAPING_IMAGE_KEYS["symlinked file"]],
+      prompt: "standing",
+    }));
+    const jobs = await (await request("GET", "/api/jobs")).json();
+    assert.equal(jobs.length, 0);
+    assertSecretUntouched();
+  });
+});
@@ -0,0 +1,113 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { setUpFixtureCharacter, ESCAPING_IMAGE_KEYS } from "./fixture.js";
+
+const fixture = setUpFixtureCharacter();
+const { OUTPUT_DIR, PathError, assertSafeName, resolveOutputPath, resolveImageKey } =
+  await import("../src/utils/output-paths.js");
+
+after(() => fixture.cleanup());
+
+function assertPathError(fn, status = 400) {
+  assert.throws(fn, (error) => error instanceof PathError && error.status === status);
+}
+
+async function assertRejectsPath(promise, status = 400) {
+  await assert.rejects(promise, (error) => error instanceof PathError && error.status === status);
+}
+
+describe("OUTPUT_DIR", () => {
+  test("follows the active character's output_root", () => {
+    assert.equal(OUTPUT_DIR, fixture.outputDir);
+  });
+
+  test("comes from a profile outside config/characters/", async () => {
+    const { CHARACTERS_DIR, CHARACTER_ID } = await import("../src/utils/character.js");
+    assert.equal(CHARACTERS_DIR, path.join(fixture.root, "characters"));
+    assert.equal(CHARACTER_ID, "test");
+  });
+});
+
+describe("assertSafeName", () => {
+  test("accepts plain names", () => {
+    for (const name of ["front", "squat_bottom", "pushup_top_01.png", "v1-kohya"]) {
+      assert.equal(assertSafeName(name), name);
+    }
+  });
+
+  test("rejects names that could leave their directory", () => {
+    for (const name of ["..", "../x", "a/../b", "a/b", "a\\b", "/etc", "..png", "a..b"]) {
+      assertPathError(() => assertSafeName(name));
+    }
+  });
+
+  test("rejects hidden, empty, NUL and non-string names", () => {
+    for (const name of [".hidden", "", "a\0b", null, undefined, 42, ["front"]]) {
+      assertPathError(() => assertSafeName(name));
+    }
+  });
+});
+
+describe("resolveOutputPath", () => {
+  test("joins segments under the output directory", () => {
+    assert.equal(resolveOutputPath("anchors", "front"), path.join(fixture.outputDir, "anchors", "front"));
+  });
+
+  test("rejects ../ traversal", () => {
+    assertPathError(() => resolveOutputPath(".."));
+    assertPathError(() => resolveOutputPath("anchors", "..", ".."));
+    assertPathError(() => resolveOutputPath("../secret/secret.png"));
+  });
+
+  test("rejects absolute paths", () => {
+    assertPathError(() => resolveOutputPath("/etc/passwd"));
+    assertPathError(() => resolveOutputPath("anchors", fixture.secretDir));
+  });
+
+  test("rejects NUL bytes and non-string segments", () => {
+    assertPathError(() => resolveOutputPath("anchors\0"));
+    assertPathError(() => resolveOutputPath("anchors", null));
+  });
+
+  test("rejects the output directory itself", () => {
+    assertPathError(() => resolveOutputPath(""));
+    assertPathError(() => resolveOutputPath("anchors", ".."));
+  });
+});
+
+describe("resolveImageKey", () => {
+  test("resolves an existing image and drops a cache-busting query", async () => {
+    const result = await resolveImageKey("/output/anchors/front/front_01.png?v=123");
+    assert.equal(result.key, "/output/anchors/front/front_01.png");
+    assert.equal(result.filePath, path.join(fixture.outputDir, "anchors/front/front_01.png"));
+    assert.deepEqual(result.segments, ["anchors", "front", "front_01.png"]);
+  });
+
+  for (const [label, key] of Object.entries(ESCAPING_IMAGE_KEYS)) {
+    test(`rejects ${label}`, async () => {
+      await assertRejectsPath(resolveImageKey(key));
+    });
+  }
+
+  test("rejects keys that aren't /output/ strings", async () => {
+    for (const key of ["output/anchors/front/front_01.png", "", null, 42, { key: "/output/x.png" }]) {
+      await assertRejectsPath(resolveImageKey(key));
+    }
+  });
+
+  test("rejects non-PNG files and phases that aren't allowed", async () => {
+    await assertRejectsPath(resolveImageKey("/output/anchors/front/front_01.txt"));
+    await assertRejectsPath(resolveImageKey("/output/anchors/front/front_01.png", { phases: ["variations-2"] }));
+  });
+
+  test("answers 404 for a missing image, unless it needn't exist", async () => {
+    await assertRejectsPath(resolveImageKey("/output/anchors/front/front_99.png"), 404);
+    const result = await resolveImageKey("/output/anchors/front/front_99.png", { mustExist: false });
+    assert.equal(result.filePath, path.join(fixture.outputDir, "anchors/front/front_99.png"));
+  });
+
+  test("still rejects traversal when the image needn't exist", async () => {
+    await assertRejectsPath(resolveImageKey("/output/../secret/secret.png", { mustExist: false }));
+  });
+});